@@ -1,4 +1,6 @@
+const path = require('path');
 const webpack = require('webpack');
+const ModuleScopePlugin = require('react-dev-utils/ModuleScopePlugin');
 
 module.exports = function override(config, env) {
   // Add fallbacks for node core modules
@@ -26,6 +28,12 @@ module.exports = function override(config, env) {
     'process/browser': require.resolve('process/browser')
   };
 
+  // public/vad.js is shared with the Electron main process; let src import it
+  const sharedVad = path.resolve(__dirname, 'public/vad');
+  for (const plugin of config.resolve.plugins || []) {
+    if (plugin instanceof ModuleScopePlugin) plugin.allowedPaths.push(sharedVad);
+  }
+
   // Add buffer plugin
   config.plugins = [
     ...config.plugins,
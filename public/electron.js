@@ -395,48 +395,182 @@ ipcMain.handle('list-accounts', async () => {
   return Object.keys(all);
 });
 
-// System-level capture: spawn arecord or ffmpeg to record a short sample and return base64 WAV
-ipcMain.handle('system-capture', async (event, { durationMs = 5000, device = '' } = {}) => {
-  const { spawnSync } = require('child_process');
-  const outPath = path.join(app.getPath('temp'), `famsync_syscap_${Date.now()}.wav`);
-  const seconds = Math.max(1, Math.round((durationMs || 5000) / 1000));
+// Event cache storage (one JSON file per account/calendar under userData/event-cache)
+const EVENT_CACHE_DIR = path.join(app.getPath('userData'), 'event-cache');
 
-  // Try arecord first
+function eventCachePath(key) {
+  // keys contain account ids and calendar ids (emails); keep file names safe
+  const safe = String(key || '').replace(/[^a-zA-Z0-9@._-]/g, '_');
+  return path.join(EVENT_CACHE_DIR, safe + '.json');
+}
+
+ipcMain.handle('event-cache-read', async (event, { key }) => {
   try {
-    const arecordArgs = [];
-    if (device) arecordArgs.push('-D', device);
-    arecordArgs.push('-f', 'S16_LE', '-r', '16000', '-c', '1', '-d', String(seconds), outPath);
-    const res = spawnSync('arecord', arecordArgs, { encoding: 'utf8', stdio: 'inherit' });
-    if (res.error) throw res.error;
-    // read file and return base64
-    if (fs.existsSync(outPath)) {
-      const buf = fs.readFileSync(outPath);
-      try { fs.unlinkSync(outPath); } catch (e) {}
-      return { success: true, mime: 'audio/wav', data: buf.toString('base64') };
-    }
-  } catch (e) {
-    console.debug('arecord capture failed, will try ffmpeg:', e && e.message ? e.message : e);
+    const p = eventCachePath(key);
+    if (!fs.existsSync(p)) return null;
+    return JSON.parse(fs.readFileSync(p, 'utf8') || 'null');
+  } catch (err) {
+    console.error('event-cache-read failed', key, err);
+    return null;
   }
+});
 
-  // Fallback to ffmpeg ALSA capture
+ipcMain.handle('event-cache-write', async (event, { key, data }) => {
   try {
-    const ffArgs = [];
-    if (device) {
-      // ffmpeg ALSA input device syntax: -f alsa -i hw:0,0
-      ffArgs.push('-f', 'alsa', '-i', device);
-    } else {
-      ffArgs.push('-f', 'alsa', '-i', 'default');
+    if (!fs.existsSync(EVENT_CACHE_DIR)) fs.mkdirSync(EVENT_CACHE_DIR, { recursive: true });
+    // write to a temp file first so a crash mid-write can't leave a truncated cache
+    const p = eventCachePath(key);
+    fs.writeFileSync(p + '.tmp', JSON.stringify(data), 'utf8');
+    fs.renameSync(p + '.tmp', p);
+    return true;
+  } catch (err) {
+    console.error('event-cache-write failed', key, err);
+    return false;
+  }
+});
+
+ipcMain.handle('event-cache-clear', async (event, { key }) => {
+  try {
+    const p = eventCachePath(key);
+    if (fs.existsSync(p)) fs.unlinkSync(p);
+    return true;
+  } catch (err) {
+    console.error('event-cache-clear failed', key, err);
+    return false;
+  }
+});
+
+// Endpointing for the system capture: the same endpointer the renderer uses
+const { createEndpointer } = require('./vad');
+const CAPTURE_RATE = 16000;
+// analysis frame and the audio kept before the speech starts
+const CAPTURE_FRAME_MS = 20;
+const CAPTURE_PREROLL_MS = 300;
+
+// RMS of a buffer of 16-bit little-endian mono samples
+function pcmRms(buf) {
+  const n = Math.floor(buf.length / 2);
+  if (!n) return 0;
+  let sum = 0;
+  for (let i = 0; i < n; i++) {
+    const v = buf.readInt16LE(i * 2) / 32768;
+    sum += v * v;
+  }
+  return Math.sqrt(sum / n);
+}
+
+function wavFromPcm(pcm, rate) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(rate, 24);
+  header.writeUInt32LE(rate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+// Run a recorder that writes raw 16 kHz S16LE mono to stdout until the endpointer (or,
+// without vad, maxMs) says stop. Resolves { pcm, noSpeech }; rejects when the recorder
+// cannot start or exits before producing audio.
+function captureUntilSilence(command, args, { maxMs, vad }) {
+  const { spawn } = require('child_process');
+  return new Promise((resolve, reject) => {
+    const frameBytes = (CAPTURE_RATE * CAPTURE_FRAME_MS / 1000) * 2;
+    const endpointer = createEndpointer({ maxMs });
+    const chunks = [];
+    let pending = Buffer.alloc(0);
+    let total = 0;
+    // bytes analysed so far; audio after the stopping frame is dropped
+    let consumed = 0;
+    let settled = false;
+    let child;
+    try {
+      child = spawn(command, args, { stdio: ['ignore', 'pipe', 'ignore'] });
+    } catch (err) {
+      reject(err);
+      return;
     }
-    ffArgs.push('-t', String(seconds), '-ar', '16000', '-ac', '1', outPath);
-    const res2 = spawnSync('ffmpeg', ffArgs, { encoding: 'utf8' });
-    if (res2.error) throw res2.error;
-    if (fs.existsSync(outPath)) {
-      const buf = fs.readFileSync(outPath);
-      try { fs.unlinkSync(outPath); } catch (e) {}
-      return { success: true, mime: 'audio/wav', data: buf.toString('base64') };
+    const finish = (noSpeech) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      try { child.kill(); } catch (e) {}
+      let pcm = Buffer.concat(chunks).subarray(0, consumed);
+      // drop the silence before the speech, keeping a little lead-in
+      if (vad && endpointer.speechStartMs !== null) {
+        const startMs = Math.max(0, endpointer.speechStartMs - CAPTURE_PREROLL_MS);
+        pcm = pcm.subarray(Math.floor(startMs / CAPTURE_FRAME_MS) * frameBytes);
+      }
+      resolve({ pcm, noSpeech });
+    };
+    // a little slack over maxMs for a recorder that is slow to deliver
+    const timer = setTimeout(() => finish(vad && endpointer.speechStartMs === null), maxMs + 1000);
+    child.on('error', (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on('close', (code) => {
+      if (settled) return;
+      if (!total) {
+        settled = true;
+        clearTimeout(timer);
+        reject(new Error(`${command} exited with code ${code} before recording anything`));
+        return;
+      }
+      finish(vad && endpointer.speechStartMs === null);
+    });
+    child.stdout.on('data', (data) => {
+      if (settled) return;
+      chunks.push(data);
+      total += data.length;
+      pending = pending.length ? Buffer.concat([pending, data]) : data;
+      while (pending.length >= frameBytes) {
+        const frame = pending.subarray(0, frameBytes);
+        pending = pending.subarray(frameBytes);
+        consumed += frameBytes;
+        const state = vad ? endpointer.push(pcmRms(frame), CAPTURE_FRAME_MS) : null;
+        if (state === 'done' || state === 'no_speech') {
+          finish(state === 'no_speech');
+          return;
+        }
+        if (!vad && consumed >= (CAPTURE_RATE * 2 * maxMs) / 1000) {
+          finish(false);
+          return;
+        }
+      }
+    });
+  });
+}
+
+// System-level capture: record through arecord or ffmpeg and return base64 WAV. With vad
+// (the default) recording stops after the speaker falls silent and durationMs is only the
+// upper limit; { success: false, noSpeech: true } means nobody spoke.
+ipcMain.handle('system-capture', async (event, { durationMs = 5000, device = '', vad = true } = {}) => {
+  const maxMs = Math.max(1000, durationMs || 5000);
+  const recorders = [
+    ['arecord', [...(device ? ['-D', device] : []), '-q', '-t', 'raw', '-f', 'S16_LE', '-r', String(CAPTURE_RATE), '-c', '1']],
+    // ffmpeg ALSA input device syntax: -f alsa -i hw:0,0
+    ['ffmpeg', ['-loglevel', 'error', '-f', 'alsa', '-i', device || 'default', '-ar', String(CAPTURE_RATE), '-ac', '1', '-f', 's16le', '-']]
+  ];
+
+  for (const [command, args] of recorders) {
+    try {
+      const { pcm, noSpeech } = await captureUntilSilence(command, args, { maxMs, vad });
+      if (noSpeech) return { success: false, noSpeech: true, error: 'No speech heard' };
+      return { success: true, mime: 'audio/wav', data: wavFromPcm(pcm, CAPTURE_RATE).toString('base64') };
+    } catch (e) {
+      console.debug(`${command} capture failed:`, e && e.message ? e.message : e);
     }
-  } catch (e) {
-    console.error('ffmpeg capture failed', e);
   }
 
   return { success: false, error: 'System capture failed: arecord/ffmpeg unavailable or failed' };
@@ -30,4 +30,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
   ,
   // Log Gemini prompts (prompt text, optional tag) to a separate file in main process
   geminiLog: (prompt, tag = '') => ipcRenderer.invoke('gemini-log', { prompt: String(prompt), tag: String(tag) })
+  ,
+  // Persistent event cache (JSON files in userData/event-cache)
+  readEventCache: (key) => ipcRenderer.invoke('event-cache-read', { key }),
+  writeEventCache: (key, data) => ipcRenderer.invoke('event-cache-write', { key, data }),
+  clearEventCache: (key) => ipcRenderer.invoke('event-cache-clear', { key })
 });
@@ -0,0 +1,91 @@
+// Energy-based voice activity detection, so recordings end on their own: wait for speech,
+// stop after a stretch of trailing silence, give up when nobody says anything. Levels are
+// the RMS of samples scaled to [-1, 1], the measure the mic test in MonthView shows.
+// CommonJS beside electron.js: the main process requires it for the system capture and
+// the renderer imports it through src/utils/vad, so both use the same endpointer.
+
+const VAD_DEFAULTS = {
+  // trailing silence that ends an utterance
+  silenceMs: 800,
+  // hard limit on the whole recording
+  maxMs: 10000,
+  // give up when nothing has been said by then
+  noSpeechMs: 5000,
+  // above the threshold for this long counts as speech rather than a click
+  minSpeechMs: 150,
+  // nothing quieter than this is speech, however silent the room
+  minLevel: 0.02
+};
+// Speech has to stand this far above the background noise
+const NOISE_RATIO = 3;
+
+// RMS of AnalyserNode.getByteTimeDomainData output (128 is silence)
+function byteRms(data) {
+  if (!data || !data.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < data.length; i++) {
+    const v = (data[i] - 128) / 128;
+    sum += v * v;
+  }
+  return Math.sqrt(sum / data.length);
+}
+
+// RMS of 16-bit PCM samples (Int16Array)
+function pcm16Rms(samples) {
+  if (!samples || !samples.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const v = samples[i] / 32768;
+    sum += v * v;
+  }
+  return Math.sqrt(sum / samples.length);
+}
+
+// Feed the level of each audio frame to push(level, frameMs). It returns
+//   'waiting'   nothing said yet
+//   'speech'    speaking, or pausing for less than silenceMs
+//   'done'      speech followed by silenceMs of quiet, or maxMs reached after speech
+//   'no_speech' noSpeechMs (or maxMs) passed without speech
+// speechStartMs is where the speech began, for trimming leading silence.
+function createEndpointer(options = {}) {
+  const opts = { ...VAD_DEFAULTS, ...options };
+  let elapsed = 0;
+  let noise = null;
+  let loudMs = 0;
+  let quietMs = 0;
+  let heard = false;
+  const endpointer = {
+    speechStartMs: null,
+    push(level, frameMs) {
+      elapsed += frameMs;
+      const threshold = Math.max(opts.minLevel, (noise || 0) * NOISE_RATIO);
+      if (level >= threshold) {
+        loudMs += frameMs;
+        quietMs = 0;
+        if (!heard && loudMs >= opts.minSpeechMs) {
+          heard = true;
+          endpointer.speechStartMs = elapsed - loudMs;
+        }
+      } else {
+        loudMs = 0;
+        quietMs += frameMs;
+        // the background level follows the quiet frames
+        noise = noise === null ? level : noise * 0.95 + level * 0.05;
+      }
+      if (heard && quietMs >= opts.silenceMs) return 'done';
+      if (elapsed >= opts.maxMs) return heard ? 'done' : 'no_speech';
+      if (!heard && elapsed >= opts.noSpeechMs) return 'no_speech';
+      return heard ? 'speech' : 'waiting';
+    }
+  };
+  return endpointer;
+}
+
+// The error recordings reject with when nobody spoke
+function noSpeechError() {
+  const err = new Error('No speech heard');
+  err.code = 'no_speech';
+  return err;
+}
+
+module.exports = { VAD_DEFAULTS, byteRms, pcm16Rms, createEndpointer, noSpeechError };
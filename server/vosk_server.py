@@ -4,12 +4,31 @@ Simple VOSK transcription server.
 
 Usage:
   1. Install system deps: sudo apt install python3 python3-venv python3-pip ffmpeg
-  2. Create venv and install python deps: pip install flask vosk
+  2. Create venv and install python deps: pip install flask vosk flask-sock
   3. Download a VOSK model and set VOSK_MODEL_PATH environment variable or place model in ./model
      e.g., export VOSK_MODEL_PATH=/path/to/vosk-model-small-ru-0.22
   4. Run: python3 server/vosk_server.py
 
 The server accepts POST /transcribe with form file field `file` (audio webm/wav/ogg/mp3) and returns JSON { text: "transcript" }
+
+Speaker recognition: with a VOSK speaker model (vosk-model-spk-0.4) in SPK_MODEL_PATH or
+./model-spk, /transcribe also returns "spk", the x-vector (voice print) of the speaker,
+and final /stream messages carry "spk" as well. The app keeps enrolled voice prints per
+family member and compares them with these to know who is asking.
+
+Streaming: WebSocket /stream[?rate=16000] takes binary frames of 16-bit little-endian mono
+PCM and answers with JSON text messages:
+  { "partial": "words so far" }           while the user speaks
+  { "text": "utterance", "final": true }   when VOSK detects the end of an utterance
+Sending the text message { "eof": 1 } asks for the final result of whatever was sent
+so far; the server answers with a final message and closes the socket.
+Both kinds of message carry "words": [{ "word", "start", "end" }] with times in seconds
+since the first frame (partials only with a VOSK version that has SetPartialWords);
+finals also carry "spk" when the speaker model is loaded.
+?grammar=["календарь", "calendar"] (URL-encoded JSON) restricts recognition to those
+phrases, everything else coming out as "[unk]"; the wake word listener keeps such a
+stream open all the time.
+(/stream needs flask-sock; without it only /transcribe is served.)
 """
 import os
 import tempfile
@@ -19,11 +38,17 @@ import json
 from flask import Flask, request, jsonify
 
 try:
-    from vosk import Model, KaldiRecognizer
+    from vosk import Model, KaldiRecognizer, SpkModel
 except Exception as e:
     print('VOSK import failed:', e)
     raise
 
+try:
+    from flask_sock import Sock
+except Exception as e:
+    Sock = None
+    print('flask-sock not available, streaming endpoint /stream disabled:', e)
+
 MODEL_PATH = os.environ.get('VOSK_MODEL_PATH', os.path.join(os.path.dirname(__file__), 'model'))
 if not os.path.exists(MODEL_PATH):
     raise SystemExit(f'VOSK model not found at {MODEL_PATH}. Set VOSK_MODEL_PATH or place model in server/model')
@@ -31,6 +56,14 @@ if not os.path.exists(MODEL_PATH):
 print('Loading VOSK model from', MODEL_PATH)
 model = Model(MODEL_PATH)
 
+SPK_MODEL_PATH = os.environ.get('SPK_MODEL_PATH', os.path.join(os.path.dirname(__file__), 'model-spk'))
+spk_model = None
+if os.path.exists(SPK_MODEL_PATH):
+    print('Loading VOSK speaker model from', SPK_MODEL_PATH)
+    spk_model = SpkModel(SPK_MODEL_PATH)
+else:
+    print('No speaker model at', SPK_MODEL_PATH, '- speaker recognition disabled')
+
 app = Flask(__name__)
 
 
@@ -46,6 +79,27 @@ def convert_to_wav(input_path, output_path, sample_rate=16000):
         raise RuntimeError(f'ffmpeg failed: {proc.stderr.decode("utf-8")[:2000]}')
 
 
+class SpeakerVector:
+    """Average of the x-vectors VOSK reports per utterance, weighted by their frame counts"""
+
+    def __init__(self):
+        self.sum = None
+        self.frames = 0
+
+    def add(self, result):
+        spk = result.get('spk')
+        frames = result.get('spk_frames', 0)
+        if not spk or not frames:
+            return
+        if self.sum is None:
+            self.sum = [0.0] * len(spk)
+        self.sum = [s + v * frames for s, v in zip(self.sum, spk)]
+        self.frames += frames
+
+    def value(self):
+        return [s / self.frames for s in self.sum] if self.frames else None
+
+
 @app.route('/transcribe', methods=['POST'])
 def transcribe():
     if 'file' not in request.files:
@@ -64,8 +118,11 @@ def transcribe():
         wf = wave.open(wav_path, 'rb')
         rec = KaldiRecognizer(model, wf.getframerate())
         rec.SetWords(True)
+        if spk_model is not None:
+            rec.SetSpkModel(spk_model)
 
         results = []
+        speaker = SpeakerVector()
         while True:
             data = wf.readframes(4000)
             if len(data) == 0:
@@ -73,10 +130,15 @@ def transcribe():
             if rec.AcceptWaveform(data):
                 r = json.loads(rec.Result())
                 results.append(r.get('text', ''))
+                speaker.add(r)
         final = json.loads(rec.FinalResult())
         results.append(final.get('text', ''))
+        speaker.add(final)
         text = ' '.join([r for r in results if r]).strip()
-        return jsonify({ 'text': text })
+        response = { 'text': text }
+        if speaker.value():
+            response['spk'] = speaker.value()
+        return jsonify(response)
     except Exception as e:
         return jsonify({ 'error': str(e) }), 500
     finally:
@@ -90,5 +152,68 @@ def transcribe():
             pass
 
 
+if Sock is not None:
+    sock = Sock(app)
+
+    def word_times(result, key):
+        return [{ 'word': w.get('word'), 'start': w.get('start'), 'end': w.get('end') } for w in result.get(key, [])]
+
+    def final_message(result):
+        message = { 'text': result.get('text', ''), 'final': True, 'words': word_times(result, 'result') }
+        if result.get('spk'):
+            message['spk'] = result['spk']
+        return message
+
+    @sock.route('/stream')
+    def stream(ws):
+        try:
+            rate = int(request.args.get('rate', 16000))
+        except ValueError:
+            rate = 16000
+        grammar = None
+        if request.args.get('grammar'):
+            try:
+                grammar = [str(p) for p in json.loads(request.args['grammar'])]
+            except (ValueError, TypeError):
+                grammar = None
+        if grammar:
+            # anything that is not one of the phrases comes out as [unk]
+            if '[unk]' not in grammar:
+                grammar.append('[unk]')
+            rec = KaldiRecognizer(model, rate, json.dumps(grammar, ensure_ascii=False))
+        else:
+            rec = KaldiRecognizer(model, rate)
+            if spk_model is not None:
+                rec.SetSpkModel(spk_model)
+        rec.SetWords(True)
+        if hasattr(rec, 'SetPartialWords'):
+            rec.SetPartialWords(True)
+        last_partial = ''
+        while True:
+            data = ws.receive()
+            if data is None:
+                break
+            if isinstance(data, str):
+                try:
+                    msg = json.loads(data)
+                except ValueError:
+                    continue
+                if msg.get('eof'):
+                    final = json.loads(rec.FinalResult())
+                    ws.send(json.dumps(final_message(final)))
+                    break
+                continue
+            if rec.AcceptWaveform(data):
+                result = json.loads(rec.Result())
+                last_partial = ''
+                ws.send(json.dumps(final_message(result)))
+            else:
+                partial = json.loads(rec.PartialResult())
+                text = partial.get('partial', '')
+                if text != last_partial:
+                    last_partial = text
+                    ws.send(json.dumps({ 'partial': text, 'words': word_times(partial, 'partial_result') }))
+
+
 if __name__ == '__main__':
     app.run(host='0.0.0.0', port=int(os.environ.get('VOSK_PORT', 5000)), debug=False)
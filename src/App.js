@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { startOfDay, endOfDay, startOfWeek, endOfWeek, startOfMonth, endOfMonth } from 'date-fns';
+import React, { useState, useEffect, useRef } from 'react';
+import { startOfDay, endOfDay, startOfWeek, endOfWeek, startOfMonth, endOfMonth, addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import './App.css';
 
@@ -10,21 +10,153 @@ import AuthScreen from './components/AuthScreen';
 import LoadingScreen from './components/LoadingScreen';
 import AddAccountModal from './components/AddAccountModal';
 import AccountsManagerModal from './components/AccountsManagerModal';
+import CalendarLegend from './components/CalendarLegend';
+import WakeWordSettings from './components/WakeWordSettings';
+import FindTimeModal from './components/FindTimeModal';
 import ErrorBoundary from './components/ErrorBoundary';
 import OnScreenKeyboard from './components/OnScreenKeyboard';
 import { wakeWordService } from './services/wakeWordService';
+import { speakerService } from './services/speakerService';
 
 // Import services
 import { googleCalendarService } from './services/GoogleCalendarService';
 import { authService } from './services/AuthService';
+import { outboxService } from './services/OutboxService';
+import { refreshScheduler } from './services/RefreshScheduler';
+import { storageUtils } from './utils/storage';
+
+// Navigating between dates re-syncs at most this often; background refreshes always sync
+const SYNC_MAX_AGE_MS = 60 * 1000;
+const DEFAULT_AGENDA_DAYS = 14;
+
+// Visible date range for a calendar view; the agenda covers `agendaDays` days from `date`
+function getViewRange(date, view, agendaDays = DEFAULT_AGENDA_DAYS) {
+  try {
+    const parsed = date || new Date();
+    switch (view) {
+      case 'agenda':
+        return { rangeStart: startOfDay(parsed), rangeEnd: endOfDay(addDays(parsed, agendaDays - 1)) };
+      case 'day':
+        return { rangeStart: startOfDay(parsed), rangeEnd: endOfDay(parsed) };
+      case 'week':
+      case 'people':
+        // the people view switches between day and week locally, so load the whole week
+        return { rangeStart: startOfWeek(parsed), rangeEnd: endOfWeek(parsed) };
+      case 'month':
+      default:
+        return { rangeStart: startOfMonth(parsed), rangeEnd: endOfMonth(parsed) };
+    }
+  } catch (err) {
+    return { rangeStart: startOfMonth(new Date()), rangeEnd: endOfMonth(new Date()) };
+  }
+}
+
+// Events for the range from the local cache, or null when any account cannot answer it
+async function readCachedRange(accounts, rangeStart, rangeEnd) {
+  const perAccount = await Promise.all(accounts.map(account => googleCalendarService.getCachedEvents(account.id, rangeStart, rangeEnd)));
+  if (perAccount.some(events => !events)) return null;
+  return perAccount.flat();
+}
+
+// Sync all accounts in parallel (GoogleCalendarService bounds the calendars in flight).
+// Resolves to { changed, synced, lastError }; failures are logged, not thrown.
+async function syncAccounts(accounts, options) {
+  const results = await Promise.all(accounts.map(account =>
+    googleCalendarService.syncAccount(account.id, options)
+      .then(changed => ({ changed }))
+      .catch(error => {
+        console.warn('Failed to sync account', account.id, error);
+        return { error };
+      })
+  ));
+  const failed = results.filter(r => r.error);
+  return {
+    changed: results.some(r => r.changed),
+    synced: results.length - failed.length,
+    lastError: failed.length ? failed[failed.length - 1].error : null
+  };
+}
+
+// Fetch the range live for all accounts in parallel. An account that fails is left
+// out (and reported via getCalendarErrors) unless Google is unreachable altogether.
+async function fetchLiveRange(accounts, rangeStart, rangeEnd) {
+  const perAccount = await Promise.all(accounts.map(account =>
+    googleCalendarService.getEvents(account.id, rangeStart, rangeEnd).catch(err => {
+      if (googleCalendarService.isOfflineError(err)) throw err;
+      console.warn('Failed to load events for account', account.id, err);
+      return [];
+    })
+  ));
+  return perAccount.flat();
+}
+
+// Reuse the previous object for every event whose etag is unchanged, and the previous
+// array when nothing changed at all, so a refresh without changes does not re-render
+function mergeEvents(prev, next) {
+  const keyOf = (ev) => `${ev.accountId}|${ev.calendarId}|${ev.id}`;
+  const byKey = new Map(prev.map(ev => [keyOf(ev), ev]));
+  let unchanged = prev.length === next.length;
+  const merged = next.map((ev, i) => {
+    const old = byKey.get(keyOf(ev));
+    if (old && old.etag && old.etag === ev.etag && !old.pending && !ev.pending) {
+      if (prev[i] !== old) unchanged = false;
+      return old;
+    }
+    unchanged = false;
+    return ev;
+  });
+  return unchanged ? prev : merged;
+}
+
+function isSameEvent(a, b) {
+  return a.id === b.id && a.accountId === b.accountId && a.calendarId === b.calendarId;
+}
+
+// Update body that moves an event to start/end. All-day events shift their original
+// dates by the whole days moved, so the exclusive end date stays one past the last day;
+// timed events keep their time zone.
+function rescheduleChanges(event, start, end) {
+  if (event.allDay) {
+    if (event.start?.date && event.end?.date) {
+      const days = differenceInCalendarDays(start, parseISO(event.start.date));
+      const shift = (date) => format(addDays(parseISO(date), days), 'yyyy-MM-dd');
+      return { start: { date: shift(event.start.date) }, end: { date: shift(event.end.date) } };
+    }
+    // end is the inclusive last moment of the event
+    return { start: { date: format(start, 'yyyy-MM-dd') }, end: { date: format(addDays(end, 1), 'yyyy-MM-dd') } };
+  }
+  return {
+    start: { dateTime: start.toISOString(), timeZone: event.start?.timeZone },
+    end: { dateTime: end.toISOString(), timeZone: event.end?.timeZone }
+  };
+}
 
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [accounts, setAccounts] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [currentView, setCurrentView] = useState('month'); // month, week, day
+  const [currentView, setCurrentView] = useState('month'); // month, week, day, agenda, people
+  const [peopleMode, setPeopleMode] = useState('day'); // people view layout: day or week
+  const [agendaDays, setAgendaDays] = useState(() => storageUtils.getAgendaDays() || DEFAULT_AGENDA_DAYS);
   const [selectedDate, setSelectedDate] = useState(new Date());
   const [events, setEvents] = useState([]);
+  // Offline mode: when Google was last unreachable, queued writes and replay conflicts
+  const [offlineSince, setOfflineSince] = useState(googleCalendarService.offlineSince);
+  const [pendingWrites, setPendingWrites] = useState(outboxService.pendingCount());
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  // Calendars that failed to load; the rest of the events still render
+  const [calendarErrors, setCalendarErrors] = useState([]);
+  const [dismissedErrors, setDismissedErrors] = useState('');
+  // Legend toggles and colors (utils/calendarPrefs), persisted across restarts
+  const [calendarPrefs, setCalendarPrefs] = useState(() => storageUtils.getCalendarPrefs());
+  const [showLegend, setShowLegend] = useState(false);
+  const [showWakeSettings, setShowWakeSettings] = useState(false);
+  // Last drag-and-drop move that Google refused (the event is already back in place)
+  const [rescheduleError, setRescheduleError] = useState(null);
+  // Find-a-time dialog: null when closed, { query, lang } (query empty from the Header)
+  const [findTimeRequest, setFindTimeRequest] = useState(null);
+  // Time slot to open a new event on, e.g. a slot picked in Find a time
+  const [slotRequest, setSlotRequest] = useState(null);
 
   useEffect(() => {
     initializeApp();
@@ -104,35 +236,18 @@ function App() {
     }
   };
 
-  const loadCalendarData = async (authenticatedAccounts, date = selectedDate, view = currentView) => {
-    try {
-      setLoading(true);
-      const allEvents = [];
+  // Bumped on every load so a slow sync for an old date/view cannot overwrite a newer one
+  const loadSeq = useRef(0);
 
-      // determine range based on view
-      let rangeStart;
-      let rangeEnd;
-      try {
-        const parsed = date || new Date();
-        switch (view) {
-          case 'day':
-            rangeStart = startOfDay(parsed);
-            rangeEnd = endOfDay(parsed);
-            break;
-          case 'week':
-            rangeStart = startOfWeek(parsed);
-            rangeEnd = endOfWeek(parsed);
-            break;
-          case 'month':
-          default:
-            rangeStart = startOfMonth(parsed);
-            rangeEnd = endOfMonth(parsed);
-            break;
-        }
-      } catch (err) {
-        rangeStart = startOfMonth(new Date());
-        rangeEnd = endOfMonth(new Date());
-      }
+  // Render the range from the local event cache straight away, then sync deltas with
+  // Google (syncToken) and re-render only if something changed. The loading screen is
+  // shown only when the cache cannot answer the range yet. `force` skips the
+  // SYNC_MAX_AGE_MS throttle.
+  const loadCalendarData = async (authenticatedAccounts, date = selectedDate, view = currentView, { force = false, days = agendaDays } = {}) => {
+    const seq = ++loadSeq.current;
+    let usedCache = false;
+    try {
+      const { rangeStart, rangeEnd } = getViewRange(date, view, days);
 
       // Diagnostic: log which accounts and what range we're querying
       try {
@@ -141,16 +256,37 @@ function App() {
         }
       } catch (e) {}
 
-      for (const account of authenticatedAccounts) {
-        const accountEvents = await googleCalendarService.getEvents(account.id, rangeStart, rangeEnd);
-        allEvents.push(...accountEvents);
+      const cachedEvents = await readCachedRange(authenticatedAccounts, rangeStart, rangeEnd);
+      if (seq !== loadSeq.current) return;
+      if (cachedEvents) {
+        usedCache = true;
+        setEvents(outboxService.applyTo(cachedEvents, rangeStart, rangeEnd));
+      } else {
+        setLoading(true);
       }
 
-      setEvents(allEvents);
+      const { changed } = await syncAccounts(authenticatedAccounts, { maxAgeMs: force ? 0 : SYNC_MAX_AGE_MS });
+      setCalendarErrors(googleCalendarService.getCalendarErrors(authenticatedAccounts.map(a => a.id)));
+      if (seq !== loadSeq.current) return;
+      if (usedCache && !changed) return;
+
+      let allEvents = await readCachedRange(authenticatedAccounts, rangeStart, rangeEnd);
+      if (!allEvents && googleCalendarService.offlineSince) {
+        // Offline and nothing cached for this range: keep whatever is on screen
+        return;
+      }
+      if (!allEvents) {
+        // Range outside the synced window (or sync failed): fetch it live
+        allEvents = await fetchLiveRange(authenticatedAccounts, rangeStart, rangeEnd);
+        setCalendarErrors(googleCalendarService.getCalendarErrors(authenticatedAccounts.map(a => a.id)));
+      }
+      if (seq !== loadSeq.current) return;
+      const next = outboxService.applyTo(allEvents, rangeStart, rangeEnd);
+      setEvents(prev => mergeEvents(prev, next));
     } catch (error) {
       console.error('Failed to load calendar data:', error);
     } finally {
-      setLoading(false);
+      if (seq === loadSeq.current) setLoading(false);
     }
   };
 
@@ -178,6 +314,19 @@ function App() {
     }
   };
 
+  const handleCalendarPrefsChange = (prefs) => {
+    setCalendarPrefs(prefs);
+    storageUtils.saveCalendarPrefs(prefs);
+  };
+
+  const handleAgendaDaysChange = (days) => {
+    setAgendaDays(days);
+    storageUtils.saveAgendaDays(days);
+    if (isAuthenticated && accounts.length > 0) {
+      loadCalendarData(accounts, selectedDate, currentView, { days });
+    }
+  };
+
   const handleViewChange = (view) => {
     // update view and reload data for the current selected date in the new view
     setCurrentView(view);
@@ -323,6 +472,7 @@ function App() {
     try {
       // remove from auth service & persistent store
       await handleLogout(accountId);
+      speakerService.removeProfile(accountId);
     } catch (err) {
       console.error('Failed to remove account', err);
     }
@@ -350,10 +500,40 @@ function App() {
     }
   };
 
+  // Send a write to Google, or queue it in the outbox when Google is unreachable or
+  // earlier offline writes are still waiting (they must be applied first). Queued
+  // writes are shown right away and replayed when connectivity returns.
+  const writeOrQueue = async (send, queue, { forceQueue = false } = {}) => {
+    if (forceQueue || outboxService.pendingCount() > 0) {
+      const result = queue();
+      if (!googleCalendarService.offlineSince) replayOutbox();
+      return { result, queued: true };
+    }
+    try {
+      return { result: await send(), queued: false };
+    } catch (err) {
+      if (!googleCalendarService.isOfflineError(err)) throw err;
+      return { result: queue(), queued: true };
+    }
+  };
+
   const handleEventCreate = async (eventData) => {
     try {
-      const newEvent = await googleCalendarService.createEvent(eventData);
-      setEvents([...events, newEvent]);
+      const { result: newEvent, queued } = await writeOrQueue(
+        () => googleCalendarService.createEvent(eventData),
+        () => outboxService.queueCreate(eventData)
+      );
+      if (queued) {
+        setEvents(prev => [...prev, newEvent]);
+        return newEvent;
+      }
+      if (eventData.recurrence && eventData.recurrence.length) {
+        // The API returns only the series parent; reload so every occurrence in range shows up
+        await loadCalendarData(accounts, selectedDate, currentView);
+      } else {
+        // functional update: a background refresh may have changed (or already added) it
+        setEvents(prev => prev.some(ev => isSameEvent(ev, newEvent)) ? prev : [...prev, newEvent]);
+      }
       return newEvent;
     } catch (error) {
       console.error('Failed to create event:', error);
@@ -361,23 +541,153 @@ function App() {
     }
   };
 
-  // Auto-refresh calendar data every minute while authenticated
-  useEffect(() => {
-    if (!isAuthenticated || !accounts || accounts.length === 0) return;
-    console.debug('[App] starting calendar auto-refresh (5m)');
-    const id = setInterval(() => {
-      try {
-        console.debug('[App] auto-refresh: loading calendar data');
-        loadCalendarData(accounts, selectedDate, currentView);
-      } catch (err) {
-        console.error('[App] auto-refresh failed', err);
+  // Save edits to an existing event and swap the updated copy into state
+  const handleEventUpdate = async (originalEvent, changes, options = {}) => {
+    try {
+      const { result: updated, queued } = await writeOrQueue(
+        () => googleCalendarService.updateEvent(originalEvent, changes, options),
+        () => outboxService.queueUpdate(originalEvent, changes, options),
+        { forceQueue: outboxService.isLocalId(originalEvent.id) }
+      );
+      if (!queued && (options.scope === 'series' || changes.recurrence)) {
+        // Series edits touch every occurrence; reload the range rather than patching them one by one
+        await loadCalendarData(accounts, selectedDate, currentView);
+        return updated;
       }
-    }, 5 * 60 * 1000); // 5 minutes
+      setEvents(prev => prev.map(ev => isSameEvent(ev, originalEvent) ? updated : ev));
+      return updated;
+    } catch (error) {
+      console.error('Failed to update event:', error);
+      throw error;
+    }
+  };
+
+  // Drag-and-drop reschedule: show the new times right away, then save through the
+  // normal update path. If the save fails the event is put back where it was.
+  const handleEventReschedule = async (event, start, end) => {
+    const changes = rescheduleChanges(event, start, end);
+    setRescheduleError(null);
+    setEvents(prev => prev.map(ev => isSameEvent(ev, event)
+      ? { ...ev, ...changes, parsedStart: start, parsedEnd: end, pending: true }
+      : ev));
+    try {
+      await handleEventUpdate(event, changes);
+    } catch (error) {
+      setEvents(prev => prev.map(ev => isSameEvent(ev, event) ? event : ev));
+      setRescheduleError(`Could not move "${event.summary || 'Untitled Event'}": ${error.message || error}`);
+    }
+  };
+
+  // A slot picked in Find a time opens a new event prefilled with it
+  const handleFindTimePick = ({ start, end, accountId }) => {
+    setFindTimeRequest(null);
+    setSlotRequest({
+      date: start,
+      time: format(start, 'HH:mm'),
+      endTime: format(end, 'HH:mm'),
+      accountId
+    });
+  };
+
+  // Delete an event (or its whole series) and drop it from state without reloading the range
+  const handleEventDelete = async (event, scope = 'instance') => {
+    try {
+      const { result: removed } = await writeOrQueue(
+        () => googleCalendarService.deleteEvent(event, { scope }),
+        () => outboxService.queueDelete(event, { scope }),
+        { forceQueue: outboxService.isLocalId(event.id) }
+      );
+      setEvents(prev => prev.filter(ev => {
+        if (ev.accountId !== removed.accountId || ev.calendarId !== removed.calendarId) return true;
+        if (removed.seriesId) return ev.id !== removed.seriesId && ev.recurringEventId !== removed.seriesId;
+        return ev.id !== removed.eventId;
+      }));
+      return removed;
+    } catch (error) {
+      console.error('Failed to delete event:', error);
+      throw error;
+    }
+  };
+
+  // Background refresh: sync deltas for every account and merge them into the events
+  // on screen. Never shows the LoadingScreen. Throws when no account could be synced
+  // so the scheduler backs off.
+  const refreshInBackground = async () => {
+    if (!isAuthenticated || accounts.length === 0) return;
+    const seq = loadSeq.current;
+    const { rangeStart, rangeEnd } = getViewRange(selectedDate, currentView, agendaDays);
+
+    const { changed, synced, lastError } = await syncAccounts(accounts);
+    setCalendarErrors(googleCalendarService.getCalendarErrors(accounts.map(a => a.id)));
+    if (synced === 0 && lastError) throw lastError;
+
+    let fresh = await readCachedRange(accounts, rangeStart, rangeEnd);
+    if (fresh && !changed) return;
+    if (!fresh) {
+      // Range outside the synced window: the sync cannot tell, so fetch it live
+      fresh = await fetchLiveRange(accounts, rangeStart, rangeEnd);
+    }
+    // the user navigated while we were syncing; their own load is authoritative
+    if (seq !== loadSeq.current) return;
+    const next = outboxService.applyTo(fresh, rangeStart, rangeEnd);
+    setEvents(prev => mergeEvents(prev, next));
+  };
+  const refreshRef = useRef(null);
+  refreshRef.current = refreshInBackground;
+
+  // Poll for changes made elsewhere (e.g. from a phone) while authenticated
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    refreshScheduler.start(() => refreshRef.current());
+    return () => refreshScheduler.stop();
+  }, [isAuthenticated]);
+
+  // Always reload with the latest accounts/date/view from listeners registered once
+  const reloadRef = useRef(null);
+  reloadRef.current = () => {
+    if (isAuthenticated && accounts.length > 0) loadCalendarData(accounts, selectedDate, currentView, { force: true });
+  };
+
+  const replayOutbox = async () => {
+    if (outboxService.pendingCount() === 0) return;
+    const result = await outboxService.replay();
+    if (result.applied || result.conflicts.length) reloadRef.current();
+  };
+
+  // Track connectivity and the outbox; replay queued writes once Google answers again
+  useEffect(() => {
+    const onConnectivity = ({ online, offlineSince: since }) => {
+      setOfflineSince(since);
+      if (online) replayOutbox();
+    };
+    const onOutbox = ({ pending, conflicts }) => {
+      setPendingWrites(pending);
+      setSyncConflicts(conflicts);
+    };
+    // The OS noticed the network came back: probe Google right away instead of waiting
+    // out the back-off; a successful sync flips connectivity and triggers the replay
+    const onBrowserOnline = () => refreshScheduler.runNow();
+    const onBrowserOffline = () => googleCalendarService.setOnline(false);
+
+    googleCalendarService.addConnectivityListener(onConnectivity);
+    outboxService.addListener(onOutbox);
+    window.addEventListener('online', onBrowserOnline);
+    window.addEventListener('offline', onBrowserOffline);
     return () => {
-      clearInterval(id);
-      console.debug('[App] stopped calendar auto-refresh');
+      googleCalendarService.removeConnectivityListener(onConnectivity);
+      outboxService.removeListener(onOutbox);
+      window.removeEventListener('online', onBrowserOnline);
+      window.removeEventListener('offline', onBrowserOffline);
     };
-  }, [isAuthenticated, accounts, selectedDate]);
+  }, []);
+
+  // Writes queued in a previous session are replayed once signed in
+  useEffect(() => {
+    if (isAuthenticated && !googleCalendarService.offlineSince) replayOutbox();
+  }, [isAuthenticated]);
+
+  // Dismissing hides the current set of failures; a different failure shows again
+  const calendarErrorsKey = calendarErrors.map(err => `${err.accountId}|${err.calendarId}`).join(',');
 
   // App render
 
@@ -405,7 +715,42 @@ function App() {
         currentView={currentView}
         selectedDate={selectedDate}
         onDateChange={handleDateChange}
+        offlineSince={offlineSince}
+        pendingWrites={pendingWrites}
+        onShowLegend={() => setShowLegend(true)}
+        onShowWakeSettings={() => setShowWakeSettings(true)}
+        onFindTime={() => setFindTimeRequest({ query: '' })}
+        agendaDays={agendaDays}
+        peopleMode={peopleMode}
       />
+      {syncConflicts.length > 0 && (
+        <div className="app-notice" role="alert">
+          <div className="app-notice-list">
+            {syncConflicts.map(c => <div key={c.id}>{c.message}</div>)}
+          </div>
+          <button className="btn btn-small" onClick={() => outboxService.dismissConflicts()}>Dismiss</button>
+        </div>
+      )}
+      {rescheduleError && (
+        <div className="app-notice" role="alert">
+          <div className="app-notice-list">{rescheduleError}</div>
+          <button className="btn btn-small" onClick={() => setRescheduleError(null)}>Dismiss</button>
+        </div>
+      )}
+      {calendarErrors.length > 0 && calendarErrorsKey !== dismissedErrors && (
+        <div className="app-notice" role="status">
+          <div className="app-notice-list">
+            {calendarErrors.map(err => (
+              <div key={`${err.accountId}|${err.calendarId}`} title={err.message}>
+                {err.calendarId
+                  ? `Could not load "${err.calendarName}" (${err.accountEmail}); other calendars are shown.`
+                  : `Could not load calendars for ${err.accountEmail}.`}
+              </div>
+            ))}
+          </div>
+          <button className="btn btn-small" onClick={() => setDismissedErrors(calendarErrorsKey)}>Dismiss</button>
+        </div>
+      )}
       {showAddModal && (
         <ErrorBoundary>
           <AddAccountModal
@@ -426,6 +771,36 @@ function App() {
           />
         </ErrorBoundary>
       )}
+      {showLegend && (
+        <ErrorBoundary>
+          <CalendarLegend
+            isOpen={showLegend}
+            accounts={accounts}
+            prefs={calendarPrefs}
+            onChange={handleCalendarPrefsChange}
+            onClose={() => setShowLegend(false)}
+          />
+        </ErrorBoundary>
+      )}
+      {showWakeSettings && (
+        <ErrorBoundary>
+          <WakeWordSettings
+            isOpen={showWakeSettings}
+            onClose={() => setShowWakeSettings(false)}
+          />
+        </ErrorBoundary>
+      )}
+      {findTimeRequest && (
+        <ErrorBoundary>
+          <FindTimeModal
+            request={findTimeRequest}
+            accounts={accounts}
+            selectedDate={selectedDate}
+            onPick={handleFindTimePick}
+            onClose={() => setFindTimeRequest(null)}
+          />
+        </ErrorBoundary>
+      )}
       <div className="main-content" style={{ padding: '16px' }}>
         <CalendarView
           view={currentView}
@@ -433,7 +808,17 @@ function App() {
           selectedDate={selectedDate}
           onDateChange={handleDateChange}
           onEventCreate={handleEventCreate}
+          onEventUpdate={handleEventUpdate}
+          onEventDelete={handleEventDelete}
+          onEventReschedule={handleEventReschedule}
+          onFindTime={(query, lang) => setFindTimeRequest({ query, lang })}
+          slotRequest={slotRequest}
           accounts={accounts}
+          calendarPrefs={calendarPrefs}
+          agendaDays={agendaDays}
+          onAgendaDaysChange={handleAgendaDaysChange}
+          peopleMode={peopleMode}
+          onPeopleModeChange={setPeopleMode}
         />
       </div>
       <OnScreenKeyboard visible={keyboardVisible} onClose={() => setKeyboardVisible(false)} />
@@ -1,8 +1,15 @@
 import React, { useState, useEffect } from 'react';
+import { speakerService, ENROLL_PHRASES } from '../services/speakerService';
+import { voiceSearchService } from '../services/voiceSearchService';
+import { wakeWordService } from '../services/wakeWordService';
+import { storageUtils } from '../utils/storage';
 import './AccountsManagerModal.css';
 
 const AccountsManagerModal = ({ isOpen, accounts = [], onClose, onSave, onRemove }) => {
   const [local, setLocal] = useState([]);
+  // voice enrollment: account being recorded and the last message per account
+  const [recordingId, setRecordingId] = useState(null);
+  const [voiceStatus, setVoiceStatus] = useState({});
 
   useEffect(() => {
     setLocal((accounts || []).map(a => ({ id: a.id, name: a.name, nickname: a.nickname || '', alias_ru: a.alias_ru || '', alias_en: a.alias_en || '', email: a.email || '' })));
@@ -14,6 +21,52 @@ const AccountsManagerModal = ({ isOpen, accounts = [], onClose, onSave, onRemove
     setLocal(prev => prev.map(item => item.id === id ? { ...item, [field]: value } : item));
   };
 
+  const setStatus = (id, message) => setVoiceStatus(prev => ({ ...prev, [id]: message }));
+
+  const recordPhrase = async (id) => {
+    setRecordingId(id);
+    setStatus(id, 'Listening…');
+    // the wake listener would take the microphone and answer the phrase as a question
+    wakeWordService.stop();
+    try {
+      const { text, vector } = await voiceSearchService.recordVoicePrint({ deviceId: storageUtils.getSelectedMic() || undefined });
+      speakerService.addSample(id, vector);
+      setStatus(id, `Recorded “${text}”`);
+    } catch (err) {
+      console.warn('voice enrollment failed', err);
+      setStatus(id, err.code === 'no_speech' ? 'No speech heard, try again' : (err.message || String(err)));
+    } finally {
+      wakeWordService.start({ lang: wakeWordService.lang });
+      setRecordingId(null);
+    }
+  };
+
+  const forgetVoice = (id) => {
+    speakerService.removeProfile(id);
+    setStatus(id, 'Voice forgotten');
+  };
+
+  // Optional voice enrollment: a few phrases let "what do I have tomorrow" find this account
+  const renderVoiceProfile = (id) => {
+    const count = speakerService.sampleCount(id);
+    const phrase = ENROLL_PHRASES[count % ENROLL_PHRASES.length];
+    return (
+      <div className="voice-profile">
+        <div>
+          Voice: {count ? `${count} phrase${count === 1 ? '' : 's'} recorded` : 'not enrolled'}
+          {count < ENROLL_PHRASES.length && <span className="voice-phrase"> Say: “{phrase.ru}” or “{phrase.en}”</span>}
+        </div>
+        <div className="voice-actions">
+          <button className="btn btn-small" disabled={!!recordingId} onClick={() => recordPhrase(id)}>
+            {recordingId === id ? 'Listening…' : 'Record phrase'}
+          </button>
+          {count > 0 && <button className="btn btn-small" disabled={!!recordingId} onClick={() => forgetVoice(id)}>Forget voice</button>}
+          {voiceStatus[id] && <span className="voice-status">{voiceStatus[id]}</span>}
+        </div>
+      </div>
+    );
+  };
+
   return (
     <div className="accounts-manager-modal">
       <div className="modal-content">
@@ -28,6 +81,7 @@ const AccountsManagerModal = ({ isOpen, accounts = [], onClose, onSave, onRemove
                   <input type="text" value={acc.alias_ru} onChange={(e) => updateField(acc.id, 'alias_ru', e.target.value)} placeholder="Alias (RU) e.g. Саша" />
                   <input type="text" value={acc.alias_en} onChange={(e) => updateField(acc.id, 'alias_en', e.target.value)} placeholder="Alias (EN) e.g. Sasha" />
                 </div>
+                {renderVoiceProfile(acc.id)}
               </div>
               <div className="right">
                 <button className="btn btn-small" onClick={() => onSave && onSave(acc.id, { nickname: acc.nickname, alias_ru: acc.alias_ru, alias_en: acc.alias_en })}>Save</button>
@@ -0,0 +1,129 @@
+import React from 'react';
+import { addDays, isSameDay, isToday, isTomorrow, startOfDay, endOfDay } from 'date-fns';
+import { safeFormat } from '../utils/dateUtils';
+import { eventColorStyle } from '../utils/calendarPrefs';
+import './AgendaView.css';
+
+export const AGENDA_DAY_OPTIONS = [7, 14, 30];
+
+// Scrolling "what's coming up" list: the next `days` days from selectedDate grouped
+// by date, all-day events first. Empty days are skipped except today and tomorrow.
+const AgendaView = ({
+  events,
+  selectedDate,
+  onTimeSlotClick,
+  onEventClick,
+  accounts,
+  calendarPrefs,
+  days = 14,
+  onDaysChange
+}) => {
+  const start = startOfDay(selectedDate || new Date());
+
+  const ownerName = (event) => {
+    const account = accounts.find(acc => acc.id === event.accountId);
+    if (!account) return event.accountEmail || '';
+    return account.nickname || account.name || account.email;
+  };
+
+  const getEventsForDay = (day) => {
+    const dayStart = startOfDay(day);
+    const dayEnd = endOfDay(day);
+    const dayEvents = events.filter(event => {
+      if (!event.parsedStart) return false;
+      const end = event.parsedEnd || event.parsedStart;
+      // an event ending at midnight is not on the day that starts then
+      return event.parsedStart <= dayEnd && (end > dayStart || event.parsedStart >= dayStart);
+    });
+    // all-day first, then by start time
+    return dayEvents.sort((a, b) => {
+      if (a.allDay !== b.allDay) return a.allDay ? -1 : 1;
+      return a.parsedStart - b.parsedStart;
+    });
+  };
+
+  const dayLabel = (day) => {
+    if (isToday(day)) return 'Today';
+    if (isTomorrow(day)) return 'Tomorrow';
+    return safeFormat(day, 'EEEE', '');
+  };
+
+  const timeLabel = (event, day) => {
+    if (event.allDay) return 'All day';
+    const startsToday = isSameDay(event.parsedStart, day);
+    const endsToday = isSameDay(event.parsedEnd, day);
+    // events spanning midnight show where they continue from / to
+    const from = startsToday ? safeFormat(event.parsedStart, 'HH:mm', '') : '…';
+    const to = endsToday ? safeFormat(event.parsedEnd, 'HH:mm', '') : '…';
+    return `${from} – ${to}`;
+  };
+
+  const renderEvent = (event, day, index) => {
+    const accountIndex = accounts.findIndex(acc => acc.id === event.accountId);
+    return (
+      <div
+        key={`${event.accountId}-${event.id}-${index}`}
+        className={`agenda-event ${event.allDay ? 'all-day' : ''} ${event.pending ? 'pending' : ''}`}
+        onClick={() => onEventClick(event)}
+      >
+        <span className={`agenda-event-dot event-account-${(accountIndex % 6) + 1}`} style={eventColorStyle(event, calendarPrefs)} />
+        <span className="agenda-event-time">{timeLabel(event, day)}</span>
+        <span className="agenda-event-title">{event.summary || event.title || 'Untitled Event'}</span>
+        {event.location && <span className="agenda-event-location">{event.location}</span>}
+        <span className="agenda-event-owner">{ownerName(event)}</span>
+      </div>
+    );
+  };
+
+  const renderDays = () => {
+    const groups = [];
+    for (let i = 0; i < days; i++) {
+      const day = addDays(start, i);
+      const dayEvents = getEventsForDay(day);
+      const highlight = isToday(day) || isTomorrow(day);
+      if (dayEvents.length === 0 && !highlight) continue;
+
+      groups.push(
+        <section
+          key={day.toISOString()}
+          className={`agenda-day ${isToday(day) ? 'today' : ''} ${isTomorrow(day) ? 'tomorrow' : ''}`}
+        >
+          <div className="agenda-day-header" onClick={() => onTimeSlotClick(day, '09:00')}>
+            <span className="agenda-day-name">{dayLabel(day)}</span>
+            <span className="agenda-day-date">{safeFormat(day, 'd MMMM', '')}</span>
+            <span className="agenda-add-hint">+ Add</span>
+          </div>
+          {dayEvents.length > 0
+            ? dayEvents.map((event, index) => renderEvent(event, day, index))
+            : <div className="agenda-empty">Nothing scheduled</div>}
+        </section>
+      );
+    }
+    if (groups.length === 0) {
+      return <div className="agenda-empty">Nothing scheduled in the next {days} days</div>;
+    }
+    return groups;
+  };
+
+  return (
+    <div className="agenda-view">
+      <div className="agenda-toolbar">
+        <span>Next</span>
+        {AGENDA_DAY_OPTIONS.map(option => (
+          <button
+            key={option}
+            className={`btn btn-small agenda-range-btn ${days === option ? 'active' : ''}`}
+            onClick={() => onDaysChange && onDaysChange(option)}
+          >
+            {option} days
+          </button>
+        ))}
+      </div>
+      <div className="agenda-body">
+        {renderDays()}
+      </div>
+    </div>
+  );
+};
+
+export default AgendaView;
@@ -0,0 +1,158 @@
+import React, { useState, useEffect } from 'react';
+import { googleCalendarService } from '../services/GoogleCalendarService';
+import { refreshScheduler } from '../services/RefreshScheduler';
+import {
+  ACCOUNT_COLORS,
+  getAccountPref,
+  getCalendarPref,
+  updateAccountPref,
+  updateCalendarPref
+} from '../utils/calendarPrefs';
+import './CalendarLegend.css';
+
+const REFRESH_INTERVALS = [1, 2, 5, 10, 15, 30];
+
+// Legend / filter panel: every account and its calendars with show/hide toggles and
+// custom colors. `prefs` is the object described in utils/calendarPrefs; every change
+// is reported through onChange(nextPrefs) and persisted by App. The background refresh
+// interval and night pause at the bottom go straight to refreshScheduler, which saves them.
+const CalendarLegend = ({ isOpen, accounts = [], prefs = {}, onChange, onClose }) => {
+  const [calendarsByAccount, setCalendarsByAccount] = useState({});
+  const [refreshConfig, setRefreshConfig] = useState(() => refreshScheduler.getConfig());
+
+  useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+    (async () => {
+      const next = {};
+      await Promise.all(accounts.map(async (account) => {
+        try {
+          next[account.id] = await googleCalendarService.getKnownCalendars(account.id);
+        } catch (err) {
+          console.warn('Failed to load calendars for legend', account.id, err);
+          next[account.id] = [];
+        }
+      }));
+      if (!cancelled) setCalendarsByAccount(next);
+    })();
+    return () => { cancelled = true; };
+  }, [accounts, isOpen]);
+
+  if (!isOpen) return null;
+
+  const updateRefresh = (changes) => {
+    refreshScheduler.setConfig(changes);
+    setRefreshConfig(refreshScheduler.getConfig());
+  };
+
+  const renderRefreshSettings = () => (
+    <div className="legend-refresh">
+      <h3>Background refresh</h3>
+      <div className="legend-row">
+        <span className="legend-name">Check for changes every</span>
+        <select
+          value={refreshConfig.intervalMinutes}
+          onChange={(e) => updateRefresh({ intervalMinutes: Number(e.target.value) })}
+        >
+          {[...new Set([...REFRESH_INTERVALS, Number(refreshConfig.intervalMinutes)])].sort((a, b) => a - b).map(min => (
+            <option key={min} value={min}>{min === 1 ? '1 minute' : `${min} minutes`}</option>
+          ))}
+        </select>
+      </div>
+      <div className="legend-row">
+        <span className="legend-name">Pause at night</span>
+        <span className="legend-night">
+          <input type="time" value={refreshConfig.nightStart} onChange={(e) => updateRefresh({ nightStart: e.target.value })} />
+          –
+          <input type="time" value={refreshConfig.nightEnd} onChange={(e) => updateRefresh({ nightEnd: e.target.value })} />
+        </span>
+      </div>
+      <div className="legend-sub">The same start and end time turns the night pause off.</div>
+    </div>
+  );
+
+  const renderColorControls = (color, fallback, onColor) => (
+    <div className="legend-color">
+      <input
+        type="color"
+        value={color || fallback}
+        onChange={(e) => onColor(e.target.value)}
+        title="Pick a color"
+      />
+      {color && (
+        <button className="btn btn-small btn-secondary" onClick={() => onColor(null)} title="Back to the default color">
+          Reset
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="calendar-legend-modal" onClick={onClose}>
+      <div className="calendar-legend" onClick={(e) => e.stopPropagation()}>
+        <div className="legend-header">
+          <h2>Calendars</h2>
+          <button className="btn btn-small" onClick={onClose}>Close</button>
+        </div>
+
+        {accounts.map((account, index) => {
+          const accountPref = getAccountPref(prefs, account.id);
+          const accountColor = accountPref.color || ACCOUNT_COLORS[index % ACCOUNT_COLORS.length];
+          const calendars = calendarsByAccount[account.id] || [];
+          return (
+            <div key={account.id} className={`legend-account ${accountPref.hidden ? 'hidden' : ''}`}>
+              <div className="legend-row legend-account-row">
+                <label className="legend-toggle">
+                  <input
+                    type="checkbox"
+                    checked={!accountPref.hidden}
+                    onChange={() => onChange(updateAccountPref(prefs, account.id, { hidden: !accountPref.hidden }))}
+                  />
+                  <span className="legend-swatch" style={{ background: accountColor }} />
+                  <span className="legend-name">{account.nickname || account.name || account.email}</span>
+                  {account.nickname && <span className="legend-sub">{account.email}</span>}
+                </label>
+                {renderColorControls(accountPref.color, ACCOUNT_COLORS[index % ACCOUNT_COLORS.length],
+                  (color) => onChange(updateAccountPref(prefs, account.id, { color })))}
+              </div>
+
+              {calendars.map(calendar => {
+                const calendarPref = getCalendarPref(prefs, account.id, calendar.id);
+                return (
+                  <div key={calendar.id} className={`legend-row legend-calendar-row ${calendarPref.hidden ? 'hidden' : ''}`}>
+                    <label className="legend-toggle">
+                      <input
+                        type="checkbox"
+                        checked={!calendarPref.hidden}
+                        disabled={!!accountPref.hidden}
+                        onChange={() => onChange(updateCalendarPref(prefs, account.id, calendar.id, { hidden: !calendarPref.hidden }))}
+                      />
+                      <span className="legend-swatch" style={{ background: calendarPref.color || accountColor }} />
+                      <span className="legend-name">{calendar.summaryOverride || calendar.summary || calendar.id}</span>
+                      {calendar.primary && <span className="legend-sub">primary</span>}
+                    </label>
+                    {!calendar.primary && (
+                      <button
+                        className={`btn btn-small legend-person-btn ${calendarPref.member ? 'active' : ''}`}
+                        onClick={() => onChange(updateCalendarPref(prefs, account.id, calendar.id, { member: !calendarPref.member }))}
+                        title="Give this calendar its own column in the People view"
+                      >
+                        Person
+                      </button>
+                    )}
+                    {renderColorControls(calendarPref.color, accountColor,
+                      (color) => onChange(updateCalendarPref(prefs, account.id, calendar.id, { color })))}
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })}
+
+        {renderRefreshSettings()}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarLegend;
@@ -1,8 +1,11 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import MonthView from './MonthView';
 import WeekView from './WeekView';
 import DayView from './DayView';
+import AgendaView from './AgendaView';
+import PeopleView from './PeopleView';
 import EventModal from './EventModal';
+import { isEventVisible } from '../utils/calendarPrefs';
 import './CalendarView.css';
 
 const CalendarView = ({ 
@@ -11,12 +14,36 @@ const CalendarView = ({
   selectedDate, 
   onDateChange, 
   onEventCreate, 
-  accounts 
+  onEventUpdate,
+  onEventDelete,
+  onEventReschedule,
+  onFindTime,
+  slotRequest,
+  accounts,
+  calendarPrefs = {},
+  agendaDays,
+  onAgendaDaysChange,
+  peopleMode,
+  onPeopleModeChange
 }) => {
   const [showEventModal, setShowEventModal] = useState(false);
   const [selectedTimeSlot, setSelectedTimeSlot] = useState(null);
   const [editingEvent, setEditingEvent] = useState(null);
 
+  // Calendars switched off in the legend are hidden from every view
+  const visibleEvents = useMemo(
+    () => (events || []).filter(event => isEventVisible(event, calendarPrefs)),
+    [events, calendarPrefs]
+  );
+
+  // Open a new event on a slot chosen elsewhere (Find a time): { date, time, endTime, accountId }
+  useEffect(() => {
+    if (!slotRequest) return;
+    setSelectedTimeSlot(slotRequest);
+    setEditingEvent(null);
+    setShowEventModal(true);
+  }, [slotRequest]);
+
   const handleTimeSlotClick = (date, time) => {
     setSelectedTimeSlot({ date, time });
     setEditingEvent(null);
@@ -42,6 +69,32 @@ const CalendarView = ({
     }
   };
 
+  const handleEventUpdate = async (originalEvent, changes, options) => {
+    try {
+      await onEventUpdate(originalEvent, changes, options);
+      setShowEventModal(false);
+      setSelectedTimeSlot(null);
+      setEditingEvent(null);
+    } catch (error) {
+      console.error('Failed to update event:', error);
+      // Error handling will be done in the modal
+      throw error;
+    }
+  };
+
+  const handleEventDelete = async (event, scope) => {
+    try {
+      await onEventDelete(event, scope);
+      setShowEventModal(false);
+      setSelectedTimeSlot(null);
+      setEditingEvent(null);
+    } catch (error) {
+      console.error('Failed to delete event:', error);
+      // Error handling will be done in the modal
+      throw error;
+    }
+  };
+
   const handleModalClose = () => {
     setShowEventModal(false);
     setSelectedTimeSlot(null);
@@ -50,22 +103,27 @@ const CalendarView = ({
 
   const renderCalendarView = () => {
     const commonProps = {
-      events,
+      events: visibleEvents,
       selectedDate,
       onDateChange,
       onTimeSlotClick: handleTimeSlotClick,
       onEventClick: handleEventClick,
-      accounts
+      accounts,
+      calendarPrefs
     };
 
     switch (view) {
       case 'day':
-        return <DayView {...commonProps} />;
+        return <DayView {...commonProps} onEventReschedule={onEventReschedule} />;
       case 'week':
-        return <WeekView {...commonProps} />;
+        return <WeekView {...commonProps} onEventReschedule={onEventReschedule} />;
+      case 'agenda':
+        return <AgendaView {...commonProps} days={agendaDays} onDaysChange={onAgendaDaysChange} />;
+      case 'people':
+        return <PeopleView {...commonProps} mode={peopleMode} onModeChange={onPeopleModeChange} />;
       case 'month':
       default:
-        return <MonthView {...commonProps} />;
+        return <MonthView {...commonProps} onEventReschedule={onEventReschedule} onEventCreate={onEventCreate} onFindTime={onFindTime} />;
     }
   };
 
@@ -80,6 +138,8 @@ const CalendarView = ({
           isOpen={showEventModal}
           onClose={handleModalClose}
           onEventCreate={handleEventCreate}
+          onEventUpdate={handleEventUpdate}
+          onEventDelete={handleEventDelete}
           selectedTimeSlot={selectedTimeSlot}
           editingEvent={editingEvent}
           accounts={accounts}
@@ -1,6 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { addHours, isSameDay, isToday } from 'date-fns';
 import { safeFormat, safeParse } from '../utils/dateUtils';
+import { eventColorStyle } from '../utils/calendarPrefs';
+import { layoutDayEvents, MINUTES_PER_DAY } from '../utils/eventLayout';
+import { useEventDrag, dragTimes, isDragged } from '../utils/useEventDrag';
 import './DayView.css';
 import { geminiService } from '../services/GeminiService';
 import { speak } from '../services/ttsService';
@@ -11,7 +14,9 @@ const DayView = ({
   onDateChange, 
   onTimeSlotClick, 
   onEventClick, 
-  accounts 
+  accounts,
+  calendarPrefs,
+  onEventReschedule
 }) => {
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [assistantText, setAssistantText] = useState('');
@@ -21,19 +26,35 @@ const DayView = ({
   const parsedSelected = safeParse(selectedDate) || new Date();
   const scheduleRef = useRef(null);
   const touchState = useRef({ startY: 0, startScroll: 0, isDragging: false });
+  const eventsLayerRef = useRef(null);
+
+  // Long-press an event to move it, or its bottom edge to change the duration
+  const { drag, startPress, isDragClick } = useEventDrag({
+    onDrop: onEventReschedule,
+    compute: (press, dx, dy) => dragTimes(press.event, press.mode, dy / press.context.minutePx)
+  });
+  // the touch/mouse scroll handlers below stand still while an event is dragged
+  const eventDragRef = useRef(false);
+  eventDragRef.current = !!drag;
+
+  const pressEvent = (e, event, mode) => {
+    const layer = eventsLayerRef.current;
+    if (!layer) return;
+    startPress(e, event, mode, { minutePx: layer.getBoundingClientRect().height / MINUTES_PER_DAY });
+  };
 
   // Use renderer-normalized parsedStart/parsedEnd/allDay fields that GoogleCalendarService provides
   const dayEvents = events.filter(event => {
     const eventStart = event.parsedStart || safeParse(event.start?.dateTime || event.start?.date);
     const eventEnd = event.parsedEnd || safeParse(event.end?.dateTime || event.end?.date);
     if (!eventStart) return false;
-    // Include if event overlaps the selected day (inclusive)
+    // Include if event overlaps the selected day; ending at its midnight does not count
     try {
       const dayStart = new Date(parsedSelected);
       dayStart.setHours(0,0,0,0);
       const dayEnd = new Date(parsedSelected);
       dayEnd.setHours(23,59,59,999);
-      if (eventEnd && (eventEnd < dayStart || eventStart > dayEnd)) return false;
+      if (eventEnd && ((eventEnd <= dayStart && eventStart < dayStart) || eventStart > dayEnd)) return false;
       return true;
     } catch (e) {
       return isSameDay(eventStart, parsedSelected);
@@ -48,21 +69,6 @@ const DayView = ({
     return dayEvents.filter(event => !event.allDay);
   };
 
-  const getEventsForHour = (hour) => {
-    return getTimedEvents().filter(event => {
-      const eventStart = event.parsedStart || safeParse(event.start?.dateTime);
-      const eventEnd = event.parsedEnd || safeParse(event.end?.dateTime);
-      if (!eventStart || !eventEnd) return false;
-      // Hour interval [hour:00, hour+1:00)
-      const slotStart = new Date(eventStart);
-      slotStart.setHours(hour, 0, 0, 0);
-      const slotEnd = new Date(slotStart);
-      slotEnd.setHours(hour + 1, 0, 0, 0);
-      // Overlaps if eventStart < slotEnd && eventEnd > slotStart
-      return (eventStart < slotEnd) && (eventEnd > slotStart);
-    });
-  };
-
   const renderHeader = () => {
     return (
       <div className="day-header">
@@ -143,6 +149,7 @@ const DayView = ({
               <div
                 key={index}
                 className={`all-day-event event-account-${(accountIndex % 6) + 1}`}
+                style={eventColorStyle(event, calendarPrefs)}
                 onClick={() => onEventClick(event)}
                 title={`${event.summary || event.title} - ${event.accountName || 'Unknown'}`}
               >
@@ -160,11 +167,11 @@ const DayView = ({
     );
   };
 
-  const renderTimeSlots = () => {
+  const renderTimeSlots = (layout) => {
     return hours.map(hour => {
     const timeLabel = safeFormat(addHours(new Date().setHours(hour, 0, 0, 0), 0), 'HH:mm', '');
-      const hourEvents = getEventsForHour(hour);
-      
+      const busy = layout.some(item => item.top < (hour + 1) * 60 && item.top + item.height > hour * 60);
+
       return (
         <div key={hour} id={`hour-slot-${hour}`} className="day-time-slot">
           <div className="time-label">{timeLabel}</div>
@@ -172,44 +179,7 @@ const DayView = ({
             className="time-content"
             onClick={() => onTimeSlotClick(selectedDate, timeLabel)}
           >
-            {hourEvents.map((event, index) => {
-              const accountIndex = accounts.findIndex(acc => acc.id === event.accountId);
-              const startTime = safeParse(event.start.dateTime);
-              const endTime = safeParse(event.end.dateTime);
-              if (!startTime || !endTime) return null;
-              const duration = (endTime - startTime) / (1000 * 60); // minutes
-              
-              return (
-                <div
-                  key={index}
-                  className={`day-event event-account-${(accountIndex % 6) + 1}`}
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    onEventClick(event);
-                  }}
-                  title={`${event.summary || event.title} - ${event.accountName || 'Unknown'}`}
-                  style={{
-                    height: Math.max(30, (duration / 60) * 60) + 'px' // Minimum 30px height
-                  }}
-                >
-                  <div className="day-event-time">
-                    {safeFormat(startTime, 'HH:mm', '')} - {safeFormat(endTime, 'HH:mm', '')}
-                  </div>
-                  <div className="day-event-title">
-                    {event.summary || event.title || 'Untitled Event'}
-                  </div>
-                  <div className="day-event-details">
-                    {event.location && (
-                      <span className="event-location">📍 {event.location}</span>
-                    )}
-                    <span className="event-account">
-                      {event.accountName || event.accountEmail}
-                    </span>
-                  </div>
-                </div>
-              );
-            })}
-            {hourEvents.length === 0 && (
+            {!busy && (
               <div className="empty-slot-hint">
                 Click to add event at {timeLabel}
               </div>
@@ -220,6 +190,86 @@ const DayView = ({
     });
   };
 
+  // Timed events positioned over the hour rows by exact minutes (percentages of the
+  // 24 hour grid); overlapping events share the width side by side (utils/eventLayout)
+  const renderTimedEvents = (layout) => (
+    <div className="day-events-layer" ref={eventsLayerRef}>
+      {layout.map(({ event, top, height, left, width }, index) => {
+        const accountIndex = accounts.findIndex(acc => acc.id === event.accountId);
+        const startTime = event.parsedStart;
+        const endTime = event.parsedEnd || event.parsedStart;
+        const compact = height < 45;
+        return (
+          <div
+            key={`${event.accountId}-${event.id}-${index}`}
+            className={`day-event event-account-${(accountIndex % 6) + 1} ${compact ? 'compact' : ''} ${isDragged(drag, event) ? 'drag-source' : ''}`}
+            onPointerDown={(e) => pressEvent(e, event, 'move')}
+            onClick={(e) => {
+              e.stopPropagation();
+              if (isDragClick()) return;
+              onEventClick(event);
+            }}
+            title={`${event.summary || event.title} - ${event.accountName || 'Unknown'}`}
+            style={{
+              ...eventColorStyle(event, calendarPrefs),
+              top: `${(top / MINUTES_PER_DAY) * 100}%`,
+              height: `calc(${(height / MINUTES_PER_DAY) * 100}% - 2px)`,
+              left: `${left * 100}%`,
+              width: `calc(${width * 100}% - 4px)`
+            }}
+          >
+            <div className="day-event-time">
+              {safeFormat(startTime, 'HH:mm', '')} - {safeFormat(endTime, 'HH:mm', '')}
+            </div>
+            <div className="day-event-title">
+              {event.summary || event.title || 'Untitled Event'}
+            </div>
+            {!compact && (
+              <div className="day-event-details">
+                {event.location && (
+                  <span className="event-location">📍 {event.location}</span>
+                )}
+                <span className="event-account">
+                  {event.accountName || event.accountEmail}
+                </span>
+              </div>
+            )}
+            {onEventReschedule && !event.readOnly && (
+              <div className="event-resize-handle" onPointerDown={(e) => pressEvent(e, event, 'resize')} />
+            )}
+          </div>
+        );
+      })}
+      {drag && renderDragPreview()}
+    </div>
+  );
+
+  // Where the dragged event will land, with its new times
+  const renderDragPreview = () => {
+    const [item] = layoutDayEvents([{ ...drag.event, parsedStart: drag.start, parsedEnd: drag.end }], parsedSelected);
+    if (!item) return null;
+    const accountIndex = accounts.findIndex(acc => acc.id === drag.event.accountId);
+    return (
+      <div
+        className={`day-event drag-preview event-account-${(accountIndex % 6) + 1}`}
+        style={{
+          ...eventColorStyle(drag.event, calendarPrefs),
+          top: `${(item.top / MINUTES_PER_DAY) * 100}%`,
+          height: `calc(${(item.height / MINUTES_PER_DAY) * 100}% - 2px)`,
+          left: 0,
+          width: 'calc(100% - 4px)'
+        }}
+      >
+        <div className="day-event-time">
+          {safeFormat(drag.start, 'HH:mm', '')} - {safeFormat(drag.end, 'HH:mm', '')}
+        </div>
+        <div className="day-event-title">
+          {drag.event.summary || drag.event.title || 'Untitled Event'}
+        </div>
+      </div>
+    );
+  };
+
   // Auto-scroll to current hour when viewing today, or scroll to top otherwise
   useEffect(() => {
     const container = scheduleRef.current;
@@ -293,6 +343,10 @@ const DayView = ({
     };
     const onTouchMove = (ev) => {
       if (!touchState.current.isDragging) return;
+      if (eventDragRef.current) {
+        ev.preventDefault();
+        return;
+      }
       const t = ev.touches && ev.touches[0];
       if (!t) return;
       const dy = t.clientY - touchState.current.startY;
@@ -324,7 +378,7 @@ const DayView = ({
       ev.preventDefault();
     };
     const onMouseMove = (ev) => {
-      if (!touchState.current.isDragging) return;
+      if (!touchState.current.isDragging || eventDragRef.current) return;
       const dy = ev.clientY - touchState.current.startY;
       try {
         const cs = window.getComputedStyle(container);
@@ -361,6 +415,8 @@ const DayView = ({
     return () => container.removeEventListener('scroll', onScroll);
   }, [scheduleRef]);
 
+  const timedLayout = layoutDayEvents(getTimedEvents(), parsedSelected);
+
   return (
     <div className="day-view">
       {renderHeader()}
@@ -371,7 +427,10 @@ const DayView = ({
       )}
       {renderAllDayEvents()}
       <div className="day-schedule" ref={scheduleRef}>
-        {renderTimeSlots()}
+        <div className="day-grid">
+          {renderTimeSlots(timedLayout)}
+          {renderTimedEvents(timedLayout)}
+        </div>
       </div>
     </div>
   );
@@ -1,12 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { format } from 'date-fns';
 import { safeFormat, safeParse } from '../utils/dateUtils';
+import { emptyRule, parseRRule, buildRRule } from '../utils/recurrence';
+import { googleCalendarService } from '../services/GoogleCalendarService';
+import { storageUtils } from '../utils/storage';
+import RecurrenceEditor from './RecurrenceEditor';
 import './EventModal.css';
 
 const EventModal = ({
   isOpen,
   onClose,
   onEventCreate,
+  onEventUpdate,
+  onEventDelete,
   selectedTimeSlot,
   editingEvent,
   accounts
@@ -21,12 +27,19 @@ const EventModal = ({
     endTime: '',
     isAllDay: false,
     accountId: '',
+    calendarId: '',
     participants: [],
-    reminders: [15]
+    reminders: [15],
+    recurrence: emptyRule()
   });
 
+  // For an occurrence of a repeating event: edit just this one ('instance') or all of them ('series')
+  const [editScope, setEditScope] = useState('instance');
+  // Writable calendars of the selected account, for the calendar picker
+  const [calendars, setCalendars] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
 
   useEffect(() => {
     if (selectedTimeSlot && !editingEvent) {
@@ -39,13 +52,15 @@ const EventModal = ({
         startDate: dateStr,
         startTime: selectedTimeSlot.time || '09:00',
         endDate: dateStr,
-        endTime: selectedTimeSlot.time ? 
+        endTime: selectedTimeSlot.endTime || (selectedTimeSlot.time ? 
           safeFormat(new Date(`${'2000-01-01'} ${selectedTimeSlot.time}`), 'HH:mm', '10:00') :
-          '10:00',
+          '10:00'),
         isAllDay: false,
-        accountId: accounts[0]?.id || '',
+        accountId: selectedTimeSlot.accountId || accounts[0]?.id || '',
+        calendarId: '',
         participants: [],
-        reminders: [15]
+        reminders: [15],
+        recurrence: emptyRule()
       });
     } else if (editingEvent) {
       // Editing existing event
@@ -62,12 +77,61 @@ const EventModal = ({
   endTime: editingEvent.end?.dateTime ? safeFormat(endDate, 'HH:mm', '') : '',
         isAllDay: !editingEvent.start?.dateTime,
         accountId: editingEvent.accountId || accounts[0]?.id || '',
+        calendarId: editingEvent.calendarId || '',
         participants: editingEvent.participants || [],
-        reminders: editingEvent.reminders || [15]
+        // Google returns { useDefault, overrides: [{ method, minutes }] }; keep only the minutes
+        reminders: Array.isArray(editingEvent.reminders)
+          ? editingEvent.reminders
+          : (editingEvent.reminders?.overrides || []).map(o => o.minutes),
+        // Occurrences of a series carry no rule themselves; it is loaded from the parent when needed
+        recurrence: parseRRule(editingEvent.recurrence)
       });
+      setEditScope('instance');
     }
   }, [selectedTimeSlot, editingEvent, accounts]);
 
+  // Load the account's writable calendars and preselect the one used last time
+  useEffect(() => {
+    if (editingEvent || !eventData.accountId) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const list = await googleCalendarService.getWritableCalendars(eventData.accountId);
+        if (cancelled) return;
+        setCalendars(list);
+        const last = storageUtils.getLastCalendar(eventData.accountId);
+        const preferred = list.find(c => c.id === last) || list.find(c => c.primary) || list[0];
+        setEventData(prev => ({ ...prev, calendarId: preferred ? preferred.id : 'primary' }));
+      } catch (err) {
+        console.warn('Failed to load calendars for account', eventData.accountId, err);
+        if (!cancelled) {
+          setCalendars([]);
+          setEventData(prev => ({ ...prev, calendarId: 'primary' }));
+        }
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [editingEvent, eventData.accountId]);
+
+  // Switching to "all events" needs the series rule, which lives on the parent event
+  useEffect(() => {
+    if (!editingEvent || !editingEvent.recurringEventId || editScope !== 'series') return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const parent = await googleCalendarService.getEvent(editingEvent.accountId, editingEvent.calendarId, editingEvent.recurringEventId);
+        if (!cancelled) setEventData(prev => ({ ...prev, recurrence: parseRRule(parent.recurrence) }));
+      } catch (err) {
+        console.warn('Failed to load recurring series', err);
+        if (!cancelled) setError('Could not load the repeating series: ' + (err.message || String(err)));
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [editingEvent, editScope]);
+
+  const isOccurrence = !!(editingEvent && editingEvent.recurringEventId);
+  const canEditRecurrence = !isOccurrence || editScope === 'series';
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -81,14 +145,15 @@ const EventModal = ({
       if (!eventData.accountId) {
         throw new Error('Please select an account');
       }
+      if (editingEvent && editingEvent.readOnly) {
+        throw new Error('This event is read-only and cannot be changed from the kiosk');
+      }
 
       // Prepare event data for Google Calendar API
       const googleEventData = {
         summary: eventData.title,
         description: eventData.description,
-        location: eventData.location,
-        accountId: eventData.accountId,
-        calendarId: 'primary' // Default calendar
+        location: eventData.location
       };
 
       if (eventData.isAllDay) {
@@ -116,11 +181,46 @@ const EventModal = ({
         };
       }
 
-      await onEventCreate(googleEventData);
+      if (canEditRecurrence) {
+        const rrule = buildRRule(eventData.recurrence, { startDate: eventData.startDate, allDay: eventData.isAllDay });
+        if (rrule) {
+          googleEventData.recurrence = [rrule];
+        } else if (editingEvent && editingEvent.recurrence && editingEvent.recurrence.length) {
+          // "Once" on an event that used to repeat: drop its rule
+          googleEventData.recurrence = [];
+        }
+      }
+
+      if (editingEvent) {
+        // Save onto the original event (its own account/calendar) instead of creating a copy
+        await onEventUpdate(editingEvent, googleEventData, { scope: isOccurrence ? editScope : 'instance' });
+      } else {
+        const calendarId = eventData.calendarId || 'primary';
+        await onEventCreate({
+          ...googleEventData,
+          accountId: eventData.accountId,
+          calendarId
+        });
+        storageUtils.saveLastCalendar(eventData.accountId, calendarId);
+      }
       
     } catch (error) {
-      console.error('Event creation failed:', error);
-      setError(error.message || 'Failed to create event');
+      console.error(editingEvent ? 'Event update failed:' : 'Event creation failed:', error);
+      setError(error.message || (editingEvent ? 'Failed to update event' : 'Failed to create event'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (scope) => {
+    setLoading(true);
+    setError('');
+    try {
+      await onEventDelete(editingEvent, scope);
+    } catch (error) {
+      console.error('Event deletion failed:', error);
+      setError(error.message || 'Failed to delete event');
+      setConfirmingDelete(false);
     } finally {
       setLoading(false);
     }
@@ -158,6 +258,12 @@ const EventModal = ({
           </div>
         )}
 
+        {editingEvent && editingEvent.readOnly && (
+          <div className="info-alert">
+            This event belongs to {editingEvent.calendarName || 'a calendar'} which is read-only for this account.
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="event-form">
           <div className="form-group">
             <label>Event Title *</label>
@@ -175,6 +281,7 @@ const EventModal = ({
             <select
               value={eventData.accountId}
               onChange={(e) => handleInputChange('accountId', e.target.value)}
+              disabled={!!editingEvent}
               required
             >
               <option value="">Select account</option>
@@ -186,6 +293,27 @@ const EventModal = ({
             </select>
           </div>
 
+          <div className="form-group">
+            <label>Calendar</label>
+            {editingEvent ? (
+              <select value={eventData.calendarId} disabled>
+                <option value={eventData.calendarId}>{editingEvent.calendarName || eventData.calendarId}</option>
+              </select>
+            ) : (
+              <select
+                value={eventData.calendarId}
+                onChange={(e) => handleInputChange('calendarId', e.target.value)}
+              >
+                {calendars.length === 0 && <option value="primary">Primary calendar</option>}
+                {calendars.map(cal => (
+                  <option key={cal.id} value={cal.id}>
+                    {cal.summaryOverride || cal.summary || cal.id}{cal.primary ? ' (primary)' : ''}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+
           <div className="form-group">
             <label>
               <input
@@ -245,6 +373,38 @@ const EventModal = ({
             )}
           </div>
 
+          {isOccurrence && (
+            <div className="form-group">
+              <label>This is a repeating event. Apply changes to</label>
+              <div className="participant-selector">
+                <button
+                  type="button"
+                  className={`participant-chip ${editScope === 'instance' ? 'selected' : ''}`}
+                  onClick={() => setEditScope('instance')}
+                >
+                  This occurrence only
+                </button>
+                <button
+                  type="button"
+                  className={`participant-chip ${editScope === 'series' ? 'selected' : ''}`}
+                  onClick={() => setEditScope('series')}
+                >
+                  All events in the series
+                </button>
+              </div>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label>Repeat</label>
+            <RecurrenceEditor
+              value={eventData.recurrence}
+              onChange={(rule) => handleInputChange('recurrence', rule)}
+              startDate={eventData.startDate}
+              disabled={!canEditRecurrence}
+            />
+          </div>
+
           <div className="form-group">
             <label>Description</label>
             <textarea
@@ -285,14 +445,48 @@ const EventModal = ({
             </div>
           )}
 
-          <div className="modal-actions">
-            <button type="button" className="btn btn-secondary" onClick={onClose}>
-              Cancel
-            </button>
-            <button type="submit" className="btn btn-primary" disabled={loading}>
-              {loading ? 'Saving...' : (editingEvent ? 'Update Event' : 'Create Event')}
-            </button>
-          </div>
+          {confirmingDelete ? (
+            <div className="delete-confirm">
+              <p className="delete-confirm-text">
+                {editingEvent.recurringEventId
+                  ? 'This is a repeating event. What should be deleted?'
+                  : `Delete "${eventData.title || 'this event'}"?`}
+              </p>
+              <div className="delete-confirm-actions">
+                <button type="button" className="btn btn-secondary" onClick={() => setConfirmingDelete(false)} disabled={loading}>
+                  Keep Event
+                </button>
+                {editingEvent.recurringEventId ? (
+                  <>
+                    <button type="button" className="btn btn-danger" onClick={() => handleDelete('instance')} disabled={loading}>
+                      This Occurrence Only
+                    </button>
+                    <button type="button" className="btn btn-danger" onClick={() => handleDelete('series')} disabled={loading}>
+                      Entire Series
+                    </button>
+                  </>
+                ) : (
+                  <button type="button" className="btn btn-danger" onClick={() => handleDelete('instance')} disabled={loading}>
+                    {loading ? 'Deleting...' : 'Delete'}
+                  </button>
+                )}
+              </div>
+            </div>
+          ) : (
+            <div className="modal-actions">
+              {editingEvent && onEventDelete && !editingEvent.readOnly && (
+                <button type="button" className="btn btn-danger delete-btn" onClick={() => setConfirmingDelete(true)} disabled={loading}>
+                  Delete
+                </button>
+              )}
+              <button type="button" className="btn btn-secondary" onClick={onClose}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={loading || (editingEvent && editingEvent.readOnly)}>
+                {loading ? 'Saving...' : (editingEvent ? 'Update Event' : 'Create Event')}
+              </button>
+            </div>
+          )}
         </form>
       </div>
     </div>
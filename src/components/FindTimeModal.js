@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { addDays, startOfDay, endOfDay } from 'date-fns';
+import { findTimeService, DEFAULT_WINDOW, DEFAULT_RANGE_DAYS } from '../services/FindTimeService';
+import { speak } from '../services/ttsService';
+import { safeFormat, safeParse } from '../utils/dateUtils';
+import './FindTimeModal.css';
+
+const DURATION_OPTIONS = [30, 60, 90, 120, 180];
+const RANGE_OPTIONS = [1, 3, 7, 14];
+
+// "Find a time": pick people, duration and period, get up to three slots where everyone
+// is free. Opened from the Header (request.query empty) or by voice (request.query holds
+// the transcript, which fills in the form, runs the search and speaks the result).
+// Tapping a slot calls onPick({ start, end, accountId }) to prefill a new event.
+const FindTimeModal = ({ request, accounts = [], selectedDate, onPick, onClose }) => {
+  const lang = (request && request.lang) || 'ru';
+  const [accountIds, setAccountIds] = useState(() => accounts.map(acc => acc.id));
+  const [durationMinutes, setDurationMinutes] = useState(60);
+  const [fromDate, setFromDate] = useState(() => safeFormat(selectedDate || new Date(), 'yyyy-MM-dd', ''));
+  const [days, setDays] = useState(DEFAULT_RANGE_DAYS);
+  const [windowFrom, setWindowFrom] = useState(DEFAULT_WINDOW.from);
+  const [windowTo, setWindowTo] = useState(DEFAULT_WINDOW.to);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  const search = useCallback(async (params) => {
+    setLoading(true);
+    setError('');
+    try {
+      const found = await findTimeService.findTimes({
+        accounts,
+        query: request && request.query,
+        lang,
+        ...params
+      });
+      setResult(found);
+      return found;
+    } catch (err) {
+      console.error('Find a time failed', err);
+      setError(err.message || 'Could not load calendars');
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [accounts, request, lang]);
+
+  const runFromForm = () => {
+    const from = startOfDay(safeParse(fromDate) || new Date());
+    search({
+      accountIds,
+      durationMinutes,
+      rangeStart: from,
+      rangeEnd: endOfDay(addDays(from, days - 1)),
+      window: { from: windowFrom, to: windowTo }
+    });
+  };
+
+  // Voice request: fill the form from the transcript (hours back to the default window),
+  // search and read the options out. `isCancelled` tells when the request was replaced.
+  const runVoiceRequest = useCallback(async (isCancelled) => {
+    setLoading(true);
+    const params = await findTimeService.parseRequest(request.query, accounts, { lang });
+    if (isCancelled()) return;
+    setAccountIds(params.accountIds);
+    setDurationMinutes(params.durationMinutes);
+    setFromDate(safeFormat(params.rangeStart, 'yyyy-MM-dd', ''));
+    setDays(Math.max(1, Math.round((endOfDay(params.rangeEnd) - startOfDay(params.rangeStart)) / 86400000)));
+    setWindowFrom(DEFAULT_WINDOW.from);
+    setWindowTo(DEFAULT_WINDOW.to);
+    const found = await search({ ...params, window: DEFAULT_WINDOW });
+    if (isCancelled() || !found) return;
+    try { await speak(findTimeService.describeOptions(found.options, lang), lang); } catch (e) { /* ignore */ }
+  }, [request, accounts, lang, search]);
+
+  useEffect(() => {
+    if (!request || !request.query) return;
+    let cancelled = false;
+    runVoiceRequest(() => cancelled);
+    return () => { cancelled = true; };
+  }, [request, runVoiceRequest]);
+
+  const toggleAccount = (id) => {
+    setAccountIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
+  const accountLabel = (acc) => acc.nickname || acc.name || acc.email;
+
+  return (
+    <div className="find-time-modal" onClick={onClose}>
+      <div className="find-time" onClick={(e) => e.stopPropagation()}>
+        <div className="find-time-header">
+          <h2>Find a time</h2>
+          <button className="btn btn-small" onClick={onClose}>Close</button>
+        </div>
+        {request && request.query && <div className="find-time-query">“{request.query}”</div>}
+
+        <div className="find-time-section">
+          <div className="find-time-label">Who</div>
+          <div className="find-time-people">
+            {accounts.map(acc => (
+              <button
+                key={acc.id}
+                className={`btn btn-small find-time-chip ${accountIds.includes(acc.id) ? 'active' : ''}`}
+                onClick={() => toggleAccount(acc.id)}
+              >
+                {accountLabel(acc)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="find-time-section find-time-row">
+          <label>
+            <span className="find-time-label">How long</span>
+            <select value={durationMinutes} onChange={(e) => setDurationMinutes(Number(e.target.value))}>
+              {[...new Set([...DURATION_OPTIONS, durationMinutes])].sort((a, b) => a - b).map(min => (
+                <option key={min} value={min}>{min % 60 === 0 ? `${min / 60} h` : `${min} min`}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span className="find-time-label">From</span>
+            <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} />
+          </label>
+          <label>
+            <span className="find-time-label">Within</span>
+            <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+              {[...new Set([...RANGE_OPTIONS, days])].sort((a, b) => a - b).map(n => (
+                <option key={n} value={n}>{n === 1 ? '1 day' : `${n} days`}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span className="find-time-label">Between</span>
+            <span className="find-time-window">
+              <input type="time" value={windowFrom} onChange={(e) => setWindowFrom(e.target.value)} />
+              –
+              <input type="time" value={windowTo} onChange={(e) => setWindowTo(e.target.value)} />
+            </span>
+          </label>
+        </div>
+
+        <button className="btn find-time-search" disabled={loading || accountIds.length === 0} onClick={runFromForm}>
+          {loading ? 'Searching…' : 'Search'}
+        </button>
+
+        {error && <div className="find-time-error">{error}</div>}
+
+        {result && !loading && (
+          <div className="find-time-results">
+            {result.options.length === 0 && (
+              <div className="find-time-empty">No common free time in this period. Try a longer period or a shorter meeting.</div>
+            )}
+            {result.options.map(slot => (
+              <button
+                key={slot.start.getTime()}
+                className="find-time-slot"
+                onClick={() => onPick({ start: slot.start, end: slot.end, accountId: accountIds[0] })}
+              >
+                <div className="find-time-slot-when">
+                  {safeFormat(slot.start, 'EEE, MMM d', '')} · {safeFormat(slot.start, 'HH:mm', '')} – {safeFormat(slot.end, 'HH:mm', '')}
+                </div>
+                {slot.reason && <div className="find-time-slot-reason">{slot.reason}</div>}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FindTimeModal;
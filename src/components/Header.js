@@ -14,7 +14,14 @@ const Header = ({
   onDateChange,
   onAddAccount,
   onSaveNickname,
-  onManageAccounts
+  onManageAccounts,
+  offlineSince = null,
+  pendingWrites = 0,
+  onShowLegend,
+  onShowWakeSettings,
+  onFindTime,
+  agendaDays = 14,
+  peopleMode = 'day'
 }) => {
   // Add a simple listening indicator state via prop if passed (App may add later)
   const [wakeListening, setWakeListening] = React.useState(false);
@@ -54,6 +61,12 @@ const Header = ({
       case 'month':
         onDateChange(addMonths(newDate, direction));
         return;
+      case 'agenda':
+        onDateChange(addDays(newDate, direction * 7));
+        return;
+      case 'people':
+        onDateChange(addDays(newDate, direction * (peopleMode === 'week' ? 7 : 1)));
+        return;
       default:
         break;
     }
@@ -66,7 +79,9 @@ const Header = ({
   };
 
   const formatHeaderDate = () => {
-    switch (currentView) {
+    // the people view borrows the day/week formats for its current layout
+    const view = currentView === 'people' ? peopleMode : currentView;
+    switch (view) {
       case 'day':
         return safeFormat(selectedDate, 'EEEE, MMMM d, yyyy', '');
       case 'week':
@@ -78,6 +93,10 @@ const Header = ({
         return `${safeFormat(weekStart, 'MMM d', '')} - ${safeFormat(weekEnd, 'MMM d, yyyy', '')}`;
       case 'month':
         return safeFormat(selectedDate, 'MMMM yyyy', '');
+      case 'agenda': {
+        const from = safeParse(selectedDate) || new Date();
+        return `${safeFormat(from, 'MMM d', '')} - ${safeFormat(addDays(from, agendaDays - 1), 'MMM d, yyyy', '')}`;
+      }
       default:
         return safeFormat(selectedDate, 'MMMM yyyy', '');
     }
@@ -92,6 +111,19 @@ const Header = ({
             {accounts.length} account{accounts.length !== 1 ? 's' : ''} connected
           </span>
         </div>
+        {(offlineSince || pendingWrites > 0) && (
+          <div
+            className={`offline-badge ${offlineSince ? 'offline' : 'syncing'}`}
+            title={offlineSince ? 'Showing the last synced events; changes will be saved when the connection returns' : 'Saving changes made while offline'}
+          >
+            {offlineSince ? `Offline since ${safeFormat(offlineSince, 'HH:mm', '')}` : 'Syncing'}
+            {pendingWrites > 0 && (
+              <span className="offline-pending">
+                {' · '}{pendingWrites} change{pendingWrites !== 1 ? 's' : ''} waiting
+              </span>
+            )}
+          </div>
+        )}
       </div>
 
       <div className="header-center">
@@ -138,7 +170,29 @@ const Header = ({
             >
               VOSK
             </button>
+            <button
+              className="btn btn-small"
+              style={{ marginLeft: 6 }}
+              title="Wake words, fuzzy tolerance and a live test"
+              onClick={() => onShowWakeSettings && onShowWakeSettings()}
+            >
+              Wake
+            </button>
         </div>
+        <button
+          className="btn view-btn legend-btn"
+          onClick={() => onShowLegend && onShowLegend()}
+          title="Show or hide calendars, pick their colors and set how often they refresh"
+        >
+          Calendars
+        </button>
+        <button
+          className="btn view-btn legend-btn"
+          onClick={() => onFindTime && onFindTime()}
+          title="Find a time when everyone is free"
+        >
+          Find a time
+        </button>
         <div className="view-switcher">
           <button
             className={`btn view-btn ${currentView === 'day' ? 'active' : ''}`}
@@ -158,6 +212,18 @@ const Header = ({
           >
             Month
           </button>
+          <button
+            className={`btn view-btn ${currentView === 'agenda' ? 'active' : ''}`}
+            onClick={() => onViewChange('agenda')}
+          >
+            Agenda
+          </button>
+          <button
+            className={`btn view-btn ${currentView === 'people' ? 'active' : ''}`}
+            onClick={() => onViewChange('people')}
+          >
+            People
+          </button>
         </div>
 
         <div className="account-actions">
@@ -1,10 +1,19 @@
 import React from 'react';
-import { startOfMonth, endOfMonth, startOfWeek, endOfWeek, addDays, isSameMonth, isSameDay, isToday, startOfDay, endOfDay } from 'date-fns';
+import { startOfMonth, endOfMonth, startOfWeek, endOfWeek, addDays, isSameMonth, isSameDay, isToday, differenceInCalendarDays } from 'date-fns';
 import './MonthView.css';
 import { voiceSearchService } from '../services/voiceSearchService';
+import { findTimeService } from '../services/FindTimeService';
 import { geminiService } from '../services/GeminiService';
+import { speak } from '../services/ttsService';
 import { safeParse, safeFormat } from '../utils/dateUtils';
 import { storageUtils } from '../utils/storage';
+import { eventColorStyle } from '../utils/calendarPrefs';
+import { layoutMonthLanes } from '../utils/eventLayout';
+import { useEventDrag, isDragged } from '../utils/useEventDrag';
+import { byteRms } from '../utils/vad';
+
+// Bars shown per day cell; anything in a higher lane is behind "+N more"
+const MAX_VISIBLE_LANES = 3;
 
 const MonthView = ({ 
   events, 
@@ -12,7 +21,11 @@ const MonthView = ({
   onDateChange, 
   onTimeSlotClick, 
   onEventClick, 
-  accounts 
+  accounts,
+  calendarPrefs,
+  onEventReschedule,
+  onEventCreate,
+  onFindTime
 }) => {
   const [listening, setListening] = React.useState(false);
   const [inputLang, setInputLang] = React.useState('ru-RU');
@@ -28,8 +41,14 @@ const MonthView = ({
   });
   const [testing, setTesting] = React.useState(false);
   const [rms, setRms] = React.useState(0);
+  const [popoverDay, setPopoverDay] = React.useState(null);
+  // Event dictated by voice, waiting for a yes/no: { eventData, account, confirmation }
+  const [voiceDraft, setVoiceDraft] = React.useState(null);
+  const voiceDraftRef = React.useRef(null);
   const analyserRef = React.useRef(null);
   const audioStreamRef = React.useRef(null);
+  // when the last wake trigger was handled: one wake arrives as several window events
+  const lastWakeRef = React.useRef(0);
 
   // On mount, try to populate devices so the dropdown isn't empty by default
   React.useEffect(() => {
@@ -68,10 +87,137 @@ const MonthView = ({
     } catch (e) { /* ignore */ }
   }, [selectedDeviceId]);
 
-  const handleStartVoice = () => {
+  // Route a transcript: "when are we free" opens Find a time (checked first: "find a time to
+  // schedule a call" is not a request to add one), "add ..." requests become a draft event
+  // to confirm, anything else is answered as a question about the month on screen
+  const handleTranscript = async (text) => {
+    if (onFindTime && findTimeService.isFindTimeIntent(text)) {
+      onFindTime(text, outputLang);
+      return;
+    }
+    if (onEventCreate && voiceSearchService.isCreateIntent(text)) {
+      await startVoiceCreate(text);
+      return;
+    }
+    try {
+      // determine range to query: use month of selectedDate
+      const parsed = safeParse(selectedDate) || new Date();
+      const start = new Date(parsed);
+      start.setDate(1); start.setHours(0,0,0,0);
+      const end = new Date(start); end.setMonth(end.getMonth()+1); end.setHours(23,59,59,999);
+      const answer = await voiceSearchService.handleQueryText(text, { events, accounts, startDate: start, endDate: end, lang: outputLang, onAnswerText: (t) => setLastAnswer(t) });
+      setLastAnswer(answer);
+    } catch (err) {
+      setLastAnswer('Error: ' + (err.message || String(err)));
+      voiceSearchService.endConversation();
+      try { await speak(voiceSearchService.describeError(err, outputLang), outputLang); } catch (e) { /* ignore */ }
+      return;
+    }
+    // The answer has been spoken: listen for a follow-up ("and Sunday?") without the wake word
+    if (voiceSearchService.getConversation()) handleStartVoice({ followUp: true });
+  };
+
+  const setDraft = (draft) => {
+    voiceDraftRef.current = draft;
+    setVoiceDraft(draft);
+  };
+
+  // Parse the request, read the draft back and wait for a spoken yes/no; the
+  // Create/Cancel buttons answer it by touch at any point
+  const startVoiceCreate = async (text) => {
+    let draft;
+    try {
+      draft = await voiceSearchService.prepareEventFromText(text, { accounts, lang: outputLang });
+    } catch (err) {
+      console.warn('voice event parsing failed', err);
+      setLastAnswer('Error: ' + (err.message || String(err)));
+      try { await speak(voiceSearchService.describeError(err, outputLang), outputLang); } catch (e) { /* ignore */ }
+      return;
+    }
+    setDraft(draft);
+    setLastAnswer(draft.confirmation);
+    try { await speak(draft.confirmation, outputLang); } catch (e) { /* ignore */ }
+    if (voiceDraftRef.current !== draft) return; // already answered by touch
+
+    setListening(true);
+    const answer = await voiceSearchService.listenForConfirmation({ lang: inputLang });
+    setListening(false);
+    if (voiceDraftRef.current !== draft) return;
+    if (answer === 'yes') await confirmVoiceDraft(draft);
+    else if (answer === 'no') cancelVoiceDraft(draft);
+    // no answer: the draft stays on screen for the buttons
+  };
+
+  const confirmVoiceDraft = async (draft) => {
+    if (voiceDraftRef.current !== draft) return;
+    setDraft(null);
+    const ru = outputLang.startsWith('ru');
+    try {
+      await onEventCreate(draft.eventData);
+      const done = ru ? 'Событие добавлено.' : 'Event added.';
+      setLastAnswer(done);
+      try { await speak(done, outputLang); } catch (e) { /* ignore */ }
+    } catch (err) {
+      console.warn('voice event creation failed', err);
+      setLastAnswer('Error: ' + (err.message || String(err)));
+      try { await speak(ru ? 'Не удалось добавить событие.' : 'Could not add the event.', outputLang); } catch (e) { /* ignore */ }
+    }
+  };
+
+  const cancelVoiceDraft = (draft) => {
+    if (voiceDraftRef.current !== draft) return;
+    setDraft(null);
+    const text = outputLang.startsWith('ru') ? 'Хорошо, не добавляю.' : 'Okay, not adding it.';
+    setLastAnswer(text);
+    speak(text, outputLang).catch(() => {});
+  };
+
+  // `followUp`: the mic reopened after an answer; silence there ends the conversation.
+  // `handoff`: from a VOSK stream wake, which already holds the audio after the wake word
+  const handleStartVoice = ({ followUp = false, handoff = null } = {}) => {
     setLastTranscript('');
-    setLastAnswer('');
-    // Try Web Speech API recognition; if it fails or produces no transcript, fall back to recording+VOSK
+    if (!followUp) setLastAnswer('');
+    const onTranscript = async (text) => {
+      if (followUp && !(text || '').trim()) {
+        voiceSearchService.endConversation();
+        return;
+      }
+      await handleTranscript(text || '');
+    };
+    // Local VOSK: streamed when the server supports it, with the words shown as they come
+    const runVosk = async () => {
+      setListening(true);
+      try {
+        const transcript = await voiceSearchService.captureTranscript({
+          deviceId: selectedDeviceId,
+          handoff,
+          onPartial: (partial) => setLastTranscript(`${partial}…`)
+        });
+        setListening(false);
+        setLastTranscript(transcript || '(no speech detected)');
+        await onTranscript(transcript);
+      } catch (e) {
+        setListening(false);
+        if (e.code === 'no_speech') {
+          setLastTranscript('(no speech heard)');
+          if (followUp) {
+            voiceSearchService.endConversation();
+            return;
+          }
+          const text = voiceSearchService.describeError(e, outputLang);
+          setLastAnswer(text);
+          speak(text, outputLang).catch(() => {});
+          return;
+        }
+        console.warn('VOSK transcription failed', e);
+        setLastTranscript('Voice capture failed: ' + (e.message || String(e)));
+      }
+    };
+    if (handoff) {
+      runVosk();
+      return;
+    }
+    // Try Web Speech API recognition; if it fails or produces no transcript, fall back to VOSK
     const waitingRef = { current: false };
     const res = voiceSearchService.startRecognition({
       lang: inputLang,
@@ -79,48 +225,16 @@ const MonthView = ({
         waitingRef.current = false;
         setLastTranscript(text);
         setListening(false);
-        try {
-          // determine range to query: use month of selectedDate
-          const parsed = safeParse(selectedDate) || new Date();
-          const start = new Date(parsed);
-          start.setDate(1); start.setHours(0,0,0,0);
-          const end = new Date(start); end.setMonth(end.getMonth()+1); end.setHours(23,59,59,999);
-          const answer = await voiceSearchService.handleQueryText(text, { events, accounts, startDate: start, endDate: end, lang: outputLang, onAnswerText: (t) => setLastAnswer(t) });
-          setLastAnswer(answer);
-        } catch (err) {
-          setLastAnswer('Error: ' + (err.message || String(err)));
-        }
+        await onTranscript(text);
       },
       onEnd: () => {
-        // If recognition ended without producing a result, fallback to recording+VOSK
+        // If recognition ended without producing a result, fallback to VOSK
         if (waitingRef.current) {
-          // perform fallback
-          (async () => {
-            try {
-              setListening(true);
-              const constraints = selectedDeviceId ? { audio: { deviceId: { exact: selectedDeviceId } } } : { audio: true };
-              const blob = await voiceSearchService.recordAudio({ ms: 7000, constraints });
-              setListening(false);
-              try {
-                const transcript = await voiceSearchService.transcribeWithServer(blob, 'http://localhost:5000/transcribe');
-                setLastTranscript(transcript || '(no speech detected)');
-                const parsed = safeParse(selectedDate) || new Date();
-                const start = new Date(parsed);
-                start.setDate(1); start.setHours(0,0,0,0);
-                const end = new Date(start); end.setMonth(end.getMonth()+1); end.setHours(23,59,59,999);
-                const answer = await voiceSearchService.handleQueryText(transcript || '', { events, accounts, startDate: start, endDate: end, lang: outputLang, onAnswerText: (t) => setLastAnswer(t) });
-                setLastAnswer(answer);
-              } catch (transErr) {
-                console.warn('VOSK transcription failed', transErr);
-                setLastTranscript('Recorded audio available but transcription failed: ' + (transErr && transErr.message ? transErr.message : String(transErr)));
-              }
-            } catch (e) {
-              setListening(false);
-              setLastTranscript('Microphone capture failed: ' + (e.message || String(e)));
-            }
-          })();
+          waitingRef.current = false;
+          runVosk();
+        } else {
+          setListening(false);
         }
-        setListening(false);
       }
     });
     if (res && res.supported) {
@@ -134,31 +248,8 @@ const MonthView = ({
         }
       }, 8000);
     } else {
-      // immediate fallback: MediaRecorder -> VOSK
-      (async () => {
-        try {
-          setListening(true);
-          const constraints = selectedDeviceId ? { audio: { deviceId: { exact: selectedDeviceId } } } : { audio: true };
-          const blob = await voiceSearchService.recordAudio({ ms: 7000, constraints });
-          setListening(false);
-          try {
-            const transcript = await voiceSearchService.transcribeWithServer(blob, 'http://localhost:5000/transcribe');
-            setLastTranscript(transcript || '(no speech detected)');
-            const parsed = safeParse(selectedDate) || new Date();
-            const start = new Date(parsed);
-            start.setDate(1); start.setHours(0,0,0,0);
-            const end = new Date(start); end.setMonth(end.getMonth()+1); end.setHours(23,59,59,999);
-            const answer = await voiceSearchService.handleQueryText(transcript || '', { events, accounts, startDate: start, endDate: end, lang: outputLang, onAnswerText: (t) => setLastAnswer(t) });
-            setLastAnswer(answer);
-          } catch (transErr) {
-            console.warn('VOSK transcription failed', transErr);
-            setLastTranscript('Recorded audio available but transcription failed: ' + (transErr && transErr.message ? transErr.message : String(transErr)));
-          }
-        } catch (e) {
-          setListening(false);
-          setLastTranscript('Microphone capture failed: ' + (e.message || String(e)));
-        }
-      })();
+      // immediate fallback: VOSK
+      runVosk();
     }
   };
 
@@ -173,8 +264,10 @@ const MonthView = ({
           try { console.debug('[MonthView] wake trigger ignored because already listening'); } catch (e) {}
           return;
         }
+        if (Date.now() - lastWakeRef.current < 2000) return;
+        lastWakeRef.current = Date.now();
         // small visual indicator: set listening true while voice flow runs
-        handleStartVoice();
+        handleStartVoice({ handoff: ev && ev.detail && ev.detail.handoff });
       } catch (e) { console.debug('wake trigger handler failed', e); }
     };
     window.addEventListener('famsync:trigger-voice-search', handler);
@@ -210,71 +303,77 @@ const MonthView = ({
     return <div className="days-row">{days}</div>;
   };
 
-  const renderCells = () => {
+  // Long-press a bar and drop it on another day; times of day are kept
+  const { drag, startPress, isDragClick } = useEventDrag({
+    onDrop: onEventReschedule,
+    compute: (press, dx, dy, pointer) => {
+      const target = dayIndexAt(pointer.x, pointer.y);
+      if (target === null) return press.preview;
+      const { event, context: { bar, dayIndex } } = press;
+      const days = target - dayIndex;
+      return {
+        start: addDays(event.parsedStart, days),
+        end: addDays(event.parsedEnd || event.parsedStart, days),
+        fromIndex: bar.startIndex + days,
+        toIndex: bar.endIndex + days
+      };
+    }
+  });
+
+  const dayIndexAt = (x, y) => {
+    const cell = document.elementsFromPoint(x, y).find(el => el.dataset && el.dataset.dayIndex !== undefined);
+    return cell ? Number(cell.dataset.dayIndex) : null;
+  };
+
+  const pressBar = (e, bar) => {
+    const dayIndex = dayIndexAt(e.clientX, e.clientY);
+    if (dayIndex === null) return;
+    startPress(e, bar.event, 'move', { bar, dayIndex });
+  };
+
+  const accountClass = (event) => {
+    const accountIndex = accounts.findIndex(acc => acc.id === event.accountId);
+    return `event-account-${(accountIndex % 6) + 1}`;
+  };
+
+  // Each week row is one grid: day cells span every row, bars sit in the lane rows on
+  // top of them (row 1 is the day number, the last lane row holds "+N more")
+  const renderCells = (bars) => {
     const rows = [];
-    let days = [];
-    let day = startDate;
-    let formattedDate = '';
+    const weekCount = (differenceInCalendarDays(endDate, startDate) + 1) / 7;
+
+    for (let week = 0; week < weekCount; week++) {
+      const first = week * 7;
+      const last = first + 6;
+      const weekBars = bars.filter(bar => bar.startIndex <= last && bar.endIndex >= first);
+      const cells = [];
+      const more = [];
 
-    while (day <= endDate) {
       for (let i = 0; i < 7; i++) {
-  formattedDate = safeFormat(day, 'd', '');
-        const cloneDay = day;
-        const dayEvents = events.filter(event => {
-          const start = event.parsedStart || new Date(event.start?.dateTime || event.start?.date);
-          const end = event.parsedEnd || new Date(event.end?.dateTime || event.end?.date || event.start?.dateTime || event.start?.date);
-          if (!start) return false;
-          // Include event if any part of it falls on this day
-          return !(end < startOfDay(day) || start > endOfDay(day));
-        });
+        const day = addDays(startDate, first + i);
+        const dayBars = weekBars.filter(bar => bar.startIndex <= first + i && bar.endIndex >= first + i);
+        const hidden = dayBars.filter(bar => bar.lane >= MAX_VISIBLE_LANES).length;
+        const dropTarget = drag && first + i >= drag.fromIndex && first + i <= drag.toIndex;
 
-        days.push(
+        cells.push(
           <div
             className={`calendar-day ${
               !isSameMonth(day, monthStart) ? 'other-month' : ''
             } ${isSameDay(day, selectedDate) ? 'selected' : ''} ${
               isToday(day) ? 'today' : ''
-            }`}
+            } ${dropTarget ? 'drop-target' : ''}`}
             key={day}
-            onClick={() => onDateChange(cloneDay)}
+            data-day-index={first + i}
+            style={{ gridColumn: i + 1 }}
+            onClick={() => onDateChange(day)}
           >
-            <span className="day-number">{formattedDate}</span>
-            <div className="day-events">
-              {dayEvents.slice(0, 3).map((event, idx) => {
-                const accountIndex = accounts.findIndex(acc => acc.id === event.accountId);
-                return (
-                  <div
-                    key={idx}
-                    className={`event-item event-account-${(accountIndex % 6) + 1}`}
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      onEventClick(event);
-                    }}
-                    title={event.summary || event.title}
-                  >
-                    {!event.allDay && event.parsedStart && (
-                      <span className="event-time">
-                        {safeFormat(event.parsedStart, 'HH:mm', '')}
-                      </span>
-                    )}
-                    <span className="event-title">
-                      {event.summary || event.title || 'Untitled Event'}
-                    </span>
-                  </div>
-                );
-              })}
-              {dayEvents.length > 3 && (
-                <div className="more-events">
-                  +{dayEvents.length - 3} more
-                </div>
-              )}
-            </div>
-            {dayEvents.length === 0 && (
+            <span className="day-number">{safeFormat(day, 'd', '')}</span>
+            {dayBars.length === 0 && (
               <div 
                 className="add-event-hint"
                 onClick={(e) => {
                   e.stopPropagation();
-                  onTimeSlotClick(cloneDay, '09:00');
+                  onTimeSlotClick(day, '09:00');
                 }}
               >
                 +
@@ -282,18 +381,122 @@ const MonthView = ({
             )}
           </div>
         );
-        day = addDays(day, 1);
+        if (hidden > 0) {
+          more.push(
+            <div
+              key={`more-${i}`}
+              className="more-events"
+              style={{ gridColumn: i + 1, gridRow: MAX_VISIBLE_LANES + 2 }}
+              onClick={(e) => {
+                e.stopPropagation();
+                setPopoverDay(day);
+              }}
+            >
+              +{hidden} more
+            </div>
+          );
+        }
       }
+
+      const segments = weekBars.filter(bar => bar.lane < MAX_VISIBLE_LANES).map(bar => {
+        const { event } = bar;
+        const startCol = Math.max(bar.startIndex, first) - first;
+        const endCol = Math.min(bar.endIndex, last) - first;
+        const multiDay = bar.endIndex > bar.startIndex;
+        return (
+          <div
+            key={`${event.accountId}-${event.id}-${bar.startIndex}`}
+            className={`event-item ${accountClass(event)} ${multiDay ? 'multi-day' : ''} ${
+              bar.startIndex < first ? 'continues-before' : ''
+            } ${bar.endIndex > last ? 'continues-after' : ''} ${isDragged(drag, event) ? 'drag-source' : ''}`}
+            style={{
+              ...eventColorStyle(event, calendarPrefs),
+              gridColumn: `${startCol + 1} / ${endCol + 2}`,
+              gridRow: bar.lane + 2
+            }}
+            onPointerDown={(e) => pressBar(e, bar)}
+            onClick={(e) => {
+              e.stopPropagation();
+              if (isDragClick()) return;
+              onEventClick(event);
+            }}
+            title={event.summary || event.title}
+          >
+            {!event.allDay && !multiDay && event.parsedStart && (
+              <span className="event-time">
+                {safeFormat(event.parsedStart, 'HH:mm', '')}
+              </span>
+            )}
+            <span className="event-title">
+              {event.summary || event.title || 'Untitled Event'}
+            </span>
+          </div>
+        );
+      });
+
       rows.push(
-        <div className="week-row" key={day}>
-          {days}
+        <div className="week-row" key={week}>
+          {cells}
+          {segments}
+          {more}
         </div>
       );
-      days = [];
     }
     return <div className="calendar-body">{rows}</div>;
   };
 
+  const renderDayPopover = (bars) => {
+    if (!popoverDay) return null;
+    const index = differenceInCalendarDays(popoverDay, startDate);
+    const dayEvents = bars
+      .filter(bar => bar.startIndex <= index && bar.endIndex >= index)
+      .map(bar => bar.event)
+      .sort((a, b) => (a.allDay === b.allDay ? a.parsedStart - b.parsedStart : (a.allDay ? -1 : 1)));
+
+    return (
+      <div className="month-popover-backdrop" onClick={() => setPopoverDay(null)}>
+        <div className="month-day-popover" onClick={(e) => e.stopPropagation()}>
+          <div className="month-popover-header">
+            <h3>{safeFormat(popoverDay, 'EEEE, MMMM d', '')}</h3>
+            <button className="btn btn-small" onClick={() => setPopoverDay(null)}>Close</button>
+          </div>
+          <div className="month-popover-events">
+            {dayEvents.map((event, idx) => (
+              <div
+                key={`${event.accountId}-${event.id}-${idx}`}
+                className={`event-item ${accountClass(event)}`}
+                style={eventColorStyle(event, calendarPrefs)}
+                onClick={() => {
+                  setPopoverDay(null);
+                  onEventClick(event);
+                }}
+                title={event.summary || event.title}
+              >
+                <span className="event-time">
+                  {event.allDay ? 'All day' : safeFormat(event.parsedStart, 'HH:mm', '')}
+                </span>
+                <span className="event-title">
+                  {event.summary || event.title || 'Untitled Event'}
+                </span>
+              </div>
+            ))}
+          </div>
+          <button
+            className="btn btn-small"
+            onClick={() => {
+              onDateChange(popoverDay);
+              setPopoverDay(null);
+            }}
+          >
+            Select day
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const bars = layoutMonthLanes(events, startDate, differenceInCalendarDays(endDate, startDate) + 1);
+
   return (
     <div className="month-view">
       {renderHeader()}
@@ -365,12 +568,7 @@ const MonthView = ({
                 running = false;
                 return;
               }
-              let sum = 0;
-              for (let i = 0; i < data.length; i++) {
-                const v = (data[i] - 128) / 128;
-                sum += v * v;
-              }
-              const curRms = Math.sqrt(sum / data.length);
+              const curRms = byteRms(data);
               lastMeasuredRms = curRms;
               setRms(curRms);
               requestAnimationFrame(read);
@@ -409,14 +607,19 @@ const MonthView = ({
           <option value="ru">Russian</option>
           <option value="en">English</option>
         </select>
-        <button className="btn" onClick={handleStartVoice} disabled={listening} style={{ marginLeft: 12 }}>
+        <button className="btn" onClick={() => handleStartVoice()} disabled={listening} style={{ marginLeft: 12 }}>
           {listening ? 'Listening…' : 'Voice Search'}
         </button>
         <button className="btn" style={{ marginLeft: 8 }} onClick={async () => {
           // Capture a system-level sample via main process (arecord/ffmpeg) and transcribe via local VOSK
           try {
             setLastTranscript('Recording system sample...');
-            const res = await (window.electronAPI && window.electronAPI.captureSystemSample ? window.electronAPI.captureSystemSample({ durationMs: 5000, device: '' }) : Promise.resolve({ success: false, error: 'IPC not available' }));
+            // recording stops when the speaker falls silent; durationMs is the upper limit
+            const res = await (window.electronAPI && window.electronAPI.captureSystemSample ? window.electronAPI.captureSystemSample({ durationMs: 10000, device: '' }) : Promise.resolve({ success: false, error: 'IPC not available' }));
+            if (res && res.noSpeech) {
+              setLastTranscript('(no speech heard)');
+              return;
+            }
             if (!res || !res.success) {
               setLastTranscript('System capture failed: ' + (res && res.error ? res.error : 'unknown'));
               return;
@@ -443,10 +646,17 @@ const MonthView = ({
         <div className="voice-results" style={{ marginTop: 8 }}>
           {lastTranscript ? (<div><strong>Heard:</strong> {lastTranscript}</div>) : null}
           {lastAnswer ? (<div><strong>Answer:</strong> {lastAnswer}</div>) : null}
+          {voiceDraft && (
+            <div className="voice-draft">
+              <button className="btn" onClick={() => confirmVoiceDraft(voiceDraft)}>Create</button>
+              <button className="btn btn-secondary" onClick={() => cancelVoiceDraft(voiceDraft)}>Cancel</button>
+            </div>
+          )}
         </div>
       </div>
       {renderDays()}
-      {renderCells()}
+      {renderCells(bars)}
+      {renderDayPopover(bars)}
     </div>
   );
 };
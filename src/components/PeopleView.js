@@ -0,0 +1,212 @@
+import React, { useMemo } from 'react';
+import { addDays, isSameDay, isToday, startOfDay, endOfDay, startOfWeek } from 'date-fns';
+import { safeFormat } from '../utils/dateUtils';
+import { eventColorStyle } from '../utils/calendarPrefs';
+import { getMembers, groupEventsByMembers, contiguousRuns } from '../utils/people';
+import { layoutDayEvents } from '../utils/eventLayout';
+import './PeopleView.css';
+
+// Time grid resolution for the day layout: 15 minute rows
+const SLOTS_PER_HOUR = 4;
+const SLOT_MINUTES = 60 / SLOTS_PER_HOUR;
+
+// Resource-style view with one column per family member (see utils/people).
+// Shared events span the columns of everyone on them. `mode` is 'day' (time grid
+// for selectedDate) or 'week' (one row per day of selectedDate's week).
+const PeopleView = ({
+  events,
+  selectedDate,
+  onDateChange,
+  onTimeSlotClick,
+  onEventClick,
+  accounts,
+  calendarPrefs,
+  mode = 'day',
+  onModeChange
+}) => {
+  const members = useMemo(() => getMembers(accounts, calendarPrefs), [accounts, calendarPrefs]);
+  const memberColumns = `repeat(${Math.max(1, members.length)}, minmax(140px, 1fr))`;
+  // header and time grid carry a 70px label column in front of the members
+  const columns = `70px ${memberColumns}`;
+
+  const eventsForDay = (day) => {
+    const dayStart = startOfDay(day);
+    const dayEnd = endOfDay(day);
+    return events.filter(event => {
+      if (!event.parsedStart) return false;
+      const end = event.parsedEnd || event.parsedStart;
+      // an event ending at midnight is not on the day that starts then
+      return event.parsedStart <= dayEnd && (end > dayStart || event.parsedStart >= dayStart);
+    });
+  };
+
+  const accountClass = (event) => {
+    const accountIndex = accounts.findIndex(acc => acc.id === event.accountId);
+    return `event-account-${(accountIndex % 6) + 1}`;
+  };
+
+  const renderChip = (group, run, style, showTime) => {
+    const { event } = group;
+    return (
+      <div
+        key={`${event.accountId}-${event.id}-${run[0]}`}
+        className={`people-event ${accountClass(event)} ${group.memberIndexes.length > 1 ? 'shared' : ''} ${event.pending ? 'pending' : ''}`}
+        style={{ ...eventColorStyle(event, calendarPrefs), ...style }}
+        onClick={(e) => {
+          e.stopPropagation();
+          onEventClick(event);
+        }}
+        title={event.summary || event.title}
+      >
+        {showTime && !event.allDay && (
+          <span className="people-event-time">{safeFormat(event.parsedStart, 'HH:mm', '')}</span>
+        )}
+        <span className="people-event-title">{event.summary || event.title || 'Untitled Event'}</span>
+      </div>
+    );
+  };
+
+  // Column span for a run of member indexes; `offset` skips leading label columns
+  const spanColumns = (run, offset = 0) => `${run[0] + 1 + offset} / ${run[1] + 2 + offset}`;
+
+  const renderHeader = () => (
+    <div className="people-header" style={{ gridTemplateColumns: columns }}>
+      <div className="people-corner">
+        <button
+          className={`btn btn-small people-mode-btn ${mode === 'day' ? 'active' : ''}`}
+          onClick={() => onModeChange && onModeChange('day')}
+        >
+          Day
+        </button>
+        <button
+          className={`btn btn-small people-mode-btn ${mode === 'week' ? 'active' : ''}`}
+          onClick={() => onModeChange && onModeChange('week')}
+        >
+          Week
+        </button>
+      </div>
+      {members.map(member => (
+        <div key={member.key} className="people-member">{member.label}</div>
+      ))}
+    </div>
+  );
+
+  // Strip of chips laid out by the grid's auto-placement: each chip pins its columns
+  // and takes the first free row, so overlapping chips stack instead of covering each other
+  const renderStrip = (groups, label, day, className = '') => (
+    <div className={`people-strip ${className}`}>
+      <div className="people-row-label" onClick={() => day && onDateChange && onDateChange(day)}>
+        {label}
+      </div>
+      <div
+        className="people-strip-grid"
+        style={{ gridTemplateColumns: memberColumns }}
+        onClick={() => day && onTimeSlotClick(day, '09:00')}
+      >
+        {groups.flatMap(group => contiguousRuns(group.memberIndexes).map(run =>
+          renderChip(group, run, { gridColumn: spanColumns(run) }, !!day)
+        ))}
+      </div>
+    </div>
+  );
+
+  const renderDay = () => {
+    const day = selectedDate || new Date();
+    const groups = groupEventsByMembers(eventsForDay(day), members);
+    const allDay = groups.filter(g => g.event.allDay);
+    const timed = groups.filter(g => !g.event.allDay);
+    const totalSlots = 24 * SLOTS_PER_HOUR;
+    // Each member column is laid out like a DayView column (utils/eventLayout), so
+    // overlapping events sit side by side. layouts[i] maps event -> its place in column i.
+    const layouts = members.map((_, index) => new Map(
+      layoutDayEvents(timed.filter(g => g.memberIndexes.includes(index)).map(g => g.event), day)
+        .map(item => [item.event, item])
+    ));
+    const placeChip = (group, run, item) => {
+      const start = Math.round(item.top / SLOT_MINUTES);
+      const end = Math.min(totalSlots, Math.max(start + 1, Math.round((item.top + item.height) / SLOT_MINUTES)));
+      return renderChip(group, run, {
+        gridColumn: spanColumns(run, 1),
+        gridRow: `${start + 1} / ${end + 1}`,
+        marginLeft: `calc(${item.left * 100}% + 2px)`,
+        width: `calc(${item.width * 100}% - 4px)`
+      }, true);
+    };
+
+    return (
+      <>
+        {allDay.length > 0 && renderStrip(allDay, 'All day', null, 'all-day')}
+        <div className="people-body">
+          <div
+            className="people-time-grid"
+            style={{ gridTemplateColumns: columns, gridTemplateRows: `repeat(${totalSlots}, var(--people-slot-height))` }}
+          >
+            {Array.from({ length: 24 }, (_, hour) => {
+              const label = safeFormat(new Date(day).setHours(hour, 0, 0, 0), 'HH:mm', '');
+              const rows = `${hour * SLOTS_PER_HOUR + 1} / span ${SLOTS_PER_HOUR}`;
+              return (
+                <React.Fragment key={hour}>
+                  <div className="people-hour-label" style={{ gridColumn: 1, gridRow: rows }}>{label}</div>
+                  {members.map((member, index) => (
+                    <div
+                      key={member.key}
+                      className="people-hour-cell"
+                      style={{ gridColumn: index + 2, gridRow: rows }}
+                      onClick={() => onTimeSlotClick(day, label)}
+                    />
+                  ))}
+                </React.Fragment>
+              );
+            })}
+            {timed.flatMap(group => contiguousRuns(group.memberIndexes).flatMap(run => {
+              const indexes = Array.from({ length: run[1] - run[0] + 1 }, (_, i) => run[0] + i);
+              const items = indexes.map(index => layouts[index].get(group.event));
+              if (items.some(item => !item)) return [];
+              // a shared event spans its members' columns while it has them to itself, and
+              // splits into one chip per member where it has to share a column
+              if (items.every(item => item.columns === 1)) return [placeChip(group, run, items[0])];
+              return indexes.map((index, i) => placeChip(group, [index, index], items[i]));
+            }))}
+          </div>
+        </div>
+      </>
+    );
+  };
+
+  const renderWeek = () => {
+    const weekStart = startOfWeek(selectedDate || new Date());
+    return (
+      <div className="people-body">
+        {Array.from({ length: 7 }, (_, i) => {
+          const day = addDays(weekStart, i);
+          const groups = groupEventsByMembers(eventsForDay(day), members)
+            .sort((a, b) => (a.event.allDay === b.event.allDay ? a.event.parsedStart - b.event.parsedStart : (a.event.allDay ? -1 : 1)));
+          const label = (
+            <>
+              <div className="people-day-name">{safeFormat(day, 'EEE', '')}</div>
+              <div className="people-day-date">{safeFormat(day, 'd', '')}</div>
+            </>
+          );
+          return (
+            <div key={i} className={`people-week-day ${isToday(day) ? 'today' : ''} ${isSameDay(day, selectedDate) ? 'selected' : ''}`}>
+              {renderStrip(groups, label, day)}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  if (members.length === 0) {
+    return <div className="people-view"><div className="people-empty">No visible family members. Turn some calendars on in the legend.</div></div>;
+  }
+
+  return (
+    <div className="people-view">
+      {renderHeader()}
+      {mode === 'week' ? renderWeek() : renderDay()}
+    </div>
+  );
+};
+
+export default PeopleView;
@@ -0,0 +1,125 @@
+import React from 'react';
+import { getDay } from 'date-fns';
+import { safeParse } from '../utils/dateUtils';
+import { WEEKDAYS, WEEKDAY_LABELS, describeRule, nthWeekdayOfMonth } from '../utils/recurrence';
+import './RecurrenceEditor.css';
+
+const ORDINAL_LABELS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+// Touch-friendly editor for a recurrence rule object (see utils/recurrence.emptyRule)
+const RecurrenceEditor = ({ value, onChange, startDate, disabled = false }) => {
+  const rule = value;
+  const start = safeParse(startDate) || new Date();
+  const startWeekday = WEEKDAYS[getDay(start)];
+
+  const update = (field, fieldValue) => {
+    onChange({ ...rule, [field]: fieldValue });
+  };
+
+  const toggleDay = (day) => {
+    const current = rule.byDay && rule.byDay.length ? rule.byDay : [startWeekday];
+    const next = current.includes(day) ? current.filter(d => d !== day) : [...current, day];
+    // never leave a weekly rule without any weekday
+    update('byDay', next.length ? next : [startWeekday]);
+  };
+
+  const unitLabel = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)', yearly: 'year(s)' }[rule.freq];
+  const selectedDays = rule.byDay && rule.byDay.length ? rule.byDay : [startWeekday];
+
+  return (
+    <div className={`recurrence-editor ${disabled ? 'disabled' : ''}`}>
+      <div className="recurrence-freq">
+        {['none', 'daily', 'weekly', 'monthly', 'yearly'].map(freq => (
+          <button
+            key={freq}
+            type="button"
+            className={`recurrence-chip ${rule.freq === freq ? 'selected' : ''}`}
+            onClick={() => update('freq', freq)}
+            disabled={disabled}
+          >
+            {freq === 'none' ? 'Once' : freq.charAt(0).toUpperCase() + freq.slice(1)}
+          </button>
+        ))}
+      </div>
+
+      {rule.freq !== 'none' && (
+        <>
+          <div className="recurrence-row">
+            <label>Every</label>
+            <input
+              type="number"
+              min="1"
+              max="99"
+              value={rule.interval}
+              onChange={(e) => update('interval', e.target.value)}
+              disabled={disabled}
+            />
+            <span>{unitLabel}</span>
+          </div>
+
+          {rule.freq === 'weekly' && (
+            <div className="recurrence-weekdays">
+              {WEEKDAYS.map(day => (
+                <button
+                  key={day}
+                  type="button"
+                  className={`recurrence-day ${selectedDays.includes(day) ? 'selected' : ''}`}
+                  onClick={() => toggleDay(day)}
+                  disabled={disabled}
+                >
+                  {WEEKDAY_LABELS[day]}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {rule.freq === 'monthly' && (
+            <div className="recurrence-row">
+              <select value={rule.monthlyMode} onChange={(e) => update('monthlyMode', e.target.value)} disabled={disabled}>
+                <option value="date">On day {start.getDate()}</option>
+                <option value="weekday">
+                  On the {ORDINAL_LABELS[nthWeekdayOfMonth(start)]} {WEEKDAY_LABELS[startWeekday]}
+                </option>
+              </select>
+            </div>
+          )}
+
+          <div className="recurrence-row">
+            <label>Ends</label>
+            <select value={rule.endType} onChange={(e) => update('endType', e.target.value)} disabled={disabled}>
+              <option value="never">Never</option>
+              <option value="until">On date</option>
+              <option value="count">After</option>
+            </select>
+            {rule.endType === 'until' && (
+              <input
+                type="date"
+                value={rule.until}
+                onChange={(e) => update('until', e.target.value)}
+                disabled={disabled}
+                required
+              />
+            )}
+            {rule.endType === 'count' && (
+              <>
+                <input
+                  type="number"
+                  min="1"
+                  max="999"
+                  value={rule.count}
+                  onChange={(e) => update('count', e.target.value)}
+                  disabled={disabled}
+                />
+                <span>times</span>
+              </>
+            )}
+          </div>
+        </>
+      )}
+
+      <div className="recurrence-summary">{describeRule(rule, start)}</div>
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
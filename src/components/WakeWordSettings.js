@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { wakeWordService } from '../services/wakeWordService';
+import { voiceSearchService } from '../services/voiceSearchService';
+import { storageUtils } from '../utils/storage';
+import './WakeWordSettings.css';
+
+const isRussian = (word) => /[а-яё]/i.test(word);
+
+// Wake word settings: the words in each language, the fuzzy tolerance and the clip length
+// of the polling fallback, all applied to wakeWordService as they change. "Say it now"
+// records one phrase and shows how far each heard word is from every wake word; the
+// verdict follows the tolerance and the word list live.
+const WakeWordSettings = ({ isOpen, onClose }) => {
+  const [config, setConfig] = useState(() => wakeWordService.getConfig());
+  const [newWords, setNewWords] = useState({ ru: '', en: '' });
+  const [testing, setTesting] = useState(false);
+  const [heard, setHeard] = useState(null);
+  const [testMessage, setTestMessage] = useState('');
+
+  if (!isOpen) return null;
+
+  const refresh = () => setConfig(wakeWordService.getConfig());
+
+  const addWord = (lang) => {
+    const word = newWords[lang].trim().toLowerCase();
+    if (!word) return;
+    wakeWordService.addExtraWakeWords([word]);
+    setNewWords(prev => ({ ...prev, [lang]: '' }));
+    refresh();
+  };
+
+  const removeWord = (word) => {
+    wakeWordService.removeWakeWord(word);
+    refresh();
+  };
+
+  const runTest = async () => {
+    setTesting(true);
+    setHeard(null);
+    setTestMessage('Listening… say the wake word');
+    // the wake listener would take the microphone and answer the test phrase itself
+    wakeWordService.stop();
+    try {
+      const text = await voiceSearchService.captureTranscript({
+        deviceId: storageUtils.getSelectedMic() || undefined,
+        maxMs: 5000,
+        onPartial: (partial) => setTestMessage(`${partial}…`)
+      });
+      setHeard(text);
+      setTestMessage('');
+    } catch (err) {
+      setTestMessage(err.code === 'no_speech' ? 'No speech heard. Try again a little louder.' : 'Test failed: ' + (err.message || String(err)));
+    } finally {
+      wakeWordService.start({ lang: wakeWordService.lang });
+      setTesting(false);
+    }
+  };
+
+  const renderWords = (lang, label, placeholder) => {
+    const words = config.wakeWords.filter(w => isRussian(w) === (lang === 'ru'));
+    return (
+      <div className="wake-section">
+        <h3>{label}</h3>
+        <div className="wake-words">
+          {words.length === 0 && <span className="wake-hint">No wake words</span>}
+          {words.map(word => (
+            <span key={word} className="wake-word">
+              {word}
+              <button
+                className="wake-word-remove"
+                onClick={() => removeWord(word)}
+                disabled={config.wakeWords.length <= 1}
+                title={config.wakeWords.length <= 1 ? 'At least one wake word is needed' : 'Stop listening for this word'}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+        <div className="wake-add">
+          <input
+            type="text"
+            value={newWords[lang]}
+            placeholder={placeholder}
+            onChange={(e) => setNewWords(prev => ({ ...prev, [lang]: e.target.value }))}
+            onKeyDown={(e) => { if (e.key === 'Enter') addWord(lang); }}
+          />
+          <button className="btn btn-small" onClick={() => addWord(lang)} disabled={!newWords[lang].trim()}>Add</button>
+        </div>
+      </div>
+    );
+  };
+
+  const results = heard !== null ? wakeWordService.explainWakeMatch(heard) : [];
+  const triggered = results.find(r => r.triggered);
+
+  return (
+    <div className="wake-settings-modal" onClick={onClose}>
+      <div className="wake-settings" onClick={(e) => e.stopPropagation()}>
+        <div className="wake-settings-header">
+          <h2>Wake words</h2>
+          <button className="btn btn-small" onClick={onClose}>Close</button>
+        </div>
+
+        {renderWords('ru', 'Russian', 'e.g. календарик')}
+        {renderWords('en', 'English', 'e.g. family')}
+
+        <div className="wake-section">
+          <h3>Fuzzy tolerance: {config.fuzzyTolerance}</h3>
+          <input
+            type="range"
+            min="0"
+            max="4"
+            step="1"
+            value={config.fuzzyTolerance}
+            onChange={(e) => { wakeWordService.setFuzzyTolerance(e.target.value); refresh(); }}
+          />
+          <div className="wake-hint">How many letters a heard word may differ by (longer words allow more). 0 wants an exact match.</div>
+        </div>
+
+        <div className="wake-section">
+          <h3>Clip length: {(config.voskClipMs / 1000).toFixed(1)} s</h3>
+          <input
+            type="range"
+            min="800"
+            max="4000"
+            step="100"
+            value={config.voskClipMs}
+            onChange={(e) => { wakeWordService.setVoskClipMs(e.target.value); refresh(); }}
+          />
+          <div className="wake-hint">Only used when the VOSK server cannot stream and short clips are checked one by one.</div>
+        </div>
+
+        <div className="wake-section">
+          <h3>Test</h3>
+          <button className="btn" onClick={runTest} disabled={testing}>{testing ? 'Listening…' : 'Say it now'}</button>
+          {testMessage && <div className="wake-hint">{testMessage}</div>}
+          {heard !== null && (
+            <div className="wake-test">
+              <div><strong>Heard:</strong> {heard}</div>
+              <div className={`wake-verdict ${triggered ? 'yes' : 'no'}`}>
+                {triggered ? `Would wake up (“${triggered.word}”)` : 'Would not wake up'}
+              </div>
+              <table className="wake-test-table">
+                <thead>
+                  <tr><th>Wake word</th><th>Closest heard</th><th>Distance</th><th>Allowed</th><th /></tr>
+                </thead>
+                <tbody>
+                  {results.map(r => (
+                    <tr key={r.word} className={r.triggered ? 'triggered' : ''}>
+                      <td>{r.word}</td>
+                      <td>{r.token || '—'}</td>
+                      <td>{r.distance}</td>
+                      <td>{r.maxAllowed}</td>
+                      <td>{r.triggered ? '✓' : ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WakeWordSettings;
@@ -1,6 +1,9 @@
-import React from 'react';
-import { startOfWeek, addDays, addHours, isSameDay, isToday, startOfDay, endOfDay } from 'date-fns';
+import React, { useRef } from 'react';
+import { startOfWeek, addDays, isSameDay, isToday, startOfDay, endOfDay } from 'date-fns';
 import { safeFormat, safeParse } from '../utils/dateUtils';
+import { eventColorStyle } from '../utils/calendarPrefs';
+import { layoutDayEvents, MINUTES_PER_DAY } from '../utils/eventLayout';
+import { useEventDrag, dragTimes, isDragged } from '../utils/useEventDrag';
 import './WeekView.css';
 
 const WeekView = ({ 
@@ -9,10 +12,31 @@ const WeekView = ({
   onDateChange, 
   onTimeSlotClick, 
   onEventClick, 
-  accounts 
+  accounts,
+  calendarPrefs,
+  onEventReschedule
 }) => {
   const weekStart = startOfWeek(selectedDate);
   const hours = Array.from({ length: 24 }, (_, i) => i);
+  const eventsLayerRef = useRef(null);
+
+  // Long-press an event to move it (across days too), or its bottom edge to resize it
+  const { drag, startPress, isDragClick } = useEventDrag({
+    onDrop: onEventReschedule,
+    compute: (press, dx, dy) => dragTimes(
+      press.event,
+      press.mode,
+      dy / press.context.minutePx,
+      press.mode === 'move' ? Math.round(dx / press.context.dayWidth) : 0
+    )
+  });
+
+  const pressEvent = (e, event, mode) => {
+    const layer = eventsLayerRef.current;
+    if (!layer) return;
+    const rect = layer.getBoundingClientRect();
+    startPress(e, event, mode, { minutePx: rect.height / MINUTES_PER_DAY, dayWidth: rect.width / 7 });
+  };
 
   const renderHeader = () => {
     const days = [];
@@ -38,25 +62,54 @@ const WeekView = ({
     );
   };
 
-  const getEventsForTimeSlot = (day, hour) => {
+  const weekDays = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+
+  const getEventsForDay = (day) => {
+    const dayStart = startOfDay(day);
+    const dayEnd = endOfDay(day);
     return events.filter(event => {
       const start = event.parsedStart || safeParse(event.start?.dateTime || event.start?.date);
-      const end = event.parsedEnd || safeParse(event.end?.dateTime || event.end?.date);
-      if (!start || !end) return false;
+      const end = event.parsedEnd || safeParse(event.end?.dateTime || event.end?.date) || start;
+      if (!start) return false;
+      // end dates are exclusive: an event ending at midnight is not on the day that starts then
+      return start <= dayEnd && (end > dayStart || start >= dayStart);
+    });
+  };
 
-      if (event.allDay) {
-        return isSameDay(start, day);
-      }
+  const accountClass = (event) => {
+    const accountIndex = accounts.findIndex(acc => acc.id === event.accountId);
+    return `event-account-${(accountIndex % 6) + 1}`;
+  };
 
-      // Determine hour interval for this slot
-      const slotStart = new Date(day);
-      slotStart.setHours(hour, 0, 0, 0);
-      const slotEnd = new Date(day);
-      slotEnd.setHours(hour + 1, 0, 0, 0);
+  const renderAllDayRow = () => {
+    const allDayByDay = weekDays.map(day => getEventsForDay(day).filter(event => event.allDay));
+    if (!allDayByDay.some(dayEvents => dayEvents.length > 0)) return null;
 
-      // Overlap check: event.start < slotEnd && event.end > slotStart
-      return start < slotEnd && end > slotStart;
-    });
+    return (
+      <div className="week-all-day-row">
+        <div className="time-label">All day</div>
+        {weekDays.map((day, dayIndex) => (
+          <div
+            key={dayIndex}
+            className={`week-all-day-cell ${isSameDay(day, selectedDate) ? 'selected-day' : ''}`}
+          >
+            {allDayByDay[dayIndex].map((event, eventIndex) => (
+              <div
+                key={`${event.accountId}-${event.id}-${eventIndex}`}
+                className={`week-event ${accountClass(event)}`}
+                style={eventColorStyle(event, calendarPrefs)}
+                onClick={() => onEventClick(event)}
+                title={`${event.summary || event.title} - ${event.accountName || 'Unknown'}`}
+              >
+                <div className="week-event-title">
+                  {event.summary || event.title || 'Untitled Event'}
+                </div>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    );
   };
 
   const renderTimeSlots = () => {
@@ -66,51 +119,94 @@ const WeekView = ({
       return (
         <div key={hour} className="week-time-row">
           <div className="time-label">{timeLabel}</div>
-          {Array.from({ length: 7 }, (_, dayIndex) => {
-            const day = addDays(weekStart, dayIndex);
-            const slotEvents = getEventsForTimeSlot(day, hour);
-            
-            return (
-              <div
-                key={dayIndex}
-                className={`time-slot ${isSameDay(day, selectedDate) ? 'selected-day' : ''}`}
-                onClick={() => onTimeSlotClick(day, timeLabel)}
-              >
-                {slotEvents.map((event, eventIndex) => {
-                  const accountIndex = accounts.findIndex(acc => acc.id === event.accountId);
-                  return (
-                    <div
-                      key={eventIndex}
-                      className={`week-event event-account-${(accountIndex % 6) + 1}`}
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        onEventClick(event);
-                      }}
-                      title={`${event.summary || event.title} - ${event.accountName || 'Unknown'}`}
-                    >
-                      <div className="week-event-time">
-                        {event.start?.dateTime ? safeFormat(event.start.dateTime, 'HH:mm', 'All day') : 'All day'}
-                      </div>
-                      <div className="week-event-title">
-                        {event.summary || event.title || 'Untitled Event'}
-                      </div>
-                    </div>
-                  );
-                })}
-              </div>
-            );
-          })}
+          {weekDays.map((day, dayIndex) => (
+            <div
+              key={dayIndex}
+              className={`time-slot ${isSameDay(day, selectedDate) ? 'selected-day' : ''}`}
+              onClick={() => onTimeSlotClick(day, timeLabel)}
+            />
+          ))}
         </div>
       );
     });
   };
 
+  // Timed events on top of the hour rows, one positioned column per day, laid out by
+  // utils/eventLayout. Positions are percentages of the 24 hour grid height.
+  const renderTimedEvents = () => (
+    <div className="week-events-layer" ref={eventsLayerRef}>
+      {weekDays.map((day, dayIndex) => (
+        <div key={dayIndex} className="week-day-events">
+          {layoutDayEvents(getEventsForDay(day), day).map(({ event, top, height, left, width }, eventIndex) => (
+            <div
+              key={`${event.accountId}-${event.id}-${eventIndex}`}
+              className={`week-event ${accountClass(event)} ${height < 40 ? 'compact' : ''} ${isDragged(drag, event) ? 'drag-source' : ''}`}
+              style={{
+                ...eventColorStyle(event, calendarPrefs),
+                top: `${(top / MINUTES_PER_DAY) * 100}%`,
+                height: `${(height / MINUTES_PER_DAY) * 100}%`,
+                left: `${left * 100}%`,
+                width: `calc(${width * 100}% - 2px)`
+              }}
+              onPointerDown={(e) => pressEvent(e, event, 'move')}
+              onClick={() => {
+                if (isDragClick()) return;
+                onEventClick(event);
+              }}
+              title={`${event.summary || event.title} - ${event.accountName || 'Unknown'}`}
+            >
+              <div className="week-event-time">
+                {safeFormat(event.parsedStart, 'HH:mm', '')}
+              </div>
+              <div className="week-event-title">
+                {event.summary || event.title || 'Untitled Event'}
+              </div>
+              {onEventReschedule && !event.readOnly && (
+                <div className="event-resize-handle" onPointerDown={(e) => pressEvent(e, event, 'resize')} />
+              )}
+            </div>
+          ))}
+          {drag && isSameDay(drag.start, day) && renderDragPreview(day)}
+        </div>
+      ))}
+    </div>
+  );
+
+  // Where the dragged event will land, drawn in the column of its new day
+  const renderDragPreview = (day) => {
+    const [item] = layoutDayEvents([{ ...drag.event, parsedStart: drag.start, parsedEnd: drag.end }], day);
+    if (!item) return null;
+    return (
+      <div
+        className={`week-event drag-preview ${accountClass(drag.event)}`}
+        style={{
+          ...eventColorStyle(drag.event, calendarPrefs),
+          top: `${(item.top / MINUTES_PER_DAY) * 100}%`,
+          height: `${(item.height / MINUTES_PER_DAY) * 100}%`,
+          left: 0,
+          width: 'calc(100% - 2px)'
+        }}
+      >
+        <div className="week-event-time">
+          {safeFormat(drag.start, 'HH:mm', '')} - {safeFormat(drag.end, 'HH:mm', '')}
+        </div>
+        <div className="week-event-title">
+          {drag.event.summary || drag.event.title || 'Untitled Event'}
+        </div>
+      </div>
+    );
+  };
+
   return (
     <div className="week-view">
       <div className="week-container">
         {renderHeader()}
+        {renderAllDayRow()}
         <div className="week-body">
-          {renderTimeSlots()}
+          <div className="week-grid">
+            {renderTimeSlots()}
+            {renderTimedEvents()}
+          </div>
         </div>
       </div>
     </div>
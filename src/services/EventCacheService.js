@@ -0,0 +1,100 @@
+// Event cache: persists raw Google events per account/calendar together with the
+// calendar's syncToken so views can render instantly and only deltas are fetched.
+// Stored as JSON files in the Electron userData directory (via preload), with a
+// localStorage fallback for the web build.
+const LOCAL_PREFIX = 'famsync_event_cache_';
+
+class EventCacheService {
+  constructor() {
+    // key -> entry, so repeated range reads don't hit disk
+    this.entries = new Map();
+  }
+
+  calendarKey(accountId, calendarId) {
+    return `${accountId}__cal__${calendarId}`;
+  }
+
+  calendarListKey(accountId) {
+    return `${accountId}__calendarList`;
+  }
+
+  async read(key) {
+    if (this.entries.has(key)) return this.entries.get(key);
+    let data = null;
+    try {
+      if (window.electronAPI && typeof window.electronAPI.readEventCache === 'function') {
+        data = await window.electronAPI.readEventCache(key);
+      } else {
+        const raw = localStorage.getItem(LOCAL_PREFIX + key);
+        data = raw ? JSON.parse(raw) : null;
+      }
+    } catch (err) {
+      console.warn('[EventCache] read failed for', key, err);
+      data = null;
+    }
+    this.entries.set(key, data);
+    return data;
+  }
+
+  async write(key, data) {
+    this.entries.set(key, data);
+    try {
+      if (window.electronAPI && typeof window.electronAPI.writeEventCache === 'function') {
+        await window.electronAPI.writeEventCache(key, data);
+      } else {
+        localStorage.setItem(LOCAL_PREFIX + key, JSON.stringify(data));
+      }
+      return true;
+    } catch (err) {
+      // A failed write only costs a full sync next time; keep the in-memory copy
+      console.warn('[EventCache] write failed for', key, err);
+      return false;
+    }
+  }
+
+  async remove(key) {
+    this.entries.delete(key);
+    try {
+      if (window.electronAPI && typeof window.electronAPI.clearEventCache === 'function') {
+        await window.electronAPI.clearEventCache(key);
+      } else {
+        localStorage.removeItem(LOCAL_PREFIX + key);
+      }
+    } catch (err) {
+      console.warn('[EventCache] remove failed for', key, err);
+    }
+  }
+
+  // Per-calendar entry: { syncToken, windowStart, windowEnd, syncedAt, events: { [eventId]: rawEvent } }
+  getCalendarEntry(accountId, calendarId) {
+    return this.read(this.calendarKey(accountId, calendarId));
+  }
+
+  saveCalendarEntry(accountId, calendarId, entry) {
+    return this.write(this.calendarKey(accountId, calendarId), entry);
+  }
+
+  removeCalendarEntry(accountId, calendarId) {
+    return this.remove(this.calendarKey(accountId, calendarId));
+  }
+
+  getCalendarList(accountId) {
+    return this.read(this.calendarListKey(accountId));
+  }
+
+  saveCalendarList(accountId, calendars) {
+    return this.write(this.calendarListKey(accountId), calendars);
+  }
+
+  // Forget everything cached for an account (used when the account is removed)
+  async clearAccount(accountId) {
+    const calendars = (await this.getCalendarList(accountId)) || [];
+    for (const cal of calendars) {
+      await this.removeCalendarEntry(accountId, cal.id);
+    }
+    await this.remove(this.calendarListKey(accountId));
+  }
+}
+
+export const eventCacheService = new EventCacheService();
+export { EventCacheService };
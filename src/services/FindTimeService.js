@@ -0,0 +1,144 @@
+// Find-a-time: free/busy is computed locally from the accounts' events (utils/freeBusy),
+// Gemini only ranks and phrases the best few slots. Without Gemini the earliest slots
+// on different days are offered instead.
+import { addDays, startOfDay, endOfDay } from 'date-fns';
+import { googleCalendarService } from './GoogleCalendarService';
+import { geminiService } from './GeminiService';
+import { voiceSearchService } from './voiceSearchService';
+import { busyIntervals, freeIntervals, candidateSlots } from '../utils/freeBusy';
+import { safeParse, safeFormat } from '../utils/dateUtils';
+import { ru as ruLocale } from 'date-fns/locale';
+
+export const DEFAULT_WINDOW = { from: '08:00', to: '21:00' };
+export const DEFAULT_RANGE_DAYS = 7;
+const MAX_OPTIONS = 3;
+
+// "when are Masha and I both free", "найди время", "когда мы свободны"
+const FIND_TIME_RE = /(^|\s)(свободн|найди время|найти время|подбери время|когда (мы|все|можем|получится))|\b(free|find a time|find time|available|availability)\b/i;
+
+class FindTimeService {
+  // Whether a transcript asks for a common free time
+  isFindTimeIntent(text) {
+    return FIND_TIME_RE.test((text || '').toString());
+  }
+
+  // Meeting length mentioned in the text, in minutes ("2 hours", "на полтора часа",
+  // "30 минут"), or null
+  parseDuration(text) {
+    const t = (text || '').toString().toLowerCase();
+    if (/полтора час|an hour and a half|1\.5 hours?/.test(t)) return 90;
+    if (/полчаса|half an hour/.test(t)) return 30;
+    const hours = t.match(/(\d+(?:[.,]\d+)?)\s*(h\b|hours?|час)/);
+    if (hours) return Math.round(parseFloat(hours[1].replace(',', '.')) * 60);
+    const words = { one: 1, two: 2, three: 3, four: 4, 'два': 2, 'две': 2, 'три': 3, 'четыре': 4 };
+    const wordHours = t.match(/(one|two|three|four|два|две|три|четыре)\s*(hours?|час)/);
+    if (wordHours) return words[wordHours[1]] * 60;
+    if (/(^|\s)(an hour|час)(\s|$|[?.,])/.test(t)) return 60;
+    const minutes = t.match(/(\d+)\s*(min|minutes?|мин)/);
+    if (minutes) return parseInt(minutes[1], 10);
+    return null;
+  }
+
+  // Turn a spoken request into search parameters:
+  // { accountIds, durationMinutes, rangeStart, rangeEnd }. People are the accounts
+  // mentioned by alias (all accounts when nobody is named), the date range comes from
+  // voiceSearchService.interpretQuery (Gemini or the offline parser), otherwise the next week.
+  async parseRequest(text, accounts = [], { lang = 'ru' } = {}) {
+    const mentioned = voiceSearchService.matchAccounts(text, accounts);
+    const people = mentioned.length ? mentioned : accounts;
+
+    let rangeStart = new Date();
+    let rangeEnd = endOfDay(addDays(rangeStart, DEFAULT_RANGE_DAYS - 1));
+    try {
+      const interp = await voiceSearchService.interpretQuery(text, { lang, accounts });
+      const from = safeParse(interp.startDate);
+      const to = safeParse(interp.endDate || interp.startDate);
+      if (from) rangeStart = startOfDay(from);
+      if (to) rangeEnd = endOfDay(to);
+    } catch (err) {
+      console.warn('[FindTimeService] could not interpret the date range, using the next week', err);
+    }
+
+    return {
+      accountIds: people.map(acc => acc.id),
+      durationMinutes: this.parseDuration(text) || 60,
+      rangeStart,
+      rangeEnd
+    };
+  }
+
+  // Events of the accounts in the range: the local cache when it covers it, else Google
+  async loadEvents(accountIds, rangeStart, rangeEnd) {
+    const perAccount = await Promise.all(accountIds.map(async (accountId) => {
+      const cached = await googleCalendarService.getCachedEvents(accountId, rangeStart, rangeEnd);
+      if (cached) return cached;
+      return googleCalendarService.getEvents(accountId, rangeStart, rangeEnd);
+    }));
+    return perAccount.flat();
+  }
+
+  // Find slots where every account in `accountIds` is free.
+  // Resolves to { options: [{ start, end, reason }], candidates: number }.
+  async findTimes({ accounts = [], accountIds, durationMinutes = 60, rangeStart, rangeEnd, window = DEFAULT_WINDOW, query = '', lang = 'ru' }) {
+    const ids = accountIds && accountIds.length ? accountIds : accounts.map(acc => acc.id);
+    // never propose times that are already over
+    const from = new Date(Math.max(rangeStart, Date.now()));
+    const events = await this.loadEvents(ids, from, rangeEnd);
+    const free = freeIntervals(busyIntervals(events, ids), from, rangeEnd, window);
+    const candidates = candidateSlots(free, durationMinutes);
+    if (candidates.length === 0) return { options: [], candidates: 0 };
+
+    let options = null;
+    if (geminiService.isAvailable()) {
+      try {
+        const people = accounts.filter(acc => ids.includes(acc.id));
+        const ranked = await geminiService.suggestMeetingTimes(query, people, candidates, {
+          lang,
+          duration: `${durationMinutes} minutes`
+        });
+        options = ranked.map(item => ({ ...candidates[item.index], reason: item.reason || '' }));
+      } catch (err) {
+        console.warn('[FindTimeService] ranking failed, offering the earliest slots', err);
+      }
+    }
+    if (!options || options.length === 0) options = this.earliestOnDifferentDays(candidates);
+    return { options, candidates: candidates.length };
+  }
+
+  earliestOnDifferentDays(candidates) {
+    const picked = [];
+    const days = new Set();
+    for (const slot of candidates) {
+      const day = safeFormat(slot.start, 'yyyy-MM-dd', '');
+      if (days.has(day)) continue;
+      days.add(day);
+      picked.push({ ...slot, reason: '' });
+      if (picked.length === MAX_OPTIONS) return picked;
+    }
+    // fewer days than options: fill up with the remaining earliest slots
+    for (const slot of candidates) {
+      if (picked.length === MAX_OPTIONS) break;
+      if (!picked.some(p => p.start.getTime() === slot.start.getTime())) picked.push({ ...slot, reason: '' });
+    }
+    return picked.sort((a, b) => a.start - b.start);
+  }
+
+  // Sentence to speak for the options found
+  describeOptions(options, lang = 'ru') {
+    const ru = (lang || '').startsWith('ru');
+    if (!options.length) {
+      return ru ? 'Общего свободного времени не нашлось.' : 'There is no common free time in that period.';
+    }
+    const parts = options.map(slot => {
+      const day = ru
+        ? safeFormat(slot.start, 'EEEE, d MMMM', '', { locale: ruLocale })
+        : safeFormat(slot.start, 'EEEE, MMMM d', '');
+      const time = `${safeFormat(slot.start, 'HH:mm', '')} - ${safeFormat(slot.end, 'HH:mm', '')}`;
+      return `${day}, ${time}${slot.reason ? `. ${slot.reason}` : ''}`;
+    });
+    return (ru ? 'Можно так: ' : 'Options: ') + parts.join('; ') + '.';
+  }
+}
+
+export const findTimeService = new FindTimeService();
+export { FindTimeService };
@@ -1,12 +1,16 @@
-// Gemini AI Service for Natural Language Processing
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { format, parseISO, addDays, addWeeks, addMonths } from 'date-fns';
-import { safeFormat, safeParse } from '../utils/dateUtils';
+// Natural language features: the prompts and the parsing of the answers. Despite the
+// name this service is provider-agnostic: the model behind it is configurable (Gemini or
+// an OpenAI-compatible server, see llmProviders.js), and structured calls ask the
+// provider for JSON output at temperature 0.
+import { createLlmProvider } from './llmProviders';
+import { safeFormat } from '../utils/dateUtils';
+import {
+  parseStructured, QUERY_SCHEMA, EVENT_SCHEMA, MEETING_SCHEMA, queryRangeProblems, clampQueryRange
+} from '../utils/llmSchema';
 
 class GeminiService {
   constructor() {
-    this.genAI = null;
-    this.model = null;
+    this.provider = null;
     this.isInitialized = false;
   }
 
@@ -23,7 +27,7 @@ class GeminiService {
   // }
   async interpretQuery(query, referenceDate = new Date(), options = {}) {
     if (!this.initialize()) {
-      throw new Error('Gemini AI not available');
+      throw this.unavailableError();
     }
 
     try {
@@ -34,6 +38,7 @@ class GeminiService {
       const prompt = `
 ${languageInstruction}
 Reference date: ${ref}
+${this.getConversationContext(options.conversation)}
 
 You will be given a user's short question about their calendar. Your task is to return a strict JSON object (ONLY JSON, no commentary, no markdown) that tells us which date range the user meant and which keywords should be used to filter events. The JSON MUST include the fields: startDate, endDate, scope, keywords_en, keywords_ru, notes.
 
@@ -59,24 +64,13 @@ Question: "${query}"
         }
       } catch (e) { /* ignore logging errors */ }
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text_response = response.text();
-
-      const jsonMatch = text_response.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('interpretQuery: Invalid JSON response from Gemini');
-      }
-
-      const parsed = JSON.parse(jsonMatch[0]);
-
-      // Normalize keys and ensure arrays exist
-      parsed.startDate = parsed.startDate || null;
-      parsed.endDate = parsed.endDate || null;
-      parsed.scope = parsed.scope || 'unspecified';
-      parsed.keywords_en = Array.isArray(parsed.keywords_en) ? parsed.keywords_en.map(k => String(k).toLowerCase()) : [];
-      parsed.keywords_ru = Array.isArray(parsed.keywords_ru) ? parsed.keywords_ru.map(k => String(k).toLowerCase()) : [];
-      parsed.notes = parsed.notes || '';
+      const validated = await this.generateStructured(prompt, QUERY_SCHEMA, {
+        label: 'interpretQuery',
+        check: (value) => queryRangeProblems(value, referenceDate)
+      });
+      const parsed = clampQueryRange(validated);
+      parsed.keywords_en = parsed.keywords_en.map(k => k.toLowerCase()).filter(Boolean);
+      parsed.keywords_ru = parsed.keywords_ru.map(k => k.toLowerCase()).filter(Boolean);
 
       // Log the interpreted JSON result for debugging/audit
       try {
@@ -91,33 +85,79 @@ Question: "${query}"
       throw error;
     }
   }
-  // Initialize Gemini AI
+  // Initialize the configured language model
   initialize() {
     if (this.isInitialized) return true;
 
-    const apiKey = process.env.REACT_APP_GEMINI_API_KEY;
-    if (!apiKey) {
-      console.warn('Gemini API key not found. Natural language features will be disabled.');
-      return false;
-    }
-
     try {
-      this.genAI = new GoogleGenerativeAI(apiKey);
-      this.model = this.genAI.getGenerativeModel({ 
-        model: process.env.REACT_APP_GEMINI_MODEL || 'gemini-2.5-flash' 
-      });
+      const provider = createLlmProvider();
+      if (!provider.initialize()) return false;
+      this.provider = provider;
       this.isInitialized = true;
       return true;
     } catch (error) {
-      console.error('Failed to initialize Gemini AI:', error);
+      console.error('Failed to initialize the language model:', error);
       return false;
     }
   }
 
+  // Prompt in, model text out; `options` go to the provider ({ json, temperature })
+  async generate(prompt, options = {}) {
+    return this.provider.generate(prompt, options);
+  }
+
+  // Structured (JSON) answer validated against `schema` (see utils/llmSchema). An answer
+  // that does not parse, does not match, or fails `check(value)` (extra problems) gets
+  // one repair round: the model sees its answer and what is wrong with it. Still
+  // unusable: throws with code 'llm_invalid_response' and the problems found.
+  async generateStructured(prompt, schema, { label = 'llm', check } = {}) {
+    const attempt = (text) => {
+      const result = parseStructured(text, schema);
+      if (!result.problems.length && check) result.problems.push(...check(result.value));
+      return result;
+    };
+
+    const jsonOptions = { json: true, temperature: 0 };
+    const answer = await this.generate(prompt, jsonOptions);
+    let result = attempt(answer);
+    if (result.problems.length) {
+      console.warn(`[${label}] unusable model answer, asking for a repair:`, result.problems);
+      const repairPrompt = `${prompt}
+
+Your previous answer to the request above could not be used:
+${answer}
+
+Problems:
+${result.problems.map(p => `- ${p}`).join('\n')}
+
+Answer the request again with the problems fixed. Return only the JSON, no other text.
+`;
+      try {
+        if (typeof window !== 'undefined' && window.electronAPI && typeof window.electronAPI.geminiLog === 'function') {
+          window.electronAPI.geminiLog(repairPrompt, `${label}Repair`);
+        }
+      } catch (e) { /* ignore logging errors */ }
+      result = attempt(await this.generate(repairPrompt, jsonOptions));
+    }
+    if (result.problems.length) {
+      const err = new Error(`The language model returned an unusable answer: ${result.problems.join('; ')}`);
+      err.code = 'llm_invalid_response';
+      err.problems = result.problems;
+      throw err;
+    }
+    return result.value;
+  }
+
+  unavailableError() {
+    const err = new Error('Language model not available');
+    err.code = 'llm_unavailable';
+    return err;
+  }
+
   // Parse natural language into structured event data
   async parseEventFromText(text, accounts = [], currentDate = new Date(), options = {}) {
     if (!this.initialize()) {
-      throw new Error('Gemini AI not available');
+      throw this.unavailableError();
     }
 
     try {
@@ -165,23 +205,14 @@ Important parsing rules:
         }
       } catch (e) { /* ignore logging errors */ }
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text_response = response.text();
-      
-      // Clean the response to extract JSON
-      const jsonMatch = text_response.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('Invalid response format from Gemini');
-      }
+      const eventData = await this.generateStructured(prompt, EVENT_SCHEMA, { label: 'parseEvent' });
 
-      const eventData = JSON.parse(jsonMatch[0]);
-      
-      // Validate and enhance the parsed data
+      // Fill in defaults and make the times consistent
       return this.validateAndEnhanceEventData(eventData, accounts);
       
     } catch (error) {
       console.error('Event parsing failed:', error);
+      if (error.code) throw error;
       throw new Error('Failed to parse event from natural language');
     }
   }
@@ -189,7 +220,7 @@ Important parsing rules:
   // Generate availability summary for multiple accounts
   async generateAvailabilitySummary(accounts, events, startDate, endDate, options = {}) {
     if (!this.initialize()) {
-      throw new Error('Gemini AI not available');
+      throw this.unavailableError();
     }
 
     try {
@@ -237,13 +268,11 @@ Provide a conversational summary including:
 Keep the response friendly and family-focused, under 180 words.
 `;
 
-  const result = await this.model.generateContent(prompt);
-  const response = await result.response;
-  return response.text();
+  return await this.generate(prompt);
       
     } catch (error) {
       console.error('Availability summary generation failed:', error);
-  // Fallback: produce a simple local summary when Gemini model/method isn't available
+  // Fallback: produce a simple local summary when the language model isn't available
       try {
         // Helper to detect informational all-day events we should ignore for "busy" calculations
         const isInformationalAllDay = (ev) => {
@@ -323,45 +352,47 @@ Keep the response friendly and family-focused, under 180 words.
     }
   }
 
-  // Suggest optimal meeting times
-  async suggestMeetingTimes(query, accounts, events, preferences = {}) {
+  // Rank free slots for a meeting. `candidates` are slots already known to be free for
+  // everyone ([{ start, end }], computed locally from the calendars), so the model only
+  // picks and explains; it never invents times. Resolves to up to 3 entries
+  // [{ index, reason }] where index points into `candidates`.
+  async suggestMeetingTimes(query, accounts, candidates, preferences = {}) {
     if (!this.initialize()) {
-      throw new Error('Gemini AI not available');
+      throw this.unavailableError();
     }
 
     try {
-      // Include isAllDay and description so Gemini can decide whether an event is informational
-      const eventsContext = events.map(e => ({
-        title: e.summary || e.title,
-        description: e.description || '',
-        start: e.start?.dateTime || e.start?.date,
-        end: e.end?.dateTime || e.end?.date,
-        isAllDay: !!(e.start && e.start.date && !e.start.dateTime),
-        account: e.accountName
+      const lang = (preferences.lang || 'en').toLowerCase();
+      const languageInstruction = lang.startsWith('ru') ? 'Write the reasons in Russian.' : 'Write the reasons in English.';
+      const slotsContext = candidates.map((slot, index) => ({
+        index,
+        day: safeFormat(slot.start, 'EEEE yyyy-MM-dd', ''),
+        start: safeFormat(slot.start, 'HH:mm', ''),
+        end: safeFormat(slot.end, 'HH:mm', '')
       }));
 
       const prompt = `
-Based on the query "${query}" and the following calendar information, suggest 3 optimal meeting times.
-
-Accounts: ${accounts.map(acc => acc.name).join(', ')}
-Current Events: ${JSON.stringify(eventsContext, null, 2)}
+${languageInstruction}
+Request: "${query || 'find a time to meet'}"
+People: ${accounts.map(acc => acc.nickname || acc.name || acc.email).join(', ')}
+Today: ${safeFormat(new Date(), 'EEEE yyyy-MM-dd HH:mm', '')}
 
-Important: When determining availability, ignore informational all-day events (examples: public holidays, lunar phases like "full moon", day-of-year markers, or calendar items titled like "Holiday: ..."). These informational all-day entries should NOT be treated as busy time. Only treat explicit unavailability all-day events (containing words like "vacation", "out of office", "unavailable", "busy", "blocked") as blocking.
+Every slot below is free for all of these people. Pick up to 3 slots that best fit the request
+(time of day, days mentioned, a sensible spread) and rank them best first.
 
 Preferences:
-- Preferred duration: ${preferences.duration || '1 hour'}
-- Preferred time of day: ${preferences.timeOfDay || 'business hours'}
-- Avoid weekends: ${preferences.avoidWeekends || false}
-
-    "date": "YYYY-MM-DD",
-    "startTime": "HH:mm",
-    "endTime": "HH:mm", 
-    "reason": "Why this time is good",
-    "conflicts": ["Any minor conflicts"]
+- Duration: ${preferences.duration || '1 hour'}
+- Preferred time of day: ${preferences.timeOfDay || 'any'}
+
+Slots: ${JSON.stringify(slotsContext)}
+
+Return ONLY a JSON array, no other text, in this form:
+[
+  {
+    "index": 0,
+    "reason": "One short sentence, safe for text-to-speech, on why this slot is good"
   }
 ]
-
-Only return the JSON array, no other text.
 `;
 
       // Log the prompt for diagnostics
@@ -371,19 +402,16 @@ Only return the JSON array, no other text.
         }
       } catch (e) { /* ignore */ }
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text_response = response.text();
-      
-      const jsonMatch = text_response.match(/\[[\s\S]*\]/);
-      if (!jsonMatch) {
-        throw new Error('Invalid response format from Gemini');
-      }
-
-      return JSON.parse(jsonMatch[0]);
+      return await this.generateStructured(prompt, MEETING_SCHEMA, {
+        label: 'suggestMeetingTimes',
+        check: (items) => items
+          .filter(item => item.index >= candidates.length)
+          .map(item => `index ${item.index} is not one of the slots (0-${candidates.length - 1})`)
+      });
       
     } catch (error) {
       console.error('Meeting suggestion failed:', error);
+      if (error.code) throw error;
       throw new Error('Failed to generate meeting suggestions');
     }
   }
@@ -407,7 +435,7 @@ Only return the JSON array, no other text.
       enhanced.startDate = safeFormat(new Date(), 'yyyy-MM-dd', '');
     }
     
-    if (!enhanced.endDate) {
+    if (!enhanced.endDate || enhanced.endDate < enhanced.startDate) {
       enhanced.endDate = enhanced.startDate;
     }
 
@@ -417,12 +445,13 @@ Only return the JSON array, no other text.
         enhanced.startTime = '09:00';
       }
       
-      if (!enhanced.endTime) {
-        // Default to 1 hour duration
+      // A missing end, or one not after the start on the same day, becomes start + 1 hour
+      if (!enhanced.endTime || (enhanced.endDate === enhanced.startDate && enhanced.endTime <= enhanced.startTime)) {
+        // Default to 1 hour duration (capped at the end of the day)
         const startHour = parseInt(enhanced.startTime.split(':')[0]);
         const startMinute = parseInt(enhanced.startTime.split(':')[1]);
-        const endHour = startMinute === 0 ? startHour + 1 : startHour;
-        const endMinute = startMinute === 0 ? 0 : startMinute;
+        const endHour = Math.min(23, startHour + 1);
+        const endMinute = startHour + 1 > 23 ? 59 : startMinute;
         enhanced.endTime = `${endHour.toString().padStart(2, '0')}:${endMinute.toString().padStart(2, '0')}`;
       }
     }
@@ -438,52 +467,37 @@ Only return the JSON array, no other text.
     return enhanced;
   }
 
-  // Check if Gemini AI is available
+  // Check if the language model is configured
   isAvailable() {
     return this.isInitialized || this.initialize();
   }
 
-  // Get conversation context for follow-up questions
-  async getConversationContext(previousQuery, events, accounts) {
-    if (!this.initialize()) return null;
-
-    try {
-      const prompt = `
-Based on the previous query "${previousQuery}" and current calendar context, what follow-up questions might the user ask?
-
-Provide 3-4 suggested questions as a JSON array of strings.
-Examples: ["What about next week?", "Can we make it 2 hours?", "Add Sarah to the meeting"]
-
-Only return the JSON array.
-`;
-
-      // Log the prompt for diagnostics
-      try {
-        if (typeof window !== 'undefined' && window.electronAPI && typeof window.electronAPI.geminiLog === 'function') {
-          window.electronAPI.geminiLog(prompt, 'getConversationContext');
-        }
-      } catch (e) { /* ignore */ }
-
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text_response = response.text();
-      
-      const jsonMatch = text_response.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      return null;
-    } catch (error) {
-      console.warn('Failed to generate conversation context:', error);
-      return null;
+  // Prompt block describing the previous voice turn, so follow-ups like "and Sunday?" or
+  // "what time does it start?" can be resolved. `conversation` is voiceSearchService's
+  // { query, answer, startDate, endDate, people, events }; returns '' without one.
+  getConversationContext(conversation) {
+    if (!conversation || !conversation.query) return '';
+    const lines = [`Previous question in this conversation: "${conversation.query}"`];
+    if (conversation.startDate && conversation.endDate) {
+      lines.push(`It covered: ${safeFormat(conversation.startDate, 'yyyy-MM-dd (EEEE)', '')} - ${safeFormat(conversation.endDate, 'yyyy-MM-dd (EEEE)', '')}`);
+    }
+    if (conversation.people && conversation.people.length) {
+      lines.push(`People asked about: ${conversation.people.join(', ')}`);
     }
+    if (conversation.events && conversation.events.length) {
+      lines.push(`Events found: ${JSON.stringify(conversation.events)}`);
+    }
+    if (conversation.answer) {
+      lines.push(`Previous answer: "${conversation.answer}"`);
+    }
+    lines.push('The new question may be a follow-up to this ("and Sunday?", "а в воскресенье?", "and for Masha?"). Resolve whatever it leaves out (date range, people, the event meant) from the previous question.');
+    return lines.join('\n');
   }
 
   // Answer a free-form query about the calendar using events as context
   async answerQuery(query, events, accounts, startDate, endDate, options = {}) {
     if (!this.initialize()) {
-      throw new Error('Gemini AI not available');
+      throw this.unavailableError();
     }
 
     try {
@@ -522,6 +536,8 @@ Accounts: ${accounts.map(acc => acc.name).join(', ')}
 Events:
 ${JSON.stringify(eventsData, null, 2)}
 
+${this.getConversationContext(options.conversation)}
+
 Question: "${query}"
 
 Important: For each event above, if the fields 'localStartDate' and/or 'localStartTime' (and 'localEndDate'/'localEndTime') are present, use those values verbatim when referencing the event's calendar day and time. Do NOT infer or shift dates from ISO timestamps or end-dates; the caller has already computed the intended local date/time. For all-day events prefer the provided 'localStartDate' as the canonical day. When producing the spoken answer, do not use numeric digits (0-9). Spell out all numbers in words (for example, use "one" or "first" instead of "1" or "1st"; use "two thousand twenty-five" instead of "2025"). For dates, prefer spoken, unambiguous forms (for example: "thirtieth of November two thousand twenty-five" or "thirty November two thousand twenty-five"). Use the Reference date above to resolve relative terms like "tomorrow". Avoid parentheses, ISO timestamps, or inline numeric years. The output should remain under 200 words and suitable for TTS.
@@ -535,11 +551,11 @@ Respond with plain text only, suitable for speech synthesis. Keep the answer und
         }
       } catch (e) { /* ignore */ }
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      return response.text();
+      return await this.generate(prompt);
     } catch (error) {
       console.error('Answer query failed:', error);
+      // keep llm_unavailable / offline so the caller can say what went wrong
+      if (error.code) throw error;
       throw new Error('Failed to answer query');
     }
   }
@@ -1,7 +1,15 @@
 // Google Calendar API Integration using browser-friendly PKCE flow and fetch
 import { parseISO } from 'date-fns';
+import { eventCacheService } from './EventCacheService';
+import { createLimiter } from '../utils/promisePool';
 const TOKEN_ENDPOINT = 'https://oauth2.googleapis.com/token';
 const CALENDAR_API_BASE = 'https://www.googleapis.com/calendar/v3';
+// How far back and ahead the initial full sync reaches; ranges outside are fetched live.
+// The end bound keeps open-ended recurring series from expanding into years of instances.
+const SYNC_WINDOW_MONTHS = 12;
+const SYNC_AHEAD_MONTHS = 12;
+// Calendars fetched at once, shared by every account (each one may page through several requests)
+const MAX_PARALLEL_CALENDARS = 4;
 
 function base64UrlEncode(buffer) {
   return btoa(String.fromCharCode.apply(null, new Uint8Array(buffer)))
@@ -36,6 +44,46 @@ async function sha256(buffer) {
 class GoogleCalendarService {
   constructor() {
     this.accounts = new Map();
+    // accountId -> calendarList items from the last getCalendars call
+    this.calendars = new Map();
+    // accountId -> timestamp of the last completed syncAccount
+    this.lastSyncAt = new Map();
+    // null while Google is reachable, otherwise the Date of the first failed request
+    this.offlineSince = null;
+    this.connectivityListeners = new Set();
+    // accountId -> calendars that failed in the last fetch/sync of that account
+    this.calendarErrors = new Map();
+    this.limitCalendars = createLimiter(MAX_PARALLEL_CALENDARS);
+  }
+
+  // Connectivity listeners receive { online, offlineSince } whenever reachability flips
+  addConnectivityListener(cb) {
+    this.connectivityListeners.add(cb);
+  }
+
+  removeConnectivityListener(cb) {
+    this.connectivityListeners.delete(cb);
+  }
+
+  setOnline(online) {
+    if (online === !this.offlineSince) return;
+    this.offlineSince = online ? null : new Date();
+    for (const cb of this.connectivityListeners) {
+      try { cb({ online, offlineSince: this.offlineSince }); } catch (e) { console.debug('connectivity listener failed', e); }
+    }
+  }
+
+  // True for errors thrown because the request never reached Google (see apiRequest)
+  isOfflineError(err) {
+    return !!err && err.code === 'offline';
+  }
+
+  offlineError(cause) {
+    this.setOnline(false);
+    const err = new Error('Google Calendar is unreachable - check the network connection');
+    err.code = 'offline';
+    err.cause = cause;
+    return err;
   }
 
   // PKCE helpers
@@ -382,34 +430,182 @@ class GoogleCalendarService {
   }
 
   // Call Google Calendar REST API endpoints with access token
-  async apiRequest(accountId, path, method = 'GET', body = null, params = {}) {
-    await this.refreshTokenIfNeeded(accountId);
+  async apiRequest(accountId, path, method = 'GET', body = null, params = {}, headers = {}) {
+    try {
+      await this.refreshTokenIfNeeded(accountId);
+    } catch (err) {
+      // fetch rejects with a TypeError when the token endpoint cannot be reached
+      if (err instanceof TypeError) throw this.offlineError(err);
+      throw err;
+    }
     const account = this.accounts.get(accountId);
     if (!account) throw new Error('Account not found');
 
     const url = new URL(`${CALENDAR_API_BASE}/${path}`);
     Object.entries(params).forEach(([k, v]) => url.searchParams.append(k, v));
 
-    const resp = await fetch(url.toString(), {
-      method,
-      headers: {
-        Authorization: `Bearer ${account.tokens.access_token}`,
-        'Content-Type': 'application/json'
-      },
-      body: body ? JSON.stringify(body) : null
-    });
+    let resp;
+    try {
+      resp = await fetch(url.toString(), {
+        method,
+        headers: {
+          Authorization: `Bearer ${account.tokens.access_token}`,
+          'Content-Type': 'application/json',
+          ...headers
+        },
+        body: body ? JSON.stringify(body) : null
+      });
+    } catch (err) {
+      // No HTTP answer at all (Wi-Fi down, DNS failure, connection reset)
+      throw this.offlineError(err);
+    }
+    // Any HTTP answer, even an error status, means Google is reachable again
+    this.setOnline(true);
 
     if (!resp.ok) {
       const text = await resp.text();
-      throw new Error(`API request failed: ${text}`);
+      // Keep the HTTP status on the error so callers can tell read-only (403)
+      // and stale etag (412) failures apart from everything else
+      const err = new Error(`API request failed: ${text}`);
+      err.status = resp.status;
+      throw err;
     }
 
+    // DELETE answers 204 No Content
+    if (resp.status === 204) return null;
     return resp.json();
   }
 
   async getCalendars(accountId) {
     const data = await this.apiRequest(accountId, 'users/me/calendarList');
-    return data.items || [];
+    const items = data.items || [];
+    this.calendars.set(accountId, items);
+    return items;
+  }
+
+  // Calendars of an account without a network round trip when possible:
+  // last getCalendars result, then the persisted event cache, then the API
+  async getKnownCalendars(accountId) {
+    if (this.calendars.has(accountId)) return this.calendars.get(accountId);
+    const cached = await eventCacheService.getCalendarList(accountId);
+    if (cached) {
+      this.calendars.set(accountId, cached);
+      return cached;
+    }
+    return this.getCalendars(accountId);
+  }
+
+  // Look up a calendarList entry from the last getCalendars call (may be undefined)
+  getCachedCalendar(accountId, calendarId) {
+    const list = this.calendars.get(accountId) || [];
+    if (calendarId === 'primary') return list.find(c => c.primary);
+    return list.find(c => c.id === calendarId);
+  }
+
+  // Calendars this account may create events in, primary first. Uses the cached
+  // calendarList when getEvents has already loaded it.
+  async getWritableCalendars(accountId) {
+    let list = this.calendars.get(accountId);
+    if (!list) list = await this.getCalendars(accountId);
+    return list
+      .filter(cal => this.isCalendarWritable(cal) && !cal.deleted)
+      .sort((a, b) => (b.primary ? 1 : 0) - (a.primary ? 1 : 0));
+  }
+
+  // Owners and writers can modify events; readers and freeBusyReaders cannot
+  isCalendarWritable(calendar) {
+    if (!calendar || !calendar.accessRole) return true;
+    return calendar.accessRole === 'owner' || calendar.accessRole === 'writer';
+  }
+
+  // Turn a raw Google event into the shape the renderer expects
+  // (parsedStart/parsedEnd/allDay plus account and calendar metadata)
+  normalizeEvent(event, accountId, calendar = null) {
+    const acct = this.accounts.get(accountId) || {};
+    const cal = calendar || this.getCachedCalendar(accountId, event.calendarId) || {};
+    const e = { ...event };
+
+    // Ensure start exists
+    e.start = e.start || {};
+    e.end = e.end || {};
+
+    // If timed event (dateTime), ensure end.dateTime exists (default +1h)
+    if (e.start.dateTime) {
+      if (!e.end.dateTime) {
+        try {
+          const s = new Date(e.start.dateTime);
+          const defaultEnd = new Date(s.getTime() + 60 * 60 * 1000);
+          e.end.dateTime = defaultEnd.toISOString();
+        } catch (err) {
+          // fallback: leave as-is
+        }
+      }
+    } else if (e.start.date) {
+      // All-day event: ensure end.date exists (default to start)
+      if (!e.end.date) {
+        e.end.date = e.start.date;
+      }
+    }
+
+    // Compute canonical parsed dates for renderer
+    const parseDate = (v) => {
+      if (!v) return null;
+      if (v instanceof Date) return isNaN(v.getTime()) ? null : v;
+      if (typeof v === 'number') {
+        const dn = new Date(v);
+        return isNaN(dn.getTime()) ? null : dn;
+      }
+      if (typeof v === 'string') {
+        // Prefer ISO parsing to avoid timezone surprises for date-only strings
+        try {
+          const iso = parseISO(v);
+          if (!isNaN(iso.getTime())) return iso;
+        } catch (e) {
+          // fall through to Date fallback
+        }
+        try {
+          const d = new Date(v);
+          return isNaN(d.getTime()) ? null : d;
+        } catch (err) {
+          return null;
+        }
+      }
+      return null;
+    };
+
+    const parsedStart = parseDate(e.start?.dateTime || e.start?.date);
+    let parsedEnd = parseDate(e.end?.dateTime || e.end?.date);
+    const allDay = !!(e.start && e.start.date && !e.start.dateTime);
+
+    // Google Calendar's end.date for all-day events is exclusive.
+    if (allDay && e.end && e.end.date) {
+      try {
+        const endDate = new Date(e.end.date);
+        // Make inclusive by subtracting 1 millisecond (end of previous day)
+        parsedEnd = new Date(endDate.getTime() - 1);
+      } catch (err) {
+        // fallback leave parsedEnd as-is
+      }
+    }
+
+    // If timed event and no explicit end, default to +1h
+    if (!allDay && parsedStart && !parsedEnd) {
+      parsedEnd = new Date(parsedStart.getTime() + 60 * 60 * 1000);
+    }
+
+    // Add helpful metadata for renderer
+    e.parsedStart = parsedStart;
+    e.parsedEnd = parsedEnd || parsedStart;
+    e.allDay = allDay;
+    e.accountId = accountId;
+    e.accountEmail = acct.email || accountId;
+    e.calendarId = cal.id || event.calendarId || 'primary';
+    e.calendarName = cal.summary || event.calendarName;
+    e.accessRole = cal.accessRole || event.accessRole;
+    e.readOnly = !this.isCalendarWritable(cal);
+    e.backgroundColor = cal.backgroundColor || event.backgroundColor || '#4285f4';
+
+    return e;
   }
 
   async getEvents(accountId, startDate, endDate) {
@@ -436,7 +632,22 @@ class GoogleCalendarService {
       end.setHours(23, 59, 59, 999);
     }
 
-    const calendars = await this.getCalendars(accountId);
+    const { events } = await this.fetchEvents(accountId, start, end);
+    return events;
+  }
+
+  // Like getEvents, but also resolves the calendars that could not be read:
+  // { events, errors: [{ accountId, calendarId, calendarName, message, status }] }.
+  // Calendars are fetched in parallel (bounded by MAX_PARALLEL_CALENDARS across all
+  // accounts) and one failing calendar does not hide the others.
+  async fetchEvents(accountId, start, end) {
+    let calendars;
+    try {
+      calendars = await this.getCalendars(accountId);
+    } catch (err) {
+      if (!this.isOfflineError(err)) this.calendarErrors.set(accountId, [this.calendarError(accountId, null, err)]);
+      throw err;
+    }
     // Diagnostic: log how many calendars we will query for this account
     try {
       if (typeof window !== 'undefined' && window.electronAPI && typeof window.electronAPI.geminiLog === 'function') {
@@ -444,134 +655,383 @@ class GoogleCalendarService {
       }
       console.debug('[GoogleCalendarService] getEvents account=', accountId, 'calendars=', (calendars || []).length);
     } catch (e) { /* ignore */ }
-    const allEvents = [];
 
-    for (const calendar of calendars) {
+    const errors = [];
+    let offline = null;
+    const results = await Promise.all(calendars.map(calendar => this.limitCalendars(async () => {
       try {
-        // Log which calendar and time range we're requesting for diagnostics
-        try {
-          if (typeof window !== 'undefined' && window.electronAPI && typeof window.electronAPI.geminiLog === 'function') {
-            window.electronAPI.geminiLog(JSON.stringify({ getEventsRequest: { accountId, calendarId: calendar.id, timeMin: start.toISOString(), timeMax: end.toISOString() } }, null, 2), 'getEventsRequest');
-          }
-        } catch (e) { /* ignore logging errors */ }
+        return await this.fetchCalendarEvents(accountId, calendar, start, end);
+      } catch (err) {
+        console.warn('Failed to fetch events for calendar', calendar.id, err);
+        if (this.isOfflineError(err)) offline = err;
+        else errors.push(this.calendarError(accountId, calendar, err));
+        return [];
+      }
+    })));
+    // Losing the network is not a per-calendar problem; let the caller go offline
+    if (offline) throw offline;
 
-        const data = await this.apiRequest(accountId, `calendars/${encodeURIComponent(calendar.id)}/events`, 'GET', null, {
-          timeMin: start.toISOString(),
-          timeMax: end.toISOString(),
-          singleEvents: 'true',
-          orderBy: 'startTime',
-          maxResults: '250'
-        });
+    this.calendarErrors.set(accountId, errors);
+    return { events: results.flat(), errors };
+  }
 
-        // Log number of events returned for this calendar
-        try {
-          if (typeof window !== 'undefined' && window.electronAPI && typeof window.electronAPI.geminiLog === 'function') {
-            window.electronAPI.geminiLog(JSON.stringify({ getEventsResultCount: { accountId, calendarId: calendar.id, returned: (data.items || []).length } }, null, 2), 'getEventsResultCount');
-          }
-        } catch (e) { /* ignore logging */ }
+  // All events of one calendar in [start, end], following nextPageToken
+  async fetchCalendarEvents(accountId, calendar, start, end) {
+    // Log which calendar and time range we're requesting for diagnostics
+    try {
+      if (typeof window !== 'undefined' && window.electronAPI && typeof window.electronAPI.geminiLog === 'function') {
+        window.electronAPI.geminiLog(JSON.stringify({ getEventsRequest: { accountId, calendarId: calendar.id, timeMin: start.toISOString(), timeMax: end.toISOString() } }, null, 2), 'getEventsRequest');
+      }
+    } catch (e) { /* ignore logging errors */ }
+
+    const params = {
+      timeMin: start.toISOString(),
+      timeMax: end.toISOString(),
+      singleEvents: 'true',
+      orderBy: 'startTime',
+      maxResults: '2500'
+    };
+    const items = [];
+    let pageToken = null;
+    do {
+      const data = await this.apiRequest(accountId, `calendars/${encodeURIComponent(calendar.id)}/events`, 'GET', null, pageToken ? { ...params, pageToken } : params);
+      items.push(...(data.items || []));
+      pageToken = data.nextPageToken || null;
+    } while (pageToken);
+
+    // Log number of events returned for this calendar
+    try {
+      if (typeof window !== 'undefined' && window.electronAPI && typeof window.electronAPI.geminiLog === 'function') {
+        window.electronAPI.geminiLog(JSON.stringify({ getEventsResultCount: { accountId, calendarId: calendar.id, returned: items.length } }, null, 2), 'getEventsResultCount');
+      }
+    } catch (e) { /* ignore logging */ }
 
-        const acct = this.accounts.get(accountId) || {};
-        const events = (data.items || []).map(event => {
-          const e = { ...event };
+    return items.map(event => this.normalizeEvent(event, accountId, calendar));
+  }
 
-          // Ensure start exists
-          e.start = e.start || {};
-          e.end = e.end || {};
+  // Describe a calendar (or, with calendar null, a whole account) that failed to load
+  calendarError(accountId, calendar, err) {
+    const acct = this.accounts.get(accountId) || {};
+    return {
+      accountId,
+      accountEmail: acct.email || accountId,
+      calendarId: calendar ? calendar.id : null,
+      calendarName: calendar ? (calendar.summaryOverride || calendar.summary || calendar.id) : (acct.email || accountId),
+      message: (err && err.message) || 'Unknown error',
+      status: err && err.status
+    };
+  }
 
-          // If timed event (dateTime), ensure end.dateTime exists (default +1h)
-          if (e.start.dateTime) {
-            if (!e.end.dateTime) {
-              try {
-                const s = new Date(e.start.dateTime);
-                const defaultEnd = new Date(s.getTime() + 60 * 60 * 1000);
-                e.end.dateTime = defaultEnd.toISOString();
-              } catch (err) {
-                // fallback: leave as-is
-              }
-            }
-          } else if (e.start.date) {
-            // All-day event: ensure end.date exists (default to start)
-            if (!e.end.date) {
-              e.end.date = e.start.date;
-            }
-          }
+  // Flattened list of calendars that failed for the given accounts (default: all)
+  getCalendarErrors(accountIds = null) {
+    const out = [];
+    for (const [accountId, errors] of this.calendarErrors) {
+      if (!accountIds || accountIds.includes(accountId)) out.push(...errors);
+    }
+    return out;
+  }
 
-          // Compute canonical parsed dates for renderer
-          const parseDate = (v) => {
-            if (!v) return null;
-            if (v instanceof Date) return isNaN(v.getTime()) ? null : v;
-            if (typeof v === 'number') {
-              const dn = new Date(v);
-              return isNaN(dn.getTime()) ? null : dn;
-            }
-            if (typeof v === 'string') {
-              // Prefer ISO parsing to avoid timezone surprises for date-only strings
-              try {
-                const iso = parseISO(v);
-                if (!isNaN(iso.getTime())) return iso;
-              } catch (e) {
-                // fall through to Date fallback
-              }
-              try {
-                const d = new Date(v);
-                return isNaN(d.getTime()) ? null : d;
-              } catch (err) {
-                return null;
-              }
-            }
-            return null;
-          };
-
-          const parsedStart = parseDate(e.start?.dateTime || e.start?.date);
-          let parsedEnd = parseDate(e.end?.dateTime || e.end?.date);
-          const allDay = !!(e.start && e.start.date && !e.start.dateTime);
-
-          // Google Calendar's end.date for all-day events is exclusive.
-          if (allDay && e.end && e.end.date) {
-            try {
-              const endDate = new Date(e.end.date);
-              // Make inclusive by subtracting 1 millisecond (end of previous day)
-              parsedEnd = new Date(endDate.getTime() - 1);
-            } catch (err) {
-              // fallback leave parsedEnd as-is
-            }
-          }
+  // Bring one calendar's cached events up to date. The first run is a full sync of the
+  // window from SYNC_WINDOW_MONTHS ago to SYNC_AHEAD_MONTHS ahead; later runs send the
+  // stored syncToken so Google only returns what changed, and keep only changes inside
+  // that window. Once half of the look-ahead has passed the window is rebuilt with a
+  // new full sync. Returns { changed } so callers can skip re-rendering.
+  async syncCalendar(accountId, calendar) {
+    const entry = await eventCacheService.getCalendarEntry(accountId, calendar.id);
+    const refreshBy = new Date();
+    refreshBy.setMonth(refreshBy.getMonth() + SYNC_AHEAD_MONTHS / 2);
+    // entries from before the window had an end are synced again from scratch
+    const incremental = !!(entry && entry.syncToken && entry.windowEnd && new Date(entry.windowEnd) > refreshBy);
+    const events = incremental ? { ...(entry.events || {}) } : {};
+    let windowStart = incremental ? entry.windowStart : null;
+    let windowEnd = incremental ? entry.windowEnd : null;
+
+    let params;
+    if (incremental) {
+      // syncToken cannot be combined with timeMin/timeMax/orderBy
+      params = { singleEvents: 'true', syncToken: entry.syncToken, maxResults: '2500' };
+    } else {
+      const from = new Date();
+      from.setMonth(from.getMonth() - SYNC_WINDOW_MONTHS, 1);
+      from.setHours(0, 0, 0, 0);
+      windowStart = from.toISOString();
+      const to = new Date();
+      to.setMonth(to.getMonth() + SYNC_AHEAD_MONTHS + 1, 1);
+      to.setHours(0, 0, 0, 0);
+      windowEnd = to.toISOString();
+      params = { singleEvents: 'true', timeMin: windowStart, timeMax: windowEnd, maxResults: '2500' };
+    }
+    const inWindow = (item) => {
+      const start = item.start && (item.start.dateTime || item.start.date);
+      const end = item.end && (item.end.dateTime || item.end.date);
+      return !start || (parseISO(start) < new Date(windowEnd) && (!end || parseISO(end) > new Date(windowStart)));
+    };
 
-          // If timed event and no explicit end, default to +1h
-          if (!allDay && parsedStart && !parsedEnd) {
-            parsedEnd = new Date(parsedStart.getTime() + 60 * 60 * 1000);
+    const path = `calendars/${encodeURIComponent(calendar.id)}/events`;
+    let pageToken = null;
+    let nextSyncToken = null;
+    let changes = 0;
+    try {
+      do {
+        const data = await this.apiRequest(accountId, path, 'GET', null, pageToken ? { ...params, pageToken } : params);
+        for (const item of data.items || []) {
+          if (item.status === 'cancelled' || !inWindow(item)) {
+            if (events[item.id]) changes++;
+            delete events[item.id];
+          } else {
+            events[item.id] = item;
+            changes++;
           }
+        }
+        pageToken = data.nextPageToken || null;
+        nextSyncToken = data.nextSyncToken || nextSyncToken;
+      } while (pageToken);
+    } catch (err) {
+      // 410 Gone: the sync token expired, start over with a full sync
+      if (incremental && err && err.status === 410) {
+        console.debug('[GoogleCalendarService] syncToken expired for', calendar.id, '- running full sync');
+        await eventCacheService.removeCalendarEntry(accountId, calendar.id);
+        return this.syncCalendar(accountId, calendar);
+      }
+      throw err;
+    }
+
+    if (incremental && changes === 0 && nextSyncToken === entry.syncToken) {
+      return { changed: false };
+    }
+    await eventCacheService.saveCalendarEntry(accountId, calendar.id, {
+      syncToken: nextSyncToken,
+      windowStart,
+      windowEnd,
+      syncedAt: Date.now(),
+      events
+    });
+    return { changed: !incremental || changes > 0 };
+  }
 
-          // Add helpful metadata for renderer
-          e.parsedStart = parsedStart;
-          e.parsedEnd = parsedEnd || parsedStart;
-          e.allDay = allDay;
-          e.accountId = accountId;
-          e.accountEmail = acct.email || accountId;
-          e.calendarId = calendar.id;
-          e.calendarName = calendar.summary;
-          e.backgroundColor = calendar.backgroundColor || '#4285f4';
+  // Sync every calendar of an account into the cache. Skips the network entirely
+  // when the last sync is younger than maxAgeMs. Resolves to true when anything changed.
+  async syncAccount(accountId, { maxAgeMs = 0 } = {}) {
+    const last = this.lastSyncAt.get(accountId) || 0;
+    if (maxAgeMs && Date.now() - last < maxAgeMs) return false;
 
-          return e;
-        });
+    let calendars;
+    try {
+      calendars = await this.getCalendars(accountId);
+    } catch (err) {
+      if (!this.isOfflineError(err)) this.calendarErrors.set(accountId, [this.calendarError(accountId, null, err)]);
+      throw err;
+    }
+    const previous = (await eventCacheService.getCalendarList(accountId)) || [];
+    await eventCacheService.saveCalendarList(accountId, calendars);
+    let changed = previous.length !== calendars.length;
 
-        allEvents.push(...events);
+    const errors = [];
+    let offline = null;
+    await Promise.all(calendars.map(calendar => this.limitCalendars(async () => {
+      try {
+        const result = await this.syncCalendar(accountId, calendar);
+        if (result.changed) changed = true;
       } catch (err) {
-        console.warn('Failed to fetch events for calendar', calendar.id, err);
+        console.warn('Failed to sync calendar', calendar.id, err);
+        if (this.isOfflineError(err)) offline = err;
+        else errors.push(this.calendarError(accountId, calendar, err));
+      }
+    })));
+    if (offline) throw offline;
+    this.calendarErrors.set(accountId, errors);
+
+    // Drop entries for calendars that were unsubscribed since the last sync
+    for (const old of previous) {
+      if (!calendars.find(c => c.id === old.id)) {
+        await eventCacheService.removeCalendarEntry(accountId, old.id);
+      }
+    }
+    this.lastSyncAt.set(accountId, Date.now());
+    return changed;
+  }
+
+  // Events overlapping [startDate, endDate] straight from the cache, normalized like
+  // getEvents. Resolves to null when the cache cannot answer (never synced, or the
+  // range reaches outside the synced window) so the caller can fall back to getEvents.
+  async getCachedEvents(accountId, startDate, endDate) {
+    let calendars = this.calendars.get(accountId);
+    if (!calendars) {
+      calendars = await eventCacheService.getCalendarList(accountId);
+      if (!calendars) return null;
+      this.calendars.set(accountId, calendars);
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    const out = [];
+    let covered = false;
+    for (const calendar of calendars) {
+      const entry = await eventCacheService.getCalendarEntry(accountId, calendar.id);
+      // a calendar that has never synced (e.g. its fetch failed) just contributes nothing
+      if (!entry) continue;
+      if (entry.windowStart && start < new Date(entry.windowStart)) return null;
+      if (!entry.windowEnd || end > new Date(entry.windowEnd)) return null;
+      covered = true;
+      for (const raw of Object.values(entry.events || {})) {
+        const ev = this.normalizeEvent(raw, accountId, calendar);
+        if (!ev.parsedStart) continue;
+        if (ev.parsedEnd < start || ev.parsedStart > end) continue;
+        out.push(ev);
       }
     }
+    if (!covered) return null;
+    out.sort((a, b) => a.parsedStart - b.parsedStart);
+    return out;
+  }
+
+  // Fetch a single event, e.g. the parent of a recurring instance
+  async getEvent(accountId, calendarId, eventId) {
+    const data = await this.apiRequest(accountId, `calendars/${encodeURIComponent(calendarId || 'primary')}/events/${encodeURIComponent(eventId)}`);
+    return this.normalizeEvent({ ...data, calendarId }, accountId);
+  }
 
-    return allEvents;
+  // Google rejects recurring timed events whose start/end lack an explicit timeZone
+  withRecurrenceTimeZone(details) {
+    if (!details.recurrence || !details.recurrence.length) return details;
+    const tz = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const fix = (t) => (t && t.dateTime && !t.timeZone) ? { ...t, timeZone: tz } : t;
+    return { ...details, start: fix(details.start), end: fix(details.end) };
   }
 
   async createEvent(eventData) {
     const { accountId, calendarId = 'primary', ...eventDetails } = eventData;
-    const data = await this.apiRequest(accountId, `calendars/${encodeURIComponent(calendarId)}/events`, 'POST', eventDetails);
-    return data;
+    const data = await this.apiRequest(accountId, `calendars/${encodeURIComponent(calendarId)}/events`, 'POST', this.withRecurrenceTimeZone(eventDetails));
+    this.lastSyncAt.delete(accountId);
+    return this.normalizeEvent({ ...data, calendarId }, accountId);
+  }
+
+  // Patch an existing event in place. `event` is the normalized event being edited
+  // (it carries accountId, calendarId, id and etag); `changes` holds the Google
+  // event fields to overwrite. The etag is sent as If-Match so edits made elsewhere
+  // since the event was loaded are not silently clobbered.
+  // For an instance of a recurring event, scope 'instance' changes only that
+  // occurrence and scope 'series' patches the parent event instead.
+  async updateEvent(event, changes, { scope = 'instance' } = {}) {
+    if (scope === 'series' && event && event.recurringEventId) {
+      return this.updateSeries(event, changes);
+    }
+    if (!event || !event.id || !event.accountId) throw new Error('Cannot update an event that has not been saved yet');
+    const calendarId = event.calendarId || 'primary';
+    const cal = this.getCachedCalendar(event.accountId, calendarId) || { accessRole: event.accessRole };
+    if (event.readOnly || !this.isCalendarWritable(cal)) {
+      const err = new Error('This event is read-only: its calendar does not allow changes from this account');
+      err.code = 'read_only';
+      throw err;
+    }
+
+    // Strip renderer-only fields in case the caller passed a whole event object
+    const { accountId: _a, calendarId: _c, id: _id, etag: _etag, ...fields } = changes || {};
+    // A single occurrence cannot carry its own recurrence rule
+    if (event.recurringEventId) delete fields.recurrence;
+    const body = this.withRecurrenceTimeZone(fields);
+    const headers = event.etag ? { 'If-Match': event.etag } : {};
+    try {
+      const data = await this.apiRequest(event.accountId, `calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(event.id)}`, 'PATCH', body, {}, headers);
+      // the cache still holds the old copy until the next sync picks up the change
+      this.lastSyncAt.delete(event.accountId);
+      return this.normalizeEvent({ ...data, calendarId }, event.accountId);
+    } catch (err) {
+      if (err && err.status === 412) {
+        const conflict = new Error('This event was changed on another device. Close it and open it again to edit the latest version.');
+        conflict.code = 'etag_mismatch';
+        conflict.status = 412;
+        throw conflict;
+      }
+      if (err && err.status === 403) {
+        const denied = new Error('This event is read-only: Google Calendar refused the change');
+        denied.code = 'read_only';
+        denied.status = 403;
+        throw denied;
+      }
+      throw err;
+    }
+  }
+
+  // Apply changes made on one occurrence to the whole series. The form shows the
+  // occurrence's dates, so date/time edits are applied to the parent as a shift
+  // (new occurrence start minus old occurrence start) rather than copied verbatim,
+  // which would move the series to the occurrence's date.
+  async updateSeries(instance, changes) {
+    const calendarId = instance.calendarId || 'primary';
+    const parent = await this.getEvent(instance.accountId, calendarId, instance.recurringEventId);
+    const fields = { ...(changes || {}) };
+
+    const shift = (parentTime, oldTime, newTime) => {
+      if (!newTime) return undefined;
+      const oldValue = oldTime && (oldTime.dateTime || oldTime.date);
+      const newValue = newTime.dateTime || newTime.date;
+      const base = parentTime && (parentTime.dateTime || parentTime.date);
+      if (!oldValue || !newValue || !base) return newTime;
+      const delta = parseISO(newValue).getTime() - parseISO(oldValue).getTime();
+      const moved = new Date(parseISO(base).getTime() + delta);
+      if (newTime.date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return { date: `${moved.getFullYear()}-${pad(moved.getMonth() + 1)}-${pad(moved.getDate())}` };
+      }
+      return { dateTime: moved.toISOString(), timeZone: newTime.timeZone || (parentTime && parentTime.timeZone) };
+    };
+
+    if (fields.start) fields.start = shift(parent.start, instance.start, fields.start);
+    if (fields.end) fields.end = shift(parent.end, instance.end, fields.end);
+
+    return this.updateEvent(parent, fields, { scope: 'instance' });
+  }
+
+  // Delete an event. For instances of a recurring event (singleEvents expansion gives
+  // them a recurringEventId) scope 'instance' cancels only that occurrence while
+  // 'series' deletes the parent event and with it every occurrence.
+  // Resolves to { accountId, calendarId, eventId, seriesId } describing what is gone.
+  async deleteEvent(event, { scope = 'instance' } = {}) {
+    if (!event || !event.id || !event.accountId) throw new Error('Cannot delete an event that has not been saved yet');
+    const calendarId = event.calendarId || 'primary';
+    const cal = this.getCachedCalendar(event.accountId, calendarId) || { accessRole: event.accessRole };
+    if (event.readOnly || !this.isCalendarWritable(cal)) {
+      const err = new Error('This event is read-only: its calendar does not allow changes from this account');
+      err.code = 'read_only';
+      throw err;
+    }
+
+    const seriesId = scope === 'series' ? (event.recurringEventId || event.id) : null;
+    const targetId = seriesId || event.id;
+    // Only the instance's own etag is meaningful; the series etag is not loaded
+    const headers = (!seriesId && event.etag) ? { 'If-Match': event.etag } : {};
+    try {
+      await this.apiRequest(event.accountId, `calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(targetId)}`, 'DELETE', null, {}, headers);
+    } catch (err) {
+      // 410 Gone: already deleted elsewhere, which is what the user wanted anyway
+      if (err && err.status === 410) {
+        console.debug('[GoogleCalendarService] deleteEvent: event already gone', targetId);
+      } else if (err && err.status === 412) {
+        const conflict = new Error('This event was changed on another device. Close it and open it again before deleting.');
+        conflict.code = 'etag_mismatch';
+        conflict.status = 412;
+        throw conflict;
+      } else if (err && err.status === 403) {
+        const denied = new Error('This event is read-only: Google Calendar refused the change');
+        denied.code = 'read_only';
+        denied.status = 403;
+        throw denied;
+      } else {
+        throw err;
+      }
+    }
+
+    this.lastSyncAt.delete(event.accountId);
+    return { accountId: event.accountId, calendarId: event.calendarId, eventId: event.id, seriesId };
   }
 
   removeAccount(accountId) {
     this.accounts.delete(accountId);
+    this.calendars.delete(accountId);
+    this.lastSyncAt.delete(accountId);
+    this.calendarErrors.delete(accountId);
+    eventCacheService.clearAccount(accountId).catch(err => console.warn('Failed to clear event cache for', accountId, err));
     if (window.electronAPI && typeof window.electronAPI.removeTokens === 'function') {
       window.electronAPI.removeTokens(accountId);
     } else {
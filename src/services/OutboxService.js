@@ -0,0 +1,251 @@
+// Outbox: calendar writes made while Google Calendar is unreachable.
+// Creates, edits and deletes are persisted (storageUtils) and replayed in the order
+// they were made once connectivity returns. Edits and deletes carry the etag the
+// event had when it was changed offline, so a replay that hits an event someone
+// else changed in the meantime surfaces as a conflict instead of overwriting it.
+import { googleCalendarService } from './GoogleCalendarService';
+import { storageUtils } from '../utils/storage';
+
+// Ids of events created offline that Google has not assigned a real id to yet
+const LOCAL_ID_PREFIX = 'local_';
+
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// Drop renderer-only fields so only Google event fields are queued
+function cleanChanges(changes) {
+  const { accountId: _a, calendarId: _c, id: _id, etag: _etag, ...fields } = changes || {};
+  return fields;
+}
+
+class OutboxService {
+  constructor() {
+    this.ops = storageUtils.getOutbox();
+    // conflicts from the last replays, kept until the user dismisses them
+    this.conflicts = [];
+    this.listeners = new Set();
+    this.replaying = null;
+  }
+
+  // Listeners receive { pending, conflicts } whenever the queue changes
+  addListener(cb) {
+    this.listeners.add(cb);
+  }
+
+  removeListener(cb) {
+    this.listeners.delete(cb);
+  }
+
+  notify() {
+    const state = { pending: this.ops.length, conflicts: this.conflicts.slice() };
+    for (const cb of this.listeners) {
+      try { cb(state); } catch (e) { console.debug('outbox listener failed', e); }
+    }
+  }
+
+  persist() {
+    storageUtils.saveOutbox(this.ops);
+    this.notify();
+  }
+
+  pendingCount() {
+    return this.ops.length;
+  }
+
+  isLocalId(id) {
+    return typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+  }
+
+  dismissConflicts() {
+    this.conflicts = [];
+    this.notify();
+  }
+
+  // Normalized stand-in for an event that exists only in the outbox
+  placeholder(op) {
+    return googleCalendarService.normalizeEvent(
+      { ...op.details, id: op.localId, calendarId: op.calendarId, pending: true },
+      op.accountId
+    );
+  }
+
+  // Queue a create; resolves to the placeholder event to show until the replay
+  queueCreate(eventData) {
+    const { accountId, calendarId = 'primary', ...details } = eventData;
+    const op = { id: newId(), type: 'create', accountId, calendarId, localId: LOCAL_ID_PREFIX + newId(), details, queuedAt: Date.now() };
+    this.ops.push(op);
+    this.persist();
+    return this.placeholder(op);
+  }
+
+  // Queue an edit of `event`; resolves to the event as it will look once applied
+  queueUpdate(event, changes, { scope = 'instance' } = {}) {
+    const fields = cleanChanges(changes);
+    if (this.isLocalId(event.id)) {
+      // Still only in the outbox: fold the edit into the queued create
+      const create = this.ops.find(o => o.type === 'create' && o.localId === event.id);
+      if (!create) throw new Error('This event is no longer waiting to be saved');
+      create.details = { ...create.details, ...fields };
+      this.persist();
+      return this.placeholder(create);
+    }
+
+    this.ops.push({
+      id: newId(),
+      type: 'update',
+      accountId: event.accountId,
+      calendarId: event.calendarId || 'primary',
+      eventId: event.id,
+      recurringEventId: event.recurringEventId || null,
+      etag: event.etag || null,
+      // the occurrence's times are needed to shift the series for scope 'series'
+      start: event.start,
+      end: event.end,
+      summary: event.summary || '',
+      scope,
+      changes: fields,
+      queuedAt: Date.now()
+    });
+    this.persist();
+    return googleCalendarService.normalizeEvent({ ...event, ...fields, pending: true }, event.accountId);
+  }
+
+  // Queue a delete; resolves to the same shape as googleCalendarService.deleteEvent
+  queueDelete(event, { scope = 'instance' } = {}) {
+    const seriesId = scope === 'series' ? (event.recurringEventId || event.id) : null;
+    const removed = { accountId: event.accountId, calendarId: event.calendarId, eventId: event.id, seriesId };
+    if (this.isLocalId(event.id)) {
+      // Never reached Google: forget the create and anything queued against it
+      this.ops = this.ops.filter(o => o.localId !== event.id && o.eventId !== event.id);
+      this.persist();
+      return removed;
+    }
+
+    this.ops.push({
+      id: newId(),
+      type: 'delete',
+      accountId: event.accountId,
+      calendarId: event.calendarId || 'primary',
+      eventId: event.id,
+      recurringEventId: event.recurringEventId || null,
+      etag: event.etag || null,
+      summary: event.summary || '',
+      scope,
+      queuedAt: Date.now()
+    });
+    this.persist();
+    return removed;
+  }
+
+  // Overlay queued writes on events loaded from the cache or Google, so a reload
+  // while offline still shows what the user changed
+  applyTo(events, rangeStart, rangeEnd) {
+    let out = events.slice();
+    for (const op of this.ops) {
+      const matches = (ev) => ev.id === op.eventId && ev.accountId === op.accountId && ev.calendarId === op.calendarId;
+      if (op.type === 'create') {
+        const ev = this.placeholder(op);
+        if (!ev.parsedStart || (rangeStart && ev.parsedEnd < rangeStart) || (rangeEnd && ev.parsedStart > rangeEnd)) continue;
+        out.push(ev);
+      } else if (op.type === 'update') {
+        out = out.map(ev => matches(ev) ? googleCalendarService.normalizeEvent({ ...ev, ...op.changes, pending: true }, ev.accountId) : ev);
+      } else if (op.type === 'delete') {
+        const seriesId = op.scope === 'series' ? (op.recurringEventId || op.eventId) : null;
+        out = out.filter(ev => {
+          if (ev.accountId !== op.accountId || ev.calendarId !== op.calendarId) return true;
+          if (seriesId) return ev.id !== seriesId && ev.recurringEventId !== seriesId;
+          return ev.id !== op.eventId;
+        });
+      }
+    }
+    return out;
+  }
+
+  // Point later ops at the saved copy of an event (real id, fresh etag)
+  rebase(accountId, oldId, saved) {
+    for (const op of this.ops) {
+      if (op.accountId !== accountId || op.eventId !== oldId) continue;
+      op.eventId = saved.id;
+      op.etag = saved.etag || null;
+      if (op.type === 'update') {
+        op.start = saved.start;
+        op.end = saved.end;
+      }
+    }
+  }
+
+  async execute(op) {
+    if (op.type === 'create') {
+      const created = await googleCalendarService.createEvent({ ...op.details, accountId: op.accountId, calendarId: op.calendarId });
+      this.rebase(op.accountId, op.localId, created);
+      return;
+    }
+
+    const event = {
+      id: op.eventId,
+      accountId: op.accountId,
+      calendarId: op.calendarId,
+      recurringEventId: op.recurringEventId,
+      etag: op.etag,
+      start: op.start,
+      end: op.end
+    };
+    if (op.type === 'update') {
+      const updated = await googleCalendarService.updateEvent(event, op.changes, { scope: op.scope });
+      // a second offline edit of the same event must not trip over the etag the first one changed
+      if (op.scope !== 'series' || !op.recurringEventId) this.rebase(op.accountId, op.eventId, updated);
+    } else if (op.type === 'delete') {
+      await googleCalendarService.deleteEvent(event, { scope: op.scope });
+    }
+  }
+
+  conflictMessage(op, err) {
+    const name = op.summary || (op.details && op.details.summary) || 'An event';
+    if (err.code === 'etag_mismatch') {
+      return `"${name}" was changed on another device, so the ${op.type === 'delete' ? 'delete' : 'edit'} made offline was not applied.`;
+    }
+    if (err.status === 404) return `"${name}" no longer exists, so the change made offline was dropped.`;
+    return `The change to "${name}" made offline could not be saved: ${err.message}`;
+  }
+
+  // Replay queued ops in order. Stops (keeping the rest) as soon as a retry could
+  // succeed later; anything else, such as a stale etag, is recorded as a conflict and
+  // the op is dropped so it cannot block the queue.
+  // Resolves to { applied, conflicts, remaining }.
+  replay() {
+    if (this.replaying) return this.replaying;
+    this.replaying = (async () => {
+      let applied = 0;
+      const conflicts = [];
+      while (this.ops.length) {
+        const op = this.ops[0];
+        try {
+          await this.execute(op);
+          applied++;
+        } catch (err) {
+          // unreachable, signed out (401), rate limited (429) or a Google outage: try again later
+          if (googleCalendarService.isOfflineError(err) || [401, 429].includes(err.status) || err.status >= 500) {
+            console.warn('[Outbox] replay paused', err);
+            break;
+          }
+          console.warn('[Outbox] dropping conflicting change', op, err);
+          conflicts.push({ id: op.id, message: this.conflictMessage(op, err) });
+        }
+        this.ops.shift();
+        this.persist();
+      }
+      if (conflicts.length) {
+        this.conflicts = [...this.conflicts, ...conflicts];
+        this.notify();
+      }
+      return { applied, conflicts, remaining: this.ops.length };
+    })();
+    const done = () => { this.replaying = null; };
+    this.replaying.then(done, done);
+    return this.replaying;
+  }
+}
+
+export const outboxService = new OutboxService();
+export { OutboxService };
@@ -0,0 +1,116 @@
+// Background refresh scheduler: runs a tick (App's delta sync) on a configurable
+// interval (set in the Calendars panel) so changes made on other devices show up on the
+// wall without a touch.
+// Failed ticks back off exponentially, and nothing runs during the night window.
+import { storageUtils } from '../utils/storage';
+
+const DEFAULT_CONFIG = {
+  intervalMinutes: 2,
+  maxBackoffMinutes: 30,
+  // local HH:mm; the window may cross midnight
+  nightStart: '23:00',
+  nightEnd: '06:00'
+};
+
+// 'HH:mm' -> minutes after midnight, or null when malformed
+function toMinutes(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!m) return null;
+  return parseInt(m[1], 10) * 60 + parseInt(m[2], 10);
+}
+
+class RefreshScheduler {
+  constructor() {
+    this.config = { ...DEFAULT_CONFIG, ...(storageUtils.getRefreshConfig() || {}) };
+    this.tick = null;
+    this.timer = null;
+    this.running = false;
+    this.inFlight = false;
+    this.failures = 0;
+  }
+
+  getConfig() {
+    return { ...this.config };
+  }
+
+  setConfig(cfg) {
+    this.config = { ...this.config, ...cfg };
+    storageUtils.saveRefreshConfig(this.config);
+    if (this.running) this.schedule();
+  }
+
+  // Start polling; `tick` is an async function that throws when the refresh failed
+  start(tick) {
+    this.tick = tick;
+    this.running = true;
+    this.failures = 0;
+    this.schedule();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Refresh immediately (e.g. the network just came back) and reset the back-off
+  runNow() {
+    if (!this.running) return;
+    this.failures = 0;
+    clearTimeout(this.timer);
+    this.run();
+  }
+
+  isNight(date = new Date()) {
+    const start = toMinutes(this.config.nightStart);
+    const end = toMinutes(this.config.nightEnd);
+    if (start === null || end === null || start === end) return false;
+    const now = date.getHours() * 60 + date.getMinutes();
+    return start < end ? (now >= start && now < end) : (now >= start || now < end);
+  }
+
+  // Milliseconds from `date` until the night window ends
+  msUntilMorning(date) {
+    const end = toMinutes(this.config.nightEnd);
+    const wake = new Date(date);
+    wake.setHours(Math.floor(end / 60), end % 60, 0, 0);
+    if (wake <= date) wake.setDate(wake.getDate() + 1);
+    return wake - date;
+  }
+
+  nextDelay() {
+    const interval = Math.max(0.5, Number(this.config.intervalMinutes) || DEFAULT_CONFIG.intervalMinutes) * 60 * 1000;
+    const maxBackoff = Math.max(1, Number(this.config.maxBackoffMinutes) || DEFAULT_CONFIG.maxBackoffMinutes) * 60 * 1000;
+    const delay = this.failures ? Math.min(interval * Math.pow(2, this.failures), Math.max(interval, maxBackoff)) : interval;
+    const due = new Date(Date.now() + delay);
+    // Sleep through the night; the first tick in the morning catches up on everything
+    return this.isNight(due) ? delay + this.msUntilMorning(due) : delay;
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    const delay = this.nextDelay();
+    console.debug('[RefreshScheduler] next refresh in', Math.round(delay / 1000), 's');
+    this.timer = setTimeout(() => this.run(), delay);
+  }
+
+  async run() {
+    if (!this.running || !this.tick) return;
+    // a slow sync must not overlap with the next one
+    if (this.inFlight) return;
+    this.inFlight = true;
+    try {
+      await this.tick();
+      this.failures = 0;
+    } catch (err) {
+      this.failures++;
+      console.warn('[RefreshScheduler] refresh failed, backing off', this.failures, err);
+    } finally {
+      this.inFlight = false;
+      if (this.running) this.schedule();
+    }
+  }
+}
+
+export const refreshScheduler = new RefreshScheduler();
+export { RefreshScheduler };
@@ -0,0 +1,117 @@
+// Language model backends for GeminiService. GeminiService builds the prompts and parses
+// the answers (interpretQuery, answerQuery, parseEventFromText, generateAvailabilitySummary,
+// suggestMeetingTimes); a provider only turns a prompt into text:
+//   { name, initialize(): boolean, generate(prompt, options): Promise<string> }
+// options: { json } asks for a bare JSON answer (structured calls), { temperature }
+// overrides the provider's default. A backend applies what it supports.
+// REACT_APP_LLM_PROVIDER picks the backend: 'gemini' (default) or 'openai' for any
+// OpenAI-compatible chat completions server (llama.cpp, Ollama, vLLM, LM Studio...), so
+// calendar data can stay on the local network.
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Local models on small hardware can be slow; give up after this long
+const REQUEST_TIMEOUT_MS = 60000;
+const DEFAULT_TEMPERATURE = 0.2;
+
+class GeminiProvider {
+  constructor({ apiKey, model }) {
+    this.name = 'gemini';
+    this.apiKey = apiKey;
+    this.modelName = model;
+    this.model = null;
+  }
+
+  initialize() {
+    if (this.model) return true;
+    if (!this.apiKey) {
+      console.warn('Gemini API key not found. Natural language features will be disabled.');
+      return false;
+    }
+    this.model = new GoogleGenerativeAI(this.apiKey).getGenerativeModel({ model: this.modelName });
+    return true;
+  }
+
+  // This SDK talks to the v1 API, which has no JSON response mode; the prompts ask for JSON
+  async generate(prompt, { temperature } = {}) {
+    const result = await this.model.generateContent({
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      ...(temperature !== undefined ? { generationConfig: { temperature } } : {})
+    });
+    const response = await result.response;
+    return response.text();
+  }
+}
+
+// POST {baseUrl}/chat/completions with the prompt as a single user message.
+// baseUrl includes the version prefix, e.g. http://192.168.1.20:11434/v1 for Ollama.
+// JSON requests set response_format json_object unless jsonMode is off (for servers
+// that reject it, such as LM Studio).
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, model, apiKey, jsonMode = true }) {
+    this.name = 'openai';
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+    this.model = model;
+    this.apiKey = apiKey;
+    this.jsonMode = jsonMode;
+  }
+
+  initialize() {
+    if (!this.baseUrl || !this.model) {
+      console.warn('REACT_APP_LLM_BASE_URL and REACT_APP_LLM_MODEL are required for the OpenAI-compatible provider. Natural language features will be disabled.');
+      return false;
+    }
+    return true;
+  }
+
+  async generate(prompt, { json = false, temperature = DEFAULT_TEMPERATURE } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+      const resp = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model: this.model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature,
+          ...(json && this.jsonMode ? { response_format: { type: 'json_object' } } : {}),
+          stream: false
+        }),
+        signal: controller.signal
+      });
+      if (!resp.ok) {
+        const body = await resp.text().catch(() => '');
+        throw new Error(`LLM endpoint returned ${resp.status}: ${body.slice(0, 200)}`);
+      }
+      const data = await resp.json();
+      const text = data && data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+      if (typeof text !== 'string') throw new Error('LLM endpoint returned no text');
+      return text;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// The provider configured in the environment
+export function createLlmProvider() {
+  const kind = (process.env.REACT_APP_LLM_PROVIDER || 'gemini').toLowerCase();
+  if (kind === 'openai') {
+    return new OpenAICompatibleProvider({
+      baseUrl: process.env.REACT_APP_LLM_BASE_URL,
+      model: process.env.REACT_APP_LLM_MODEL,
+      apiKey: process.env.REACT_APP_LLM_API_KEY,
+      jsonMode: (process.env.REACT_APP_LLM_JSON_MODE || 'true').toLowerCase() !== 'false'
+    });
+  }
+  if (kind !== 'gemini') console.warn(`Unknown REACT_APP_LLM_PROVIDER "${kind}", using Gemini`);
+  return new GeminiProvider({
+    apiKey: process.env.REACT_APP_GEMINI_API_KEY,
+    model: process.env.REACT_APP_GEMINI_MODEL || 'gemini-2.5-flash'
+  });
+}
+
+export { GeminiProvider, OpenAICompatibleProvider };
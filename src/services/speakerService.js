@@ -0,0 +1,88 @@
+// Who is asking: family members can enroll their voice with a few spoken phrases. The
+// local VOSK server returns a voice print ("spk", an x-vector from its speaker model) with
+// every transcript; enrolled prints are kept in local storage per account and a question's
+// print is compared with them by cosine similarity. Nothing leaves the kiosk.
+import { storageUtils } from '../utils/storage';
+
+// Phrases to ask for when enrolling (none may contain a wake word); older samples beyond
+// MAX_SAMPLES are dropped
+export const ENROLL_PHRASES = [
+  { ru: 'Какие у меня дела на завтра?', en: 'What do I have tomorrow?' },
+  { ru: 'Есть ли у меня встречи на этой неделе?', en: 'Do I have any meetings this week?' },
+  { ru: 'Когда у меня следующая встреча?', en: 'When is my next meeting?' }
+];
+const MAX_SAMPLES = 6;
+// Lowest similarity to a person's voice print that still counts as them, and how far
+// ahead of the next person the best match has to be
+const MIN_SIMILARITY = 0.5;
+const MIN_MARGIN = 0.05;
+
+function cosine(a, b) {
+  if (!a || !b || a.length !== b.length) return -1;
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : -1;
+}
+
+// Mean of length-normalized vectors
+function centroid(vectors) {
+  const out = new Array(vectors[0].length).fill(0);
+  for (const v of vectors) {
+    const norm = Math.sqrt(v.reduce((sum, x) => sum + x * x, 0)) || 1;
+    v.forEach((x, i) => { out[i] += x / norm; });
+  }
+  return out.map(x => x / vectors.length);
+}
+
+class SpeakerService {
+  constructor() {
+    // accountId -> { samples: [vector], updatedAt }
+    this.profiles = storageUtils.getSpeakerProfiles();
+  }
+
+  sampleCount(accountId) {
+    const profile = this.profiles[accountId];
+    return profile ? profile.samples.length : 0;
+  }
+
+  hasProfiles() {
+    return Object.values(this.profiles).some(p => p.samples && p.samples.length);
+  }
+
+  addSample(accountId, vector) {
+    if (!Array.isArray(vector) || !vector.length) throw new Error('Empty voice print');
+    const samples = [...((this.profiles[accountId] && this.profiles[accountId].samples) || []), vector].slice(-MAX_SAMPLES);
+    this.profiles = { ...this.profiles, [accountId]: { samples, updatedAt: new Date().toISOString() } };
+    storageUtils.saveSpeakerProfiles(this.profiles);
+    return samples.length;
+  }
+
+  removeProfile(accountId) {
+    const { [accountId]: removed, ...rest } = this.profiles;
+    this.profiles = rest;
+    storageUtils.saveSpeakerProfiles(this.profiles);
+  }
+
+  // The enrolled account whose voice matches `vector`: { accountId, similarity }, or null
+  // when nobody is close enough or two people are too close to tell apart. `accountIds`
+  // limits the candidates (removed accounts keep their profile until forgotten).
+  identify(vector, accountIds = null) {
+    if (!Array.isArray(vector) || !vector.length) return null;
+    const scored = Object.entries(this.profiles)
+      .filter(([id, p]) => p.samples && p.samples.length && (!accountIds || accountIds.includes(id)))
+      .map(([accountId, p]) => ({ accountId, similarity: cosine(vector, centroid(p.samples)) }))
+      .sort((a, b) => b.similarity - a.similarity);
+    const [best, next] = scored;
+    if (!best || best.similarity < MIN_SIMILARITY) return null;
+    if (next && best.similarity - next.similarity < MIN_MARGIN) return null;
+    return best;
+  }
+}
+
+export const speakerService = new SpeakerService();
@@ -2,15 +2,52 @@
 import { geminiService } from './GeminiService';
 import { speak } from './ttsService';
 import { googleCalendarService } from './GoogleCalendarService';
+import { voskStreamService } from './voskStreamService';
+import { speakerService } from './speakerService';
 import { safeParse, safeFormat } from '../utils/dateUtils';
+import { storageUtils } from '../utils/storage';
+import { parseQuery, matchAccounts, isFirstPerson } from '../utils/intentParser';
+import { byteRms, createEndpointer, noSpeechError } from '../utils/vad';
+import { ru as ruLocale } from 'date-fns/locale';
 
 const defaultLang = 'ru';
 
+// "добавь к стоматологу в четверг", "please create a meeting tomorrow at 3": a request has to
+// open with the verb (after an optional "please"/"можешь"), so questions like "what is on my
+// schedule" or "что запланировано на субботу" are answered rather than turned into events
+const CREATE_INTENT_RE = /^(?:(?:пожалуйста|можешь|можете|давай|хочу|please|can you|could you|i want to|i'd like to|let's)[\s,]+)?(?:добав(?:ь|ьте|ить)|созда(?:й|йте|ть)|запиш(?:и|ите)|записать|запланиру(?:й|йте)|запланировать|назнач(?:ь|ьте|ить)|постав(?:ь|ьте|ить)|внес(?:и|ите|ти)|add|create|schedule|book|put|set up|make)(?=[\s.,!]|$)/i;
+const YES_RE = /(^|\s)(да|давай|ага|конечно|подтвержда[юе]|создавай|добавляй|верно|ок)([\s.,!]|$)|\b(yes|yeah|yep|sure|ok|okay|confirm|do it|correct)\b/i;
+const NO_RE = /(^|\s)(нет|не надо|отмен[аи]|стоп|не нужно)([\s.,!]|$)|\b(no|nope|cancel|stop|don't)\b/i;
+// A question asked within this long after the previous answer is treated as a follow-up
+const CONVERSATION_WINDOW_MS = 60 * 1000;
+// Events read out one by one in a local (non-Gemini) answer; the rest are only counted
+const MAX_SPOKEN_EVENTS = 10;
+// How often recordAudio measures the level for voice activity detection
+const VAD_POLL_MS = 50;
+
 class VoiceSearchService {
   constructor() {
     this.recognition = null;
     this.mediaRecorder = null;
     this.chunks = [];
+    // Last answered question, carried into follow-ups:
+    // { query, answer, startDate, endDate, accounts, people, events, at }
+    this.conversation = null;
+    // Last captureTranscript result and who said it: { text, vector, accountId, similarity }
+    this.lastSpeaker = null;
+  }
+
+  // The conversation still open for follow-ups, or null once CONVERSATION_WINDOW_MS passed
+  getConversation() {
+    if (this.conversation && Date.now() - this.conversation.at > CONVERSATION_WINDOW_MS) {
+      this.conversation = null;
+    }
+    return this.conversation;
+  }
+
+  // Forget the previous question; the next one starts from scratch
+  endConversation() {
+    this.conversation = null;
   }
 
   // Try to start Web Speech API recognition
@@ -52,8 +89,10 @@ class VoiceSearchService {
     } catch (e) {}
   }
 
-  // Fallback: record audio via MediaRecorder and return a Blob
-  async recordAudio({ ms = 7000, constraints = { audio: true } } = {}) {
+  // Fallback: record audio via MediaRecorder and return a Blob. With `vad` the recording
+  // stops after the speaker falls silent (utils/vad), `ms` is only the upper limit, and it
+  // rejects with code 'no_speech' when nobody spoke.
+  async recordAudio({ ms = 7000, constraints = { audio: true }, vad = false } = {}) {
     if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
       throw new Error('Media devices API not available');
     }
@@ -61,24 +100,57 @@ class VoiceSearchService {
     this.chunks = [];
     this.mediaRecorder = new MediaRecorder(stream);
     return new Promise((resolve, reject) => {
+      let ctx = null;
+      let timer = null;
+      let poll = null;
+      let noSpeech = false;
+      const stop = () => {
+        try { this.mediaRecorder.stop(); } catch (e) {}
+      };
       this.mediaRecorder.ondataavailable = (e) => {
         if (e.data && e.data.size) this.chunks.push(e.data);
       };
       this.mediaRecorder.onerror = (e) => reject(e.error || e);
       this.mediaRecorder.onstop = () => {
-        const blob = new Blob(this.chunks, { type: 'audio/webm' });
+        clearTimeout(timer);
+        clearInterval(poll);
+        if (ctx) ctx.close().catch(() => {});
         stream.getTracks().forEach(t => t.stop());
-        resolve(blob);
+        if (noSpeech) {
+          reject(noSpeechError());
+          return;
+        }
+        resolve(new Blob(this.chunks, { type: 'audio/webm' }));
       };
       this.mediaRecorder.start();
-      setTimeout(() => {
-        try { this.mediaRecorder.stop(); } catch (e) {}
-      }, ms);
+      timer = setTimeout(stop, ms);
+      if (!vad) return;
+      try {
+        ctx = new (window.AudioContext || window.webkitAudioContext)();
+        ctx.resume().catch(() => {});
+        const analyser = ctx.createAnalyser();
+        analyser.fftSize = 2048;
+        ctx.createMediaStreamSource(stream).connect(analyser);
+        const data = new Uint8Array(analyser.fftSize);
+        const endpointer = createEndpointer({ maxMs: ms });
+        poll = setInterval(() => {
+          analyser.getByteTimeDomainData(data);
+          const state = endpointer.push(byteRms(data), VAD_POLL_MS);
+          if (state === 'no_speech') noSpeech = true;
+          if (state === 'done' || state === 'no_speech') {
+            clearInterval(poll);
+            stop();
+          }
+        }, VAD_POLL_MS);
+      } catch (err) {
+        console.warn('[voiceSearch] voice activity detection unavailable, recording the full clip', err);
+      }
     });
   }
 
-  // Transcribe a recorded audio blob using local VOSK server
-  async transcribeWithServer(blob, serverUrl = 'http://localhost:5000/transcribe') {
+  // Transcribe a recorded audio blob using local VOSK server. onSpeaker(vector) gets the
+  // speaker's voice print when the server has a speaker model.
+  async transcribeWithServer(blob, serverUrl = 'http://localhost:5000/transcribe', { onSpeaker } = {}) {
     try {
       const fd = new FormData();
       // name the file so server ffmpeg can detect format
@@ -90,6 +162,7 @@ class VoiceSearchService {
       }
       const data = await resp.json();
       if (data.error) throw new Error(data.error);
+      if (data.spk && onSpeaker) onSpeaker(data.spk);
       return data.text || '';
     } catch (err) {
       console.error('[voiceSearch] transcribeWithServer failed', err);
@@ -108,6 +181,7 @@ class VoiceSearchService {
             const b64 = btoa(binary);
             const proxyRes = await window.electronAPI.proxyTranscribe({ data: b64, filename: 'recording.webm', serverUrl });
             if (proxyRes && proxyRes.success) {
+              if (proxyRes.spk && onSpeaker) onSpeaker(proxyRes.spk);
               return proxyRes.text || '';
             }
             throw new Error(proxyRes && proxyRes.error ? proxyRes.error : 'proxy transcription failed');
@@ -121,8 +195,197 @@ class VoiceSearchService {
     }
   }
 
-  // Given recognized text, ask Gemini and synthesize an answer
-  async handleQueryText(text, { events = [], accounts = [], startDate, endDate, lang = defaultLang, onAnswerText, onTtsDone } = {}) {
+  // One utterance through the local VOSK server: streamed when the server offers /stream
+  // (onPartial gets the words so far), otherwise a recording uploaded to /transcribe. Both
+  // end when the speaker stops, within `maxMs`; silence rejects with code 'no_speech'.
+  // A `handoff` from the wake word stream (wakeWordService) recognizes the audio it has
+  // buffered since the wake word instead of opening the microphone again. The speaker is
+  // recognized along the way when voices are enrolled (see speakerFor).
+  async captureTranscript({ deviceId, onPartial, maxMs = 10000, handoff = null } = {}) {
+    let vector = null;
+    const onSpeaker = (spk) => { vector = spk; };
+    let text;
+    if (handoff) {
+      text = await handoff.listen({ onPartial, onSpeaker, maxMs });
+    } else if (voskStreamService.isSupported()) {
+      try {
+        text = await voskStreamService.listen({ deviceId, onPartial, onSpeaker, maxMs });
+      } catch (err) {
+        console.warn('[voiceSearch] streaming recognition unavailable, recording a clip instead', err);
+      }
+    }
+    if (text === undefined) {
+      const constraints = deviceId ? { audio: { deviceId: { exact: deviceId } } } : { audio: true };
+      const blob = await this.recordAudio({ ms: maxMs, constraints, vad: true });
+      text = await this.transcribeWithServer(blob, undefined, { onSpeaker });
+    } else if (!text) {
+      throw noSpeechError();
+    }
+    const match = vector ? speakerService.identify(vector) : null;
+    this.lastSpeaker = { text, vector, accountId: match && match.accountId, similarity: match && match.similarity };
+    return text;
+  }
+
+  // Account id of whoever said `text` in the last captureTranscript, if recognized
+  speakerFor(text) {
+    const last = this.lastSpeaker;
+    return last && last.text === text ? last.accountId || null : null;
+  }
+
+  // Record one enrollment phrase for speakerService: { text, vector }. Rejects with code
+  // 'no_speech' on silence and 'speaker_model_missing' when the VOSK server returns no
+  // voice print (no speaker model installed).
+  async recordVoicePrint({ deviceId } = {}) {
+    const text = await this.captureTranscript({ deviceId, maxMs: 8000 });
+    const vector = this.lastSpeaker && this.lastSpeaker.vector;
+    if (!vector) {
+      const err = new Error('The VOSK server returned no voice print. Is the speaker model installed (SPK_MODEL_PATH)?');
+      err.code = 'speaker_model_missing';
+      throw err;
+    }
+    return { text, vector };
+  }
+
+  // Whether a transcript asks to add an event rather than asking about the calendar
+  isCreateIntent(text) {
+    return CREATE_INTENT_RE.test((text || '').toString().trim());
+  }
+
+  // 'yes', 'no' or null for an answer to a spoken confirmation
+  parseConfirmation(text) {
+    const t = (text || '').toString().toLowerCase().trim();
+    if (!t) return null;
+    // check "no" first: "нет, не надо" must not match the "да" in "надо"
+    if (NO_RE.test(t)) return 'no';
+    if (YES_RE.test(t)) return 'yes';
+    return null;
+  }
+
+  // Accounts whose alias_ru/alias_en/nickname/name/email is mentioned in the text
+  matchAccounts(text, accounts = []) {
+    return matchAccounts(text, accounts);
+  }
+
+  // Date range, keywords and scope of a question (see geminiService.interpretQuery).
+  // Gemini is only an enhancer: without it, or when it fails, the offline grammar in
+  // utils/intentParser answers instead.
+  async interpretQuery(text, { lang = defaultLang, accounts = [], conversation = null } = {}) {
+    const now = new Date();
+    if (geminiService.isAvailable()) {
+      try {
+        return await geminiService.interpretQuery(text, now, { lang, conversation });
+      } catch (err) {
+        console.warn('[voiceSearch] Gemini could not interpret the query, using the offline parser', err);
+      }
+    }
+    return parseQuery(text, now, { accounts });
+  }
+
+  // Sentence to speak when a voice request failed, by error code: the language model
+  // is unreachable or gave an unusable answer (see geminiService.generateStructured),
+  // or Google Calendar is offline
+  describeError(err, lang = defaultLang) {
+    const ru = (lang || '').startsWith('ru');
+    const code = err && err.code;
+    if (code === 'no_speech') {
+      return ru ? 'Ничего не слышно. Попробуйте ещё раз.' : 'I did not hear anything. Please try again.';
+    }
+    if (code === 'llm_invalid_response') {
+      return ru ? 'Не получилось разобрать запрос. Попробуйте сказать по-другому.' : 'I could not make sense of that. Please try saying it differently.';
+    }
+    if (code === 'llm_unavailable') {
+      return ru ? 'Языковая модель сейчас недоступна.' : 'The language model is not available right now.';
+    }
+    if (googleCalendarService.isOfflineError(err)) {
+      return ru ? 'Нет связи с календарём. Проверьте интернет.' : 'The calendar is unreachable. Please check the network.';
+    }
+    return ru ? 'Что-то пошло не так. Попробуйте ещё раз.' : 'Something went wrong. Please try again.';
+  }
+
+  // Turn a "create" request into a draft event for confirmation:
+  // { eventData, account, confirmation } where eventData is ready for onEventCreate and
+  // confirmation is the sentence to read back. The person is resolved through the
+  // account aliases first, then through the participants Gemini matched.
+  async prepareEventFromText(text, { accounts = [], lang = defaultLang } = {}) {
+    const parsed = await geminiService.parseEventFromText(text, accounts, new Date(), { lang });
+    try { if (typeof window !== 'undefined' && window.electronAPI && typeof window.electronAPI.geminiLog === 'function') window.electronAPI.geminiLog(JSON.stringify({ voiceCreateParsed: parsed }, null, 2), 'voiceCreate'); } catch (e) {}
+
+    const mentioned = this.matchAccounts(text, accounts);
+    const byParticipant = (parsed.participantAccounts || []).map(id => accounts.find(acc => acc.id === id)).filter(Boolean);
+    const account = mentioned[0] || byParticipant[0] || accounts[0];
+    if (!account) throw new Error('No account to add the event to');
+
+    const eventData = {
+      summary: parsed.title || 'New Event',
+      description: parsed.description || '',
+      location: parsed.location || '',
+      accountId: account.id,
+      calendarId: storageUtils.getLastCalendar(account.id) || 'primary'
+    };
+    if (parsed.isAllDay) {
+      // Google all-day end dates are exclusive
+      const end = safeParse(parsed.endDate) || safeParse(parsed.startDate);
+      end.setDate(end.getDate() + 1);
+      eventData.start = { date: parsed.startDate };
+      eventData.end = { date: safeFormat(end, 'yyyy-MM-dd', parsed.startDate) };
+    } else {
+      const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      eventData.start = { dateTime: `${parsed.startDate}T${parsed.startTime}:00`, timeZone };
+      eventData.end = { dateTime: `${parsed.endDate}T${parsed.endTime}:00`, timeZone };
+    }
+    const recurrence = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY' }[parsed.recurrence];
+    if (recurrence) eventData.recurrence = [`RRULE:FREQ=${recurrence}`];
+
+    return { eventData, account, confirmation: this.describeDraft(eventData, account, lang) };
+  }
+
+  // Spoken read-back of a draft: what, when and for whom, ending with a question
+  describeDraft(eventData, account, lang = defaultLang) {
+    const ru = (lang || '').startsWith('ru');
+    const start = safeParse(eventData.start.dateTime || eventData.start.date);
+    const day = ru
+      ? safeFormat(start, 'EEEE, d MMMM', '', { locale: ruLocale })
+      : safeFormat(start, 'EEEE, MMMM d', '');
+    const time = eventData.start.dateTime ? safeFormat(start, 'HH:mm', '') : null;
+    const who = account.alias_ru && ru ? account.alias_ru : (account.nickname || account.alias_en || account.name || account.email);
+    const title = eventData.summary || (ru ? 'событие' : 'event');
+    if (ru) {
+      return `Добавить «${title}» на ${day}${time ? ` в ${time}` : ', на весь день'} для ${who}? Скажите да или нет.`;
+    }
+    return `Add "${title}" on ${day}${time ? ` at ${time}` : ', all day'} for ${who}? Say yes or no.`;
+  }
+
+  // Listen once for a yes/no answer. Resolves 'yes', 'no' or null (silence / not understood).
+  listenForConfirmation({ lang = defaultLang, timeoutMs = 6000 } = {}) {
+    return new Promise((resolve) => {
+      let done = false;
+      const finish = (answer) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        resolve(answer);
+      };
+      const res = this.startRecognition({
+        lang,
+        onResult: (text) => finish(this.parseConfirmation(text)),
+        onEnd: () => finish(null)
+      });
+      if (!res || !res.supported) {
+        finish(null);
+        return;
+      }
+      const timer = setTimeout(() => {
+        this.stopRecognition();
+        finish(null);
+      }, timeoutMs);
+    });
+  }
+
+  // Given recognized text, ask Gemini and synthesize an answer. Within the conversation
+  // window the previous question's range, people and results are passed along, so a
+  // follow-up like "and Sunday?" is understood. `speaker` is the account id of the asker
+  // (recognized by voice by default): "what do I have tomorrow" is about their calendar.
+  async handleQueryText(text, { events = [], accounts = [], startDate, endDate, lang = defaultLang, onAnswerText, onTtsDone, speaker = this.speakerFor(text) } = {}) {
     try {
       try { console.debug('[voiceSearch] handleQueryText entry text=', text); } catch (e) {}
       // First, ask Gemini to interpret the user's query into a strict JSON that
@@ -136,10 +399,12 @@ class VoiceSearchService {
       // declared here so it's visible both inside the interpreter block and
       // in the outer deterministic-summary logic below (avoids ReferenceError).
       let lastFetchTotal = 0;
+      const previous = this.getConversation();
+      // accounts the question is restricted to (named now or in the previous question)
+      let narrowedTo = null;
 
       try {
-        const now = new Date();
-        interp = await geminiService.interpretQuery(text, now, { lang });
+        interp = await this.interpretQuery(text, { lang, accounts, conversation: previous });
         console.debug('[voiceSearch] interpretQuery result=', interp);
         // Also write the interpretation to the main gemini log for easier remote inspection
         try {
@@ -158,6 +423,10 @@ class VoiceSearchService {
             const d2 = safeParse(interp.endDate);
             if (d2) { d2.setHours(23,59,59,999); queryEnd = d2; }
           }
+        } else if (previous && previous.startDate && interp && interp.scope === 'unspecified') {
+          // "who is it with?" - no dates of its own, stay on the previous range
+          queryStart = previous.startDate;
+          queryEnd = previous.endDate;
         }
 
 
@@ -206,19 +475,20 @@ class VoiceSearchService {
         // restrict subsequent fetches to those matching accounts (supports alias_ru/alias_en/nickname/name/email).
         try {
           const storedAccounts = (accounts && accounts.length) ? accounts : (googleCalendarService.getAccounts ? googleCalendarService.getAccounts() : []);
-          const txt = (text || '').toString().toLowerCase();
-          const matched = (storedAccounts || []).filter(acc => {
-            try {
-              const cand = [ (acc.alias_en||''), (acc.alias_ru||''), (acc.nickname||''), (acc.name||''), (acc.email||'') ]
-                .map(s => (s || '').toString().toLowerCase())
-                .filter(Boolean);
-              return cand.some(c => txt.includes(c));
-            } catch (e) { return false; }
-          });
+          const matched = this.matchAccounts(text, storedAccounts);
           if (matched && matched.length) {
             // narrow the accounts variable used by fetchAndMerge to the selected accounts
             accounts = matched;
+            narrowedTo = matched;
             try { if (typeof window !== 'undefined' && window.electronAPI && typeof window.electronAPI.geminiLog === 'function') window.electronAPI.geminiLog(JSON.stringify({ aliasFilteredAccounts: matched.map(a=>a.id) }, null, 2), 'aliasFilter'); } catch (e) {}
+          } else if (speaker && isFirstPerson(text) && storedAccounts.some(a => a.id === speaker)) {
+            // "what do I have tomorrow?": whoever is asking
+            accounts = storedAccounts.filter(a => a.id === speaker);
+            narrowedTo = accounts;
+          } else if (previous && previous.accounts) {
+            // nobody named: a follow-up keeps asking about the same people
+            accounts = previous.accounts;
+            narrowedTo = previous.accounts;
           }
         } catch (e) { /* ignore alias detection failures */ }
 
@@ -352,6 +622,28 @@ class VoiceSearchService {
           }
         }
 
+        // Only the people asked about; events without an account (unknown origin) stay
+        if (narrowedTo) {
+          const ids = narrowedTo.map(a => a.id);
+          effectiveEvents = (effectiveEvents || []).filter(ev => !ev.accountId || ids.includes(ev.accountId));
+        }
+
+        // A time of day was asked for ("с 10 до 12", "вечером"): keep the timed events
+        // overlapping it; all-day events cover it anyway
+        if (interp && (interp.startTime || interp.endTime)) {
+          const toMinutes = (hhmm) => { const [h, m] = hhmm.split(':').map(Number); return h * 60 + m; };
+          const from = toMinutes(interp.startTime || '00:00');
+          const to = toMinutes(interp.endTime || '23:59');
+          effectiveEvents = (effectiveEvents || []).filter(ev => {
+            const s = ev.start && ev.start.dateTime ? safeParse(ev.start.dateTime) : null;
+            if (!s) return true;
+            const e = safeParse(ev.end && ev.end.dateTime) || s;
+            const sMin = s.getHours() * 60 + s.getMinutes();
+            const eMin = e.toDateString() !== s.toDateString() ? 24 * 60 : e.getHours() * 60 + e.getMinutes();
+            return sMin < to && eMin > from;
+          });
+        }
+
         // If Gemini provided keywords, filter events by them (title or description)
         const kw_en = (interp.keywords_en || []).map(k => String(k).toLowerCase()).filter(Boolean);
         const kw_ru = (interp.keywords_ru || []).map(k => String(k).toLowerCase()).filter(Boolean);
@@ -450,6 +742,25 @@ class VoiceSearchService {
         return ev;
       });
 
+      // Keep this turn for follow-up questions (see getConversation)
+      const remember = (answerText) => {
+        this.conversation = {
+          query: text,
+          answer: answerText,
+          startDate: queryStart || null,
+          endDate: queryEnd || null,
+          accounts: narrowedTo,
+          people: narrowedTo ? narrowedTo.map(acc => acc.nickname || acc.alias_en || acc.name || acc.email) : null,
+          events: (normalizedEvents || []).slice(0, 20).map(ev => ({
+            title: ev.summary || ev.title || '',
+            date: ev.localStartDate || null,
+            time: ev.isAllDay ? null : (ev.localStartTime || null),
+            account: ev.accountName || ev.accountEmail || null
+          })),
+          at: Date.now()
+        };
+      };
+
           // If we normalized and have no events but the user asked for a next_occurrence
           // or for results from today onward, perform a broader twelve-month search as a
           // safety net (this helps queries like "when is my next dentist appointment").
@@ -514,6 +825,8 @@ class VoiceSearchService {
       const tryDeterministicSummary = (() => {
         try {
           if (!interp) return false;
+          // without Gemini nothing else can phrase the answer
+          if (!geminiService.isAvailable()) return true;
           if (interp.scope === 'single_day') return true;
           if (interp.scope === 'range' && queryStart && queryEnd) {
             const s = new Date(queryStart);
@@ -537,13 +850,17 @@ class VoiceSearchService {
           } else {
           // build contextual no-plans message depending on scope
           let noneText = '';
+          const searched = interp.scope === 'next_occurrence' || interp.scope === 'from_today';
           if (lang && lang.startsWith('ru')) {
             if (interp.scope === 'single_day') noneText = 'На заданный день планов нет.';
+            else if (searched) noneText = 'Ничего такого в календаре не нашлось.';
             else noneText = 'На указанный период планов нет.';
           } else {
             if (interp.scope === 'single_day') noneText = 'You have no plans for the requested day.';
+            else if (searched) noneText = 'I could not find anything like that in the calendar.';
             else noneText = 'You have no plans for the requested period.';
           }
+          remember(noneText);
           if (onAnswerText) onAnswerText(noneText);
           try { await speak(noneText, lang); } catch (e) { /* ignore */ }
           if (onTtsDone) onTtsDone();
@@ -561,25 +878,43 @@ class VoiceSearchService {
           return '';
         };
 
+        // Outside a single day each event also needs its day
+        const makeDay = (ev) => {
+          if (interp.scope === 'single_day') return '';
+          const d = safeParse(ev.localStartDate);
+          const day = (lang && lang.startsWith('ru'))
+            ? safeFormat(d, 'EEEE, d MMMM', '', { locale: ruLocale })
+            : safeFormat(d, 'EEEE, MMMM d', '');
+          return day ? `${day}, ` : '';
+        };
+
         // Header depends on scope: for single_day use localized wording, for range mention count
         let header = '';
         if (lang && lang.startsWith('ru')) {
           if (interp.scope === 'single_day') header = `На заданный день у вас запланировано ${n === 1 ? 'одно событие' : `${n} события`}.`;
+          else if (interp.scope === 'next_occurrence') header = 'Ближайшее:';
           else header = `На указанный период у вас запланировано ${n} ${n === 1 ? 'событие' : 'события' }.`;
         } else {
           if (interp.scope === 'single_day') header = `You have ${n} ${n === 1 ? 'event' : 'events'} on the requested day.`;
+          else if (interp.scope === 'next_occurrence') header = 'The next one:';
           else header = `You have ${n} events in the requested period.`;
         }
         const parts = [header];
-        for (const ev of normalizedEvents) {
+        const spoken = [...normalizedEvents]
+          .sort((a, b) => `${a.localStartDate} ${a.localStartTime}`.localeCompare(`${b.localStartDate} ${b.localStartTime}`))
+          .slice(0, MAX_SPOKEN_EVENTS);
+        for (const ev of spoken) {
           const time = makeTimeRange(ev);
           const title = ev.summary || ev.title || ev.title || '';
           if (lang && lang.startsWith('ru')) {
-            parts.push(`${time} — «${title}».`);
+            parts.push(`${makeDay(ev)}${time} — «${title}».`);
           } else {
-            parts.push(`${time} - "${title}".`);
+            parts.push(`${makeDay(ev)}${time} - "${title}".`);
           }
         }
+        if (n > spoken.length) {
+          parts.push((lang && lang.startsWith('ru')) ? `И ещё ${n - spoken.length}.` : `And ${n - spoken.length} more.`);
+        }
         const summaryText = parts.join(' ');
         // Log the exact events and the summary that will be spoken so we can correlate logs
         try {
@@ -588,6 +923,7 @@ class VoiceSearchService {
           try { if (typeof window !== 'undefined' && window.electronAPI && typeof window.electronAPI.geminiLog === 'function') window.electronAPI.geminiLog(JSON.stringify({ eventsPassedToAnswerQuery: eventsForLog }, null, 2), 'eventsPassed'); } catch (e) {}
           try { if (typeof window !== 'undefined' && window.electronAPI && typeof window.electronAPI.rendererLog === 'function') window.electronAPI.rendererLog('finalSpeech (deterministic): ' + summaryText); } catch (e) {}
         } catch (e) { /* ignore logging failures */ }
+        remember(summaryText);
         if (onAnswerText) onAnswerText(summaryText);
         try { await speak(summaryText, lang); } catch (e) { /* ignore */ }
         if (onTtsDone) onTtsDone();
@@ -601,8 +937,9 @@ class VoiceSearchService {
         try { if (typeof window !== 'undefined' && window.electronAPI && typeof window.electronAPI.geminiLog === 'function') window.electronAPI.geminiLog(JSON.stringify({ eventsForAnswerQuery: eventsForLog }, null, 2), 'eventsForAnswerQuery'); } catch (e) {}
       } catch (e) { /* ignore */ }
 
-      const answer = await geminiService.answerQuery(text, normalizedEvents, accounts, queryStart, queryEnd, { lang });
+      const answer = await geminiService.answerQuery(text, normalizedEvents, accounts, queryStart, queryEnd, { lang, conversation: previous });
       const answerText = typeof answer === 'string' ? answer : String(answer);
+      remember(answerText);
       if (onAnswerText) onAnswerText(answerText);
 
       // Use shared TTS helper which handles browser and main-process fallbacks
@@ -0,0 +1,299 @@
+// Streaming speech recognition against the local VOSK server (server/vosk_server.py,
+// WebSocket /stream). Microphone audio is turned into 16 kHz 16-bit mono PCM by an
+// AudioWorklet and sent in 100 ms frames while the user speaks; the server answers
+// {"partial": "..."} as words come in and {"text": "...", "final": true} when VOSK
+// detects the end of the utterance, so there is no fixed-length recording to wait for.
+// The level of each frame also goes through the endpointer in utils/vad, which ends the
+// utterance after a short trailing silence or when nobody speaks at all. watch() keeps a
+// stream open for the wake word listener (wakeWordService) and buffers the microphone,
+// so what was said right after the wake word can go straight to listen().
+import { createEndpointer, pcm16Rms } from '../utils/vad';
+
+export const DEFAULT_STREAM_URL = 'ws://localhost:5000/stream';
+const TARGET_RATE = 16000;
+const FRAME_SAMPLES = TARGET_RATE / 10;
+const FRAME_MS = 100;
+// How long to wait for the server to accept the connection before giving up
+const CONNECT_TIMEOUT_MS = 2000;
+// After asking for the final result, how long to wait for it
+const FINAL_TIMEOUT_MS = 1500;
+
+// Loaded from a Blob URL: the production build runs from file://, where worklet
+// modules cannot be fetched from disk. Input is averaged down to TARGET_RATE (a no-op
+// when the AudioContext already runs at 16 kHz).
+const WORKLET_SOURCE = `
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.ratio = sampleRate / ${TARGET_RATE};
+    this.position = 0;
+    this.sum = 0;
+    this.count = 0;
+    this.frame = new Int16Array(${FRAME_SAMPLES});
+    this.length = 0;
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (!channel) return true;
+    for (let i = 0; i < channel.length; i++) {
+      this.sum += channel[i];
+      this.count++;
+      this.position += 1;
+      if (this.position < this.ratio) continue;
+      this.position -= this.ratio;
+      const s = Math.max(-1, Math.min(1, this.sum / this.count));
+      this.frame[this.length++] = s < 0 ? s * 0x8000 : s * 0x7fff;
+      this.sum = 0;
+      this.count = 0;
+      if (this.length === this.frame.length) {
+        this.port.postMessage(this.frame.buffer, [this.frame.buffer]);
+        this.frame = new Int16Array(${FRAME_SAMPLES});
+        this.length = 0;
+      }
+    }
+    return true;
+  }
+}
+registerProcessor('pcm-capture', PcmCaptureProcessor);
+`;
+
+class VoskStreamService {
+  constructor() {
+    this.workletUrl = null;
+    this.session = null;
+  }
+
+  // Whether this runtime can stream at all (AudioWorklet and WebSocket)
+  isSupported() {
+    return typeof window !== 'undefined'
+      && typeof window.WebSocket === 'function'
+      && typeof window.AudioWorkletNode === 'function'
+      && !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+  }
+
+  getWorkletUrl() {
+    if (!this.workletUrl) {
+      this.workletUrl = URL.createObjectURL(new Blob([WORKLET_SOURCE], { type: 'application/javascript' }));
+    }
+    return this.workletUrl;
+  }
+
+  connect(url) {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(url);
+      ws.binaryType = 'arraybuffer';
+      const timer = setTimeout(() => {
+        try { ws.close(); } catch (e) { /* ignore */ }
+        reject(new Error(`VOSK stream did not connect within ${CONNECT_TIMEOUT_MS} ms`));
+      }, CONNECT_TIMEOUT_MS);
+      ws.onopen = () => { clearTimeout(timer); resolve(ws); };
+      ws.onerror = () => { clearTimeout(timer); reject(new Error(`VOSK stream connection to ${url} failed`)); };
+    });
+  }
+
+  // Open the microphone through the worklet. subscribe(fn) gets every frame (Int16Array)
+  // and returns the unsubscribe function; `samples` counts the samples captured so far.
+  // With bufferMs the most recent audio is kept in a ring buffer, and framesSince(sample)
+  // replays it from that sample position on.
+  async openMic({ deviceId, bufferMs = 0 } = {}) {
+    let stream = null;
+    let context = null;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: { ...(deviceId ? { deviceId: { exact: deviceId } } : {}), channelCount: 1, echoCancellation: true, noiseSuppression: true }
+      });
+      try {
+        // let the browser resample; the worklet averages down otherwise
+        context = new AudioContext({ sampleRate: TARGET_RATE });
+      } catch (e) {
+        context = new AudioContext();
+      }
+      await context.audioWorklet.addModule(this.getWorkletUrl());
+    } catch (err) {
+      if (stream) stream.getTracks().forEach(t => t.stop());
+      if (context) context.close().catch(() => {});
+      throw err;
+    }
+
+    const source = context.createMediaStreamSource(stream);
+    const node = new AudioWorkletNode(context, 'pcm-capture', { numberOfInputs: 1, numberOfOutputs: 0 });
+    source.connect(node);
+    const listeners = new Set();
+    const ring = [];
+    const ringFrames = Math.ceil(bufferMs / FRAME_MS);
+    const mic = {
+      samples: 0,
+      subscribe(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+      },
+      framesSince(sample) {
+        return ring
+          .filter(f => f.start + f.data.length > sample)
+          .map(f => (f.start >= sample ? f.data : f.data.subarray(sample - f.start)));
+      },
+      close() {
+        node.port.onmessage = null;
+        listeners.clear();
+        try { source.disconnect(); } catch (e) { /* ignore */ }
+        stream.getTracks().forEach(t => t.stop());
+        context.close().catch(() => {});
+      }
+    };
+    node.port.onmessage = (ev) => {
+      const data = new Int16Array(ev.data);
+      if (ringFrames) {
+        ring.push({ start: mic.samples, data });
+        if (ring.length > ringFrames) ring.shift();
+      }
+      mic.samples += data.length;
+      listeners.forEach(fn => fn(data));
+    };
+    return mic;
+  }
+
+  // Listen for one utterance. onPartial(text) gets the words recognized so far.
+  // Resolves to the final transcript: '' when nothing was said. Rejects when the server
+  // or microphone is unavailable, so callers can fall back to recordAudio +
+  // transcribeWithServer. Given the `mic` of a watch() and a `fromSample` position, the
+  // audio buffered since then is recognized first and the microphone is left open.
+  // onSpeaker(vector) gets the speaker's voice print when the server sends one.
+  async listen({ url = DEFAULT_STREAM_URL, deviceId, onPartial, onSpeaker, maxMs = 10000, mic = null, fromSample = null } = {}) {
+    if (!this.isSupported()) throw new Error('Streaming recognition is not supported here');
+    this.stop();
+
+    const ws = await this.connect(url);
+    let ownMic = null;
+    if (!mic) {
+      try {
+        ownMic = await this.openMic({ deviceId });
+      } catch (err) {
+        try { ws.close(); } catch (e) { /* ignore */ }
+        throw err;
+      }
+    }
+    const input = mic || ownMic;
+
+    return new Promise((resolve) => {
+      let lastPartial = '';
+      let finalTimer = null;
+      let unsubscribe = () => {};
+      const endpointer = createEndpointer({ maxMs });
+      const session = {};
+
+      const finish = (text) => {
+        if (this.session !== session) return;
+        this.session = null;
+        clearTimeout(session.maxTimer);
+        clearTimeout(finalTimer);
+        unsubscribe();
+        if (ownMic) ownMic.close();
+        try { ws.close(); } catch (e) { /* ignore */ }
+        resolve((text || '').trim());
+      };
+
+      // Ask the server for whatever it has; fall back to the last partial
+      session.finalize = () => {
+        if (finalTimer) return;
+        unsubscribe();
+        try { ws.send(JSON.stringify({ eof: 1 })); } catch (e) { finish(lastPartial); return; }
+        finalTimer = setTimeout(() => finish(lastPartial), FINAL_TIMEOUT_MS);
+      };
+      session.cancel = () => finish('');
+      this.session = session;
+
+      const onFrame = (frame) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(frame);
+        const state = endpointer.push(pcm16Rms(frame), (frame.length / TARGET_RATE) * 1000);
+        // VOSK may still hear words the level check missed on a quiet mic
+        if (state === 'no_speech' && !lastPartial) session.cancel();
+        else if (state === 'done' || state === 'no_speech') session.finalize();
+      };
+      ws.onmessage = (ev) => {
+        let msg;
+        try { msg = JSON.parse(ev.data); } catch (e) { return; }
+        if (msg.partial !== undefined && !finalTimer) {
+          if (msg.partial && msg.partial !== lastPartial) {
+            lastPartial = msg.partial;
+            if (onPartial) onPartial(msg.partial);
+          }
+          return;
+        }
+        if (msg.final) {
+          if (msg.spk && onSpeaker) onSpeaker(msg.spk);
+          // an empty endpoint after speech is just a pause; one before any speech is silence
+          if (msg.text || !lastPartial || finalTimer) finish(msg.text || lastPartial);
+        }
+      };
+      ws.onclose = () => finish(lastPartial);
+      ws.onerror = () => finish(lastPartial);
+      session.maxTimer = setTimeout(() => session.finalize(), maxMs);
+
+      const active = () => this.session === session && !finalTimer;
+      if (fromSample !== null) {
+        for (const frame of input.framesSince(fromSample)) {
+          if (!active()) break;
+          onFrame(frame);
+        }
+      }
+      if (active()) unsubscribe = input.subscribe(onFrame);
+    });
+  }
+
+  // Keep the microphone open and stream it without pause to a recognizer restricted to
+  // `grammar` (the wake words). onResult({ text, words, final }) gets every result, with
+  // word start/end times in seconds since the watch began: end * 16000 is a sample
+  // position of the returned mic. onClose() runs when the connection drops.
+  // Resolves to { mic, close }.
+  async watch({ url = DEFAULT_STREAM_URL, grammar = [], deviceId, bufferMs = 10000, onResult, onClose } = {}) {
+    if (!this.isSupported()) throw new Error('Streaming recognition is not supported here');
+    const query = `rate=${TARGET_RATE}&grammar=${encodeURIComponent(JSON.stringify(grammar))}`;
+    const ws = await this.connect(`${url}${url.includes('?') ? '&' : '?'}${query}`);
+    let mic;
+    try {
+      mic = await this.openMic({ deviceId, bufferMs });
+    } catch (err) {
+      try { ws.close(); } catch (e) { /* ignore */ }
+      throw err;
+    }
+
+    let closed = false;
+    const unsubscribe = mic.subscribe((frame) => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(frame);
+    });
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      unsubscribe();
+      mic.close();
+      try { ws.close(); } catch (e) { /* ignore */ }
+    };
+    ws.onmessage = (ev) => {
+      let msg;
+      try { msg = JSON.parse(ev.data); } catch (e) { return; }
+      if (!onResult) return;
+      if (msg.partial !== undefined) onResult({ text: msg.partial, words: msg.words || [], final: false });
+      else if (msg.final) onResult({ text: msg.text || '', words: msg.words || [], final: true });
+    };
+    ws.onclose = ws.onerror = () => {
+      if (closed) return;
+      close();
+      if (onClose) onClose();
+    };
+    return { mic, close };
+  }
+
+  // Stop listening now: the current listen() resolves with what was recognized so far
+  stop() {
+    if (this.session) this.session.finalize();
+  }
+
+  // Stop listening and drop the audio: the current listen() resolves with ''
+  cancel() {
+    if (this.session) this.session.cancel();
+  }
+}
+
+export const voskStreamService = new VoskStreamService();
+export { VoskStreamService };
@@ -1,5 +1,13 @@
 // wakeWordService: listens using Web Speech API for a wake word and notifies listeners
+import { voskStreamService } from './voskStreamService';
+
 const defaultWakeWords = ['calendar', 'календарь', 'календар'];
+// Continuous VOSK wake detection: audio kept for the question after the wake word, how
+// long a wake listener has to take it, and the pause before reconnecting a dropped stream
+const WAKE_BUFFER_MS = 10000;
+const WAKE_HANDOFF_MS = 3000;
+const WAKE_RECONNECT_MS = 3000;
+const WAKE_SAMPLE_RATE = 16000;
 // prefer lazy import of voiceSearchService for VOSK fallback
 let _voiceSearchService = null;
 const getVoiceSearchService = () => {
@@ -57,6 +65,11 @@ class WakeWordService {
     this._stoppedByUser = false;
     this._usingVoskFallback = false;
     this._voskLoopRunning = false;
+    // open continuous VOSK stream { mic, close }; while a question is being taken after
+    // a wake word further wakes are ignored, as are wake words before _resumeSample
+    this._voskWatcher = null;
+    this._wakeBusy = false;
+    this._resumeSample = 0;
     // Read persisted wake config (if any)
     try {
       const s = getStorage();
@@ -65,26 +78,53 @@ class WakeWordService {
         this._voskOnly = !!cfg.voskOnly;
         this._voskClipMs = Number(cfg.voskClipMs) || 1600;
         this._extraWakeWords = Array.isArray(cfg.extraWakeWords) ? cfg.extraWakeWords.slice() : [];
-        // allow a slightly more tolerant default on embedded devices
-        this._fuzzyTolerance = Number(cfg.fuzzyTolerance) || 2;
+        // built-in wake words switched off in the settings panel
+        this._disabledWakeWords = Array.isArray(cfg.disabledWakeWords) ? cfg.disabledWakeWords.slice() : [];
+        // allow a slightly more tolerant default on embedded devices (0: exact matches only)
+        this._fuzzyTolerance = Number.isFinite(Number(cfg.fuzzyTolerance)) ? Number(cfg.fuzzyTolerance) : 2;
       } else {
     this._voskOnly = false;
     this._voskClipMs = 1600; // slightly larger clip to capture full wake words
     this._extraWakeWords = [];
+    this._disabledWakeWords = [];
     this._fuzzyTolerance = 2; // Levenshtein tolerance (more tolerant by default)
       }
-      // merge extra wake words if present
-      if (this._extraWakeWords && this._extraWakeWords.length) {
-        this.wakeWords = Array.from(new Set([...this.wakeWords, ...this._extraWakeWords]));
-      }
+      this._applyWakeWords();
     } catch (e) {
   this._voskOnly = false;
   this._voskClipMs = 1600;
   this._extraWakeWords = [];
+  this._disabledWakeWords = [];
   this._fuzzyTolerance = 2;
     }
   }
 
+  // Built-in wake words plus the extra ones, minus the disabled ones
+  _applyWakeWords() {
+    const disabled = new Set(this._disabledWakeWords || []);
+    this.wakeWords = Array.from(new Set([...defaultWakeWords, ...(this._extraWakeWords || [])])).filter(w => !disabled.has(w));
+  }
+
+  _saveConfig() {
+    try {
+      const s = getStorage();
+      if (s && typeof s.saveWakeConfig === 'function') {
+        s.saveWakeConfig({
+          voskOnly: !!this._voskOnly,
+          voskClipMs: this._voskClipMs,
+          extraWakeWords: this._extraWakeWords,
+          disabledWakeWords: this._disabledWakeWords,
+          fuzzyTolerance: this._fuzzyTolerance
+        });
+      }
+    } catch (e) {}
+  }
+
+  // The wake word stream recognizes only the wake words; reopen it with the new list
+  _wakeWordsChanged() {
+    if (this._voskWatcher) this._voskWatcher.close();
+  }
+
   addWakeListener(cb) { this.wakeListeners.add(cb); }
   removeWakeListener(cb) { this.wakeListeners.delete(cb); }
   addStateListener(cb) { this.stateListeners.add(cb); }
@@ -132,21 +172,18 @@ class WakeWordService {
     } catch (e) {}
 
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!SpeechRecognition) {
-      console.warn('[wakeWord] SpeechRecognition API not available');
+    // If configured to use VOSK-only (or there is no SpeechRecognition), start the VOSK loop
+    if (this._voskOnly || !SpeechRecognition) {
+      if (!SpeechRecognition) console.warn('[wakeWord] SpeechRecognition API not available, using VOSK');
+      this._stoppedByUser = false;
+      this._usingVoskFallback = true;
+      this._startVoskFallbackLoop().catch(() => {});
       return;
     }
 
     try {
       this._starting = true;
       this._stoppedByUser = false;
-      // If configured to use VOSK-only, skip SpeechRecognition and start the VOSK loop
-      if (this._voskOnly) {
-        this._starting = false;
-        this._usingVoskFallback = true;
-        this._startVoskFallbackLoop().catch(() => {});
-        return;
-      }
 
       this.recognition = new SpeechRecognition();
       this.recognition.lang = this.lang;
@@ -171,34 +208,9 @@ class WakeWordService {
           }
         } catch (e) {}
 
-        if (text) {
-          try {
-            // Tokenize using Unicode letters so boundaries work for Cyrillic and other scripts
-            const tokens = (text.match(/\p{L}+/gu) || []).map(t => t.toLowerCase());
-            for (const w of this.wakeWords) {
-              try {
-                const wLower = (w || '').toLowerCase();
-                if (tokens.includes(wLower)) {
-                  this._emitWake({ word: w, text });
-                  break;
-                }
-              } catch (e) {}
-            }
-          } catch (e) {
-            // fallback to previous word-boundary regex for environments without Unicode support
-            for (const w of this.wakeWords) {
-              try {
-                const wLower = (w || '').toLowerCase();
-                const esc = wLower.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
-                const pattern = new RegExp('\\b' + esc + '\\b', 'i');
-                if (pattern.test(text)) {
-                  this._emitWake({ word: w, text });
-                  break;
-                }
-              } catch (e) {}
-            }
-          }
-        }
+        // the same matcher as the VOSK paths and the settings panel's test
+        const hit = text && this._matchWakeWord(text);
+        if (hit) this._emitWake({ word: hit.word, text });
       };
 
       this.recognition.onstart = () => { this._starting = false; this.listening = true; this._emitState(); };
@@ -256,13 +268,9 @@ class WakeWordService {
       }
       // stop any running VOSK fallback loop
       this._usingVoskFallback = false;
+      if (this._voskWatcher) this._voskWatcher.close();
       // persist current voskOnly setting
-      try {
-        const s = getStorage();
-        if (s && typeof s.saveWakeConfig === 'function') {
-          s.saveWakeConfig({ voskOnly: !!this._voskOnly, voskClipMs: this._voskClipMs, extraWakeWords: this._extraWakeWords, fuzzyTolerance: this._fuzzyTolerance });
-        }
-      } catch (e) {}
+      this._saveConfig();
     } catch (e) {}
     this.listening = false;
     this._emitState();
@@ -271,128 +279,219 @@ class WakeWordService {
   // Control API
   setVoskOnly(flag) {
     try { this._voskOnly = !!flag; } catch (e) {}
-    try {
-      const s = getStorage();
-      if (s && typeof s.saveWakeConfig === 'function') {
-        s.saveWakeConfig({ voskOnly: !!this._voskOnly, voskClipMs: this._voskClipMs, extraWakeWords: this._extraWakeWords, fuzzyTolerance: this._fuzzyTolerance });
-      }
-    } catch (e) {}
+    this._saveConfig();
     // if currently running, restart to apply change
     try {
       this.stop();
-      if (this._voskOnly) this._startVoskFallbackLoop().catch(() => {});
-      else this.start({ lang: this.lang, wakeWords: this.wakeWords });
+      this.start({ lang: this.lang, wakeWords: this.wakeWords });
     } catch (e) {}
   }
 
   setVoskClipMs(ms) {
     try { this._voskClipMs = Number(ms) || this._voskClipMs; } catch (e) {}
+    this._saveConfig();
   }
 
   addExtraWakeWords(words) {
     try {
       if (!Array.isArray(words)) words = [String(words)];
-      this._extraWakeWords = Array.from(new Set([...(this._extraWakeWords || []), ...words.map(w => String(w).toLowerCase())]));
-      this.wakeWords = Array.from(new Set([...this.wakeWords, ...this._extraWakeWords]));
-      const s = getStorage();
-      if (s && typeof s.saveWakeConfig === 'function') s.saveWakeConfig({ voskOnly: !!this._voskOnly, voskClipMs: this._voskClipMs, extraWakeWords: this._extraWakeWords, fuzzyTolerance: this._fuzzyTolerance });
+      const added = words.map(w => String(w).trim().toLowerCase()).filter(Boolean);
+      this._extraWakeWords = Array.from(new Set([...(this._extraWakeWords || []), ...added.filter(w => !defaultWakeWords.includes(w))]));
+      this._disabledWakeWords = (this._disabledWakeWords || []).filter(w => !added.includes(w));
+      this._applyWakeWords();
+      this._saveConfig();
+      this._wakeWordsChanged();
     } catch (e) {}
   }
 
+  // Stop listening for `word`: extra words are dropped, built-in ones disabled. The last
+  // remaining wake word cannot be removed.
+  removeWakeWord(word) {
+    const w = String(word || '').toLowerCase();
+    if (!this.wakeWords.includes(w) || this.wakeWords.length <= 1) return false;
+    if (defaultWakeWords.includes(w)) this._disabledWakeWords = Array.from(new Set([...(this._disabledWakeWords || []), w]));
+    else this._extraWakeWords = (this._extraWakeWords || []).filter(x => x !== w);
+    this._applyWakeWords();
+    this._saveConfig();
+    this._wakeWordsChanged();
+    return true;
+  }
+
   setFuzzyTolerance(n) {
     try { this._fuzzyTolerance = Math.max(0, Math.floor(Number(n) || 0)); } catch (e) {}
+    this._saveConfig();
+  }
+
+  // Current settings, for the wake word settings panel
+  getConfig() {
+    return {
+      wakeWords: this.wakeWords.slice(),
+      defaultWakeWords: defaultWakeWords.slice(),
+      voskOnly: !!this._voskOnly,
+      voskClipMs: this._voskClipMs,
+      fuzzyTolerance: this._fuzzyTolerance
+    };
   }
 
+  // Largest Levenshtein distance at which a heard word still counts as `wakeWord`: the
+  // fuzzy tolerance, scaled up for long words; a tolerance of 0 wants exact matches
+  _maxWakeDistance(wakeWord) {
+    if (!this._fuzzyTolerance) return 0;
+    return Math.max(this._fuzzyTolerance, Math.floor(wakeWord.length * 0.25));
+  }
+
+  // How `text` compares with every wake word: [{ word, token, distance, maxAllowed,
+  // triggered }], token being the heard word closest to the wake word
+  explainWakeMatch(text) {
+    const tokens = ((text || '').toString().toLowerCase().match(/\p{L}+/gu) || []);
+    return this.wakeWords.map(w => {
+      const wLower = (w || '').toLowerCase();
+      let token = '';
+      let distance = levenshtein('', wLower);
+      for (const tok of tokens) {
+        const d = levenshtein(tok, wLower);
+        if (d < distance) {
+          token = tok;
+          distance = d;
+        }
+      }
+      const maxAllowed = this._maxWakeDistance(wLower);
+      return { word: w, token, distance, maxAllowed, triggered: !!token && distance <= maxAllowed };
+    });
+  }
+
+  // The wake word in `text` ({ word, token, distance, ... } from explainWakeMatch), or null
+  _matchWakeWord(text) {
+    return this.explainWakeMatch(text).find(r => r.triggered) || null;
+  }
+
+  _log(msg) {
+    try { if (window && window.electronAPI && typeof window.electronAPI.rendererLog === 'function') window.electronAPI.rendererLog(msg); } catch (e) {}
+  }
+
+  // Local VOSK wake detection: a continuous stream when the server offers one, otherwise
+  // short clips recorded and uploaded one after another
   async _startVoskFallbackLoop() {
+    if (this._voskLoopRunning) return;
+    this._voskLoopRunning = true;
+    this._usingVoskFallback = true;
+    try {
+      if (voskStreamService.isSupported() && await this._runVoskWakeStream()) return;
+      await this._pollVoskClips();
+    } finally {
+      this._voskLoopRunning = false;
+    }
+  }
+
+  // One microphone stream fed without gaps to a VOSK recognizer that only knows the wake
+  // words, so a wake word is never cut in half by a clip boundary. The wake payload carries
+  // a `handoff` whose listen() recognizes the question from the audio buffered right after
+  // the wake word. Returns false when the stream cannot be opened at all.
+  async _runVoskWakeStream() {
+    let connectedOnce = false;
+    while (this._usingVoskFallback && !this._stoppedByUser) {
+      let dropped;
+      const closed = new Promise(resolve => { dropped = resolve; });
+      try {
+        const watcher = await voskStreamService.watch({
+          grammar: this.wakeWords,
+          bufferMs: WAKE_BUFFER_MS,
+          onResult: (result) => this._onVoskWakeResult(result),
+          onClose: dropped
+        });
+        this._voskWatcher = { mic: watcher.mic, close: () => { watcher.close(); dropped(); } };
+      } catch (err) {
+        this._log('[wakeWord] VOSK wake stream failed ' + ((err && err.message) || err));
+        if (!connectedOnce) return false;
+        await new Promise(r => setTimeout(r, WAKE_RECONNECT_MS));
+        continue;
+      }
+      connectedOnce = true;
+      this._wakeBusy = false;
+      this._resumeSample = 0;
+      this.listening = true;
+      this._emitState();
+      this._log('[wakeWord] VOSK wake stream open wakeWords=' + JSON.stringify(this.wakeWords.slice(0, 10)));
+      await closed;
+      this._voskWatcher = null;
+      this.listening = false;
+      this._emitState();
+      if (this._usingVoskFallback && !this._stoppedByUser) await new Promise(r => setTimeout(r, WAKE_RECONNECT_MS));
+    }
+    return true;
+  }
+
+  _onVoskWakeResult({ text, words, final }) {
+    const watcher = this._voskWatcher;
+    if (!watcher || this._wakeBusy) return;
+    const hit = this._matchWakeWord(text);
+    if (!hit) return;
+    const timed = (words || []).filter(w => typeof w.end === 'number' && this._matchWakeWord(w.word)).pop();
+    // partials from a VOSK without SetPartialWords have no times: wait for the final result
+    if (!timed && !final) return;
+    const fromSample = timed ? Math.round(timed.end * WAKE_SAMPLE_RATE) : watcher.mic.samples;
+    // said during the previous question, or a final repeating a partial already handled
+    if (fromSample <= this._resumeSample) return;
+
+    this._wakeBusy = true;
+    let claimed = false;
+    const release = () => {
+      this._wakeBusy = false;
+      if (this._voskWatcher === watcher) this._resumeSample = watcher.mic.samples;
+    };
+    const handoff = {
+      listen: (opts = {}) => {
+        if (claimed) return Promise.reject(new Error('The audio after the wake word was already taken'));
+        claimed = true;
+        return voskStreamService.listen({ ...opts, mic: watcher.mic, fromSample }).finally(release);
+      }
+    };
+    this._log('[wakeWord] VOSK stream matched ' + hit.word + ' text=' + text);
+    this._emitWake({ word: hit.word, text, source: 'vosk-stream', handoff });
+    // nobody took the audio: go back to listening for the wake word
+    setTimeout(() => { if (!claimed) release(); }, WAKE_HANDOFF_MS);
+  }
+
+  async _pollVoskClips() {
     const svc = getVoiceSearchService();
     if (!svc || typeof svc.recordAudio !== 'function' || typeof svc.transcribeWithServer !== 'function') {
-      try { window && window.electronAPI && typeof window.electronAPI.rendererLog === 'function' && window.electronAPI.rendererLog('[wakeWord] VOSK fallback not available'); } catch (e) {}
+      this._log('[wakeWord] VOSK fallback not available');
       return;
     }
-    this._voskLoopRunning = true;
-    this._usingVoskFallback = true;
     try {
       const msg = '[wakeWord] starting VOSK fallback loop voskClipMs=' + this._voskClipMs + ' wakeWords=' + JSON.stringify(this.wakeWords.slice(0,10));
       console.debug(msg);
-      if (window && window.electronAPI && typeof window.electronAPI.rendererLog === 'function') window.electronAPI.rendererLog(msg);
+      this._log(msg);
     } catch (e) {}
-    try {
-      while (this._usingVoskFallback && !this._stoppedByUser) {
+    while (this._usingVoskFallback && !this._stoppedByUser) {
+      try {
+        // record a short clip to check for wake word
+        const blob = await svc.recordAudio({ ms: this._voskClipMs });
+        // try local VOSK server
+        let txt = '';
         try {
-          // record a short clip (1.2s) to check for wake word
-          const blob = await svc.recordAudio({ ms: this._voskClipMs });
-          // try local VOSK server
-          let txt = '';
-          try {
-            txt = await svc.transcribeWithServer(blob);
-          } catch (transErr) {
-            try { window && window.electronAPI && typeof window.electronAPI.rendererLog === 'function' && window.electronAPI.rendererLog('[wakeWord] VOSK transcribe failed ' + (transErr && transErr.message || transErr)); } catch (e) {}
-          }
-          if (txt) {
-            try { if (window && window.electronAPI && typeof window.electronAPI.rendererLog === 'function') window.electronAPI.rendererLog('[wakeWord] VOSK onresult text=' + txt); } catch (e) {}
-            const text = (txt || '').toString().toLowerCase();
-            // Tokenize (Unicode-aware) and perform exact + fuzzy matching
-            let matched = false;
-            try {
-              const tokens = (text.match(/\p{L}+/gu) || []).map(t => t.toLowerCase());
-              for (const w of this.wakeWords) {
-                try {
-                  const wLower = (w || '').toLowerCase();
-                  // exact token match
-                  if (tokens.includes(wLower)) {
-                    this._emitWake({ word: w, text });
-                    matched = true;
-                    break;
-                  }
-                  // fuzzy match: check tokens against wake word using Levenshtein distance
-                  for (const tok of tokens) {
-                    try {
-                      const d = levenshtein(tok, wLower);
-                      // tolerance: use configured fuzzy tolerance, but scale for short words
-                      const tol = this._fuzzyTolerance || 1;
-                      const maxAllowed = Math.max(tol, Math.floor(wLower.length * 0.25));
-                      if (d <= maxAllowed) {
-                        this._emitWake({ word: w, text });
-                        matched = true;
-                        break;
-                      }
-                    } catch (e) {}
-                  }
-                  if (matched) break;
-                } catch (e) {}
-              }
-            } catch (e) {
-              // fallback regex-based matching
-              for (const w of this.wakeWords) {
-                try {
-                  const esc = (w || '').toLowerCase().replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
-                  const pattern = new RegExp('\\b' + esc + '\\b', 'i');
-                  if (pattern.test(text)) {
-                    this._emitWake({ word: w, text });
-                    matched = true;
-                    break;
-                  }
-                } catch (e) {}
-              }
-            }
-            if (matched) {
-              // after a successful wake, wait a short cooldown before continuing
-              try { if (window && window.electronAPI && typeof window.electronAPI.rendererLog === 'function') window.electronAPI.rendererLog('[wakeWord] matched word, text=' + text); } catch (e) {}
-              await new Promise(r => setTimeout(r, 1200));
-            }
-          } else {
-            try { if (window && window.electronAPI && typeof window.electronAPI.rendererLog === 'function') window.electronAPI.rendererLog('[wakeWord] VOSK onresult empty'); } catch (e) {}
-          }
+          txt = await svc.transcribeWithServer(blob);
+        } catch (transErr) {
+          this._log('[wakeWord] VOSK transcribe failed ' + ((transErr && transErr.message) || transErr));
+        }
+        if (txt) {
+          this._log('[wakeWord] VOSK onresult text=' + txt);
+          const text = (txt || '').toString().toLowerCase();
+          const hit = this._matchWakeWord(text);
+          if (hit) {
+            this._emitWake({ word: hit.word, text });
+            // after a successful wake, wait a short cooldown before continuing
+            this._log('[wakeWord] matched word, text=' + text);
+            await new Promise(r => setTimeout(r, 1200));
           }
-        } catch (recErr) {
-          try { window && window.electronAPI && typeof window.electronAPI.rendererLog === 'function' && window.electronAPI.rendererLog('[wakeWord] VOSK record error ' + (recErr && recErr.message || recErr)); } catch (e) {}
+        } else {
+          this._log('[wakeWord] VOSK onresult empty');
         }
-        // small pause between polls
-        await new Promise(r => setTimeout(r, 300));
+      } catch (recErr) {
+        this._log('[wakeWord] VOSK record error ' + ((recErr && recErr.message) || recErr));
       }
-    } finally {
-      this._voskLoopRunning = false;
-      this._usingVoskFallback = false;
+      // small pause between polls
+      await new Promise(r => setTimeout(r, 300));
     }
   }
 }
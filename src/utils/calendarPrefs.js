@@ -0,0 +1,65 @@
+// Display preferences for the calendar legend: which accounts/calendars are shown and
+// their custom colors. Persisted as one object by storageUtils.saveCalendarPrefs:
+// { [accountId]: { hidden, color, calendars: { [calendarId]: { hidden, color, member } } } }
+// (member: the calendar gets its own column in the people view, see utils/people)
+
+// Default colors matching the .event-account-N classes in CalendarView.css
+export const ACCOUNT_COLORS = ['#4CAF50', '#2196F3', '#FF9800', '#9C27B0', '#F44336', '#607D8B'];
+
+export function getAccountPref(prefs, accountId) {
+  return (prefs && prefs[accountId]) || {};
+}
+
+export function getCalendarPref(prefs, accountId, calendarId) {
+  const account = getAccountPref(prefs, accountId);
+  return (account.calendars && account.calendars[calendarId]) || {};
+}
+
+export function isEventVisible(event, prefs) {
+  if (!prefs || !event) return true;
+  if (getAccountPref(prefs, event.accountId).hidden) return false;
+  return !getCalendarPref(prefs, event.accountId, event.calendarId).hidden;
+}
+
+// Custom color for an event (calendar color wins over account color), or null to
+// keep the default per-account class
+export function getEventColor(event, prefs) {
+  if (!prefs || !event) return null;
+  return getCalendarPref(prefs, event.accountId, event.calendarId).color
+    || getAccountPref(prefs, event.accountId).color
+    || null;
+}
+
+// Darken (#rrggbb, amount < 0) or lighten (amount > 0) a hex color
+function shade(hex, amount) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!m) return hex;
+  const n = parseInt(m[1], 16);
+  const channel = (shift) => {
+    const c = (n >> shift) & 0xff;
+    const v = amount < 0 ? c * (1 + amount) : c + (255 - c) * amount;
+    return Math.round(Math.min(255, Math.max(0, v))).toString(16).padStart(2, '0');
+  };
+  return `#${channel(16)}${channel(8)}${channel(0)}`;
+}
+
+// Inline style overriding the .event-account-N colors, or undefined when not customised
+export function eventColorStyle(event, prefs) {
+  const color = getEventColor(event, prefs);
+  if (!color) return undefined;
+  return {
+    background: `linear-gradient(135deg, ${color}, ${shade(color, -0.1)})`,
+    borderLeftColor: shade(color, -0.3)
+  };
+}
+
+export function updateAccountPref(prefs, accountId, patch) {
+  const account = getAccountPref(prefs, accountId);
+  return { ...prefs, [accountId]: { ...account, ...patch } };
+}
+
+export function updateCalendarPref(prefs, accountId, calendarId, patch) {
+  const account = getAccountPref(prefs, accountId);
+  const calendars = { ...(account.calendars || {}), [calendarId]: { ...getCalendarPref(prefs, accountId, calendarId), ...patch } };
+  return { ...prefs, [accountId]: { ...account, calendars } };
+}
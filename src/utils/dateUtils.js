@@ -17,11 +17,12 @@ function tryParseDate(d) {
   return null;
 }
 
-export function safeFormat(d, fmt, fallback = '') {
+// `options` is passed to date-fns format (e.g. { locale })
+export function safeFormat(d, fmt, fallback = '', options) {
   const dt = tryParseDate(d);
   if (!dt) return fallback;
   try {
-    return dfFormat(dt, fmt);
+    return dfFormat(dt, fmt, options);
   } catch (err) {
     return fallback;
   }
@@ -0,0 +1,123 @@
+// Layout engines for the calendar views: timed events in DayView and WeekView, and
+// multi-day bars in MonthView.
+import { startOfDay, endOfDay, differenceInCalendarDays } from 'date-fns';
+
+export const MINUTES_PER_DAY = 24 * 60;
+// Very short events still get room for a line of text and are laid out as if this long
+export const MIN_EVENT_MINUTES = 20;
+
+// Lay out the timed events overlapping `day`.
+// Events are split into collision groups (events that overlap each other, directly or
+// through a chain). Inside a group every event gets the first column that is free at
+// its start, and then widens to the right across columns that stay free for its whole
+// duration. Positions are exact minutes, so a 9:40-11:15 event starts 40 minutes into
+// the 9:00 row and spans into the 11:00 row.
+// Returns [{ event, top, height, left, width, column, columns }]: top/height in minutes
+// from the start of the day (clamped to the day), left/width as fractions of the day column.
+export function layoutDayEvents(events, day) {
+  const dayStart = startOfDay(day);
+  const dayEnd = endOfDay(day);
+
+  const items = [];
+  for (const event of events || []) {
+    if (event.allDay || !event.parsedStart) continue;
+    const end = event.parsedEnd || event.parsedStart;
+    // an event ending at midnight does not reach into the day that starts then
+    if (event.parsedStart > dayEnd || (end <= dayStart && event.parsedStart < dayStart)) continue;
+    const top = Math.max(0, (event.parsedStart - dayStart) / 60000);
+    const bottom = Math.min(MINUTES_PER_DAY, (end - dayStart) / 60000);
+    const shown = Math.max(bottom, Math.min(MINUTES_PER_DAY, top + MIN_EVENT_MINUTES));
+    items.push({ event, top, bottom: shown, height: shown - top });
+  }
+  // earlier first; on a tie the longer event takes the leftmost column
+  items.sort((a, b) => (a.top - b.top) || (b.bottom - a.bottom));
+
+  const result = [];
+  let group = [];
+  let groupEnd = -1;
+  const flush = () => {
+    if (group.length) result.push(...layoutGroup(group));
+    group = [];
+    groupEnd = -1;
+  };
+  for (const item of items) {
+    if (item.top >= groupEnd) flush();
+    group.push(item);
+    groupEnd = Math.max(groupEnd, item.bottom);
+  }
+  flush();
+  return result;
+}
+
+function overlaps(a, b) {
+  return a.top < b.bottom && b.top < a.bottom;
+}
+
+function layoutGroup(group) {
+  // columns[i] = items placed in column i
+  const columns = [];
+  for (const item of group) {
+    let index = columns.findIndex(col => col[col.length - 1].bottom <= item.top);
+    if (index === -1) {
+      index = columns.length;
+      columns.push([]);
+    }
+    columns[index].push(item);
+    item.column = index;
+  }
+
+  const count = columns.length;
+  return group.map(item => {
+    // widen into following columns while nothing there overlaps this event
+    let span = 1;
+    for (let c = item.column + 1; c < count; c++) {
+      if (columns[c].some(other => overlaps(item, other))) break;
+      span++;
+    }
+    return {
+      event: item.event,
+      top: item.top,
+      height: item.height,
+      left: item.column / count,
+      width: span / count,
+      column: item.column,
+      columns: count
+    };
+  });
+}
+
+// Lane assignment for the month grid: `dayCount` days starting at `gridStart`.
+// Every event (all-day, multi-day or timed) becomes a bar over the day indexes it
+// covers, clamped to the grid. Lanes are assigned once for the whole grid, earlier and
+// longer bars first, so a trip keeps its lane when it wraps into the next week row.
+// Returns [{ event, startIndex, endIndex, lane }].
+export function layoutMonthLanes(events, gridStart, dayCount) {
+  const first = startOfDay(gridStart);
+  const items = [];
+  for (const event of events || []) {
+    if (!event.parsedStart) continue;
+    const start = event.parsedStart;
+    const rawEnd = event.parsedEnd && event.parsedEnd > start ? event.parsedEnd : start;
+    // end dates are exclusive: an event ending at midnight does not cover that day
+    const end = rawEnd > start ? new Date(rawEnd.getTime() - 1) : start;
+    const startIndex = Math.max(0, differenceInCalendarDays(start, first));
+    const endIndex = Math.min(dayCount - 1, differenceInCalendarDays(end, first));
+    if (endIndex < 0 || startIndex > dayCount - 1) continue;
+    items.push({ event, startIndex, endIndex });
+  }
+  items.sort((a, b) =>
+    (a.startIndex - b.startIndex)
+    || ((b.endIndex - b.startIndex) - (a.endIndex - a.startIndex))
+    || ((b.event.allDay ? 1 : 0) - (a.event.allDay ? 1 : 0))
+    || (a.event.parsedStart - b.event.parsedStart));
+
+  // laneEnds[i] = last day index taken in lane i
+  const laneEnds = [];
+  for (const item of items) {
+    let lane = laneEnds.findIndex(end => end < item.startIndex);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = item.endIndex;
+    item.lane = lane;
+  }
+  return items;
+}
@@ -0,0 +1,74 @@
+import { layoutDayEvents, MIN_EVENT_MINUTES } from './eventLayout';
+
+const DAY = new Date(2026, 9, 14);
+const at = (h, m = 0, day = 14) => new Date(2026, 9, day, h, m);
+const timed = (id, start, end) => ({ id, parsedStart: start, parsedEnd: end });
+
+// id -> [column, columns, left, width] for the laid out events
+const placement = (events) => Object.fromEntries(layoutDayEvents(events, DAY)
+  .map(item => [item.event.id, [item.column, item.columns, item.left, item.width]]));
+
+describe('layoutDayEvents', () => {
+  test('an event on its own takes the whole column', () => {
+    expect(placement([timed('a', at(9), at(10))])).toEqual({ a: [0, 1, 0, 1] });
+  });
+
+  test('overlapping events share the column side by side', () => {
+    expect(placement([timed('a', at(9), at(10)), timed('b', at(9, 30), at(11))])).toEqual({
+      a: [0, 2, 0, 0.5],
+      b: [1, 2, 0.5, 0.5]
+    });
+  });
+
+  test('an event starting when another ends reuses its column', () => {
+    expect(placement([timed('a', at(9), at(10)), timed('b', at(9, 30), at(11)), timed('c', at(10), at(11))])).toEqual({
+      a: [0, 2, 0, 0.5],
+      b: [1, 2, 0.5, 0.5],
+      c: [0, 2, 0, 0.5]
+    });
+  });
+
+  test('an event widens into columns that stay free', () => {
+    const result = placement([
+      timed('a', at(9), at(11)),
+      timed('b', at(9), at(10)),
+      timed('c', at(9), at(9, 30)),
+      timed('d', at(10), at(11))
+    ]);
+    expect(result.d).toEqual([1, 3, 1 / 3, 2 / 3]);
+    expect(result.c).toEqual([2, 3, 2 / 3, 1 / 3]);
+  });
+
+  test('separate collision groups are laid out independently', () => {
+    expect(placement([timed('a', at(9), at(10)), timed('b', at(9), at(10)), timed('c', at(12), at(13))]).c).toEqual([0, 1, 0, 1]);
+  });
+
+  test('on a tie the longer event takes the leftmost column', () => {
+    expect(placement([timed('short', at(9), at(9, 30)), timed('long', at(9), at(12))])).toEqual({
+      long: [0, 2, 0, 0.5],
+      short: [1, 2, 0.5, 0.5]
+    });
+  });
+
+  test('positions are exact minutes clamped to the day', () => {
+    const [item] = layoutDayEvents([timed('a', at(9, 40), at(11, 15))], DAY);
+    expect([item.top, item.height]).toEqual([580, 95]);
+    const [overnight] = layoutDayEvents([timed('b', at(22, 0, 13), at(2))], DAY);
+    expect([overnight.top, overnight.height]).toEqual([0, 120]);
+  });
+
+  test('very short events get the minimum height', () => {
+    const [item] = layoutDayEvents([timed('a', at(9), at(9, 5))], DAY);
+    expect(item.height).toBe(MIN_EVENT_MINUTES);
+  });
+
+  test('events that only touch midnight stay on their own day; all-day events are skipped', () => {
+    const result = placement([
+      timed('ends-at-midnight', at(22, 0, 13), at(0)),
+      timed('starts-at-next-midnight', at(0, 0, 15), at(1, 0, 15)),
+      timed('zero-length-at-midnight', at(0), at(0)),
+      { ...timed('all-day', at(0), at(0, 0, 15)), allDay: true }
+    ]);
+    expect(Object.keys(result)).toEqual(['zero-length-at-midnight']);
+  });
+});
@@ -0,0 +1,78 @@
+// Free/busy arithmetic for the find-a-time flow. Intervals are { start, end } Dates.
+import { addDays, addMinutes, startOfDay } from 'date-fns';
+
+// All-day events only block the day when they say so; holidays, birthdays and other
+// informational all-day entries do not
+const BLOCKING_ALL_DAY_RE = /vacation|out of office|unavailable|busy|blocked|отпуск|командировк|занят|недоступ|больнич/i;
+
+// Proposed start times are aligned to this many minutes
+const ALIGN_MINUTES = 15;
+
+// Busy intervals of the given accounts, sorted and merged. Events marked "free"
+// (transparency: transparent) and events the account declined do not count.
+export function busyIntervals(events, accountIds) {
+  const ids = new Set(accountIds);
+  const intervals = [];
+  for (const event of events || []) {
+    if (!ids.has(event.accountId) || !event.parsedStart) continue;
+    if (event.transparency === 'transparent') continue;
+    const self = (event.attendees || []).find(a => a.self);
+    if (self && self.responseStatus === 'declined') continue;
+    if (event.allDay && !BLOCKING_ALL_DAY_RE.test(`${event.summary || ''} ${event.description || ''}`)) continue;
+    intervals.push({ start: event.parsedStart, end: event.parsedEnd || event.parsedStart });
+  }
+  return mergeIntervals(intervals);
+}
+
+export function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) last.end = interval.end;
+    } else {
+      merged.push({ start: interval.start, end: interval.end });
+    }
+  }
+  return merged;
+}
+
+// Gaps between `busy` inside the daily window ({ from: 'HH:mm', to: 'HH:mm' }) of every
+// day from rangeStart to rangeEnd
+export function freeIntervals(busy, rangeStart, rangeEnd, window) {
+  const [fromH, fromM] = window.from.split(':').map(Number);
+  const [toH, toM] = window.to.split(':').map(Number);
+  const free = [];
+  for (let day = startOfDay(rangeStart); day <= rangeEnd; day = addDays(day, 1)) {
+    let cursor = new Date(Math.max(addMinutes(day, fromH * 60 + fromM), rangeStart));
+    const dayEnd = new Date(Math.min(addMinutes(day, toH * 60 + toM), rangeEnd));
+    for (const interval of busy) {
+      if (interval.end <= cursor) continue;
+      if (interval.start >= dayEnd) break;
+      if (interval.start > cursor) free.push({ start: cursor, end: interval.start });
+      cursor = interval.end;
+    }
+    if (cursor < dayEnd) free.push({ start: cursor, end: dayEnd });
+  }
+  return free;
+}
+
+// Candidate slots of `durationMinutes` inside the free intervals, earliest first: the
+// start of each gap (aligned), then every `stepMinutes` while the slot still fits,
+// at most `perInterval` per gap and `max` overall
+export function candidateSlots(free, durationMinutes, { stepMinutes = 60, perInterval = 6, max = 40 } = {}) {
+  const slots = [];
+  const alignMs = ALIGN_MINUTES * 60 * 1000;
+  for (const interval of free) {
+    let start = new Date(Math.ceil(interval.start.getTime() / alignMs) * alignMs);
+    for (let i = 0; i < perInterval; i++) {
+      const end = addMinutes(start, durationMinutes);
+      if (end > interval.end) break;
+      slots.push({ start, end });
+      if (slots.length >= max) return slots;
+      start = addMinutes(start, stepMinutes);
+    }
+  }
+  return slots;
+}
@@ -0,0 +1,94 @@
+import { busyIntervals, mergeIntervals, freeIntervals, candidateSlots } from './freeBusy';
+
+const at = (day, h, m = 0) => new Date(2026, 9, day, h, m);
+const span = (start, end) => ({ start, end });
+const WINDOW = { from: '08:00', to: '21:00' };
+// [start 'd HH:mm', end 'd HH:mm'] for readable expectations
+const show = (intervals) => intervals.map(({ start, end }) =>
+  [start, end].map(d => `${d.getDate()} ${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`));
+
+describe('busyIntervals', () => {
+  const event = (fields) => ({ accountId: 'a', parsedStart: at(14, 9), parsedEnd: at(14, 10), ...fields });
+
+  test.each([
+    ['a timed event', event(), 1],
+    ['another account', event({ accountId: 'b' }), 0],
+    ['marked free', event({ transparency: 'transparent' }), 0],
+    ['declined', event({ attendees: [{ self: true, responseStatus: 'declined' }] }), 0],
+    ['accepted', event({ attendees: [{ self: true, responseStatus: 'accepted' }] }), 1],
+    ['an informational all-day event', event({ allDay: true, summary: 'Birthday' }), 0],
+    ['a blocking all-day event', event({ allDay: true, summary: 'Отпуск' }), 1]
+  ])('%s', (name, ev, count) => {
+    expect(busyIntervals([ev], ['a'])).toHaveLength(count);
+  });
+});
+
+describe('mergeIntervals', () => {
+  test('merges overlapping and touching intervals, in order', () => {
+    const merged = mergeIntervals([
+      span(at(14, 13), at(14, 14)),
+      span(at(14, 9), at(14, 10)),
+      span(at(14, 9, 30), at(14, 11)),
+      span(at(14, 11), at(14, 12))
+    ]);
+    expect(show(merged)).toEqual([['14 09:00', '14 12:00'], ['14 13:00', '14 14:00']]);
+  });
+});
+
+describe('freeIntervals', () => {
+  test('no busy time leaves the whole window of every day', () => {
+    expect(show(freeIntervals([], at(14, 0), at(15, 23, 59), WINDOW))).toEqual([
+      ['14 08:00', '14 21:00'],
+      ['15 08:00', '15 21:00']
+    ]);
+  });
+
+  test('busy time splits the window and clips at its edges', () => {
+    const busy = [span(at(14, 7), at(14, 9)), span(at(14, 12), at(14, 13)), span(at(14, 20), at(14, 22))];
+    expect(show(freeIntervals(busy, at(14, 0), at(14, 23, 59), WINDOW))).toEqual([
+      ['14 09:00', '14 12:00'],
+      ['14 13:00', '14 20:00']
+    ]);
+  });
+
+  test('an event across midnight blocks the start of the next day', () => {
+    const busy = [span(at(14, 19), at(15, 10))];
+    expect(show(freeIntervals(busy, at(14, 0), at(15, 23, 59), WINDOW))).toEqual([
+      ['14 08:00', '14 19:00'],
+      ['15 10:00', '15 21:00']
+    ]);
+  });
+
+  test('the range can start and end mid-day', () => {
+    expect(show(freeIntervals([], at(14, 15, 20), at(15, 11), WINDOW))).toEqual([
+      ['14 15:20', '14 21:00'],
+      ['15 08:00', '15 11:00']
+    ]);
+  });
+
+  test('a day that is busy throughout has no free time', () => {
+    expect(freeIntervals([span(at(14, 0), at(15, 0))], at(14, 0), at(14, 23, 59), WINDOW)).toEqual([]);
+  });
+});
+
+describe('candidateSlots', () => {
+  test('starts are aligned to the quarter hour and slots must fit', () => {
+    const slots = candidateSlots([span(at(14, 9, 7), at(14, 11, 30))], 60);
+    expect(show(slots)).toEqual([['14 09:15', '14 10:15'], ['14 10:15', '14 11:15']]);
+  });
+
+  test('a gap shorter than the meeting gives nothing', () => {
+    expect(candidateSlots([span(at(14, 9), at(14, 9, 45))], 60)).toEqual([]);
+  });
+
+  test('perInterval and max limit the slots', () => {
+    const free = [span(at(14, 8), at(14, 21)), span(at(15, 8), at(15, 21))];
+    expect(candidateSlots(free, 30, { perInterval: 2 })).toHaveLength(4);
+    expect(show(candidateSlots(free, 30, { perInterval: 3, max: 4 }))).toEqual([
+      ['14 08:00', '14 08:30'],
+      ['14 09:00', '14 09:30'],
+      ['14 10:00', '14 10:30'],
+      ['15 08:00', '15 08:30']
+    ]);
+  });
+});
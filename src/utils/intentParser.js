@@ -0,0 +1,531 @@
+// Offline RU/EN grammar for calendar questions. parseQuery returns the same shape as
+// geminiService.interpretQuery ({ startDate, endDate, scope, keywords_en, keywords_ru,
+// notes }) plus startTime/endTime ('HH:mm' or null) and people (account ids), so voice
+// questions keep working without Gemini. Understood: today/tomorrow, weekday names
+// ("в следующую субботу", "next friday"), "через N дней" / "in N days", dates with and
+// without a month ("15 марта", "the fifth"), weeks, weekends and months, time ranges
+// ("с 10 до 12", "after 6 pm", "вечером") and person aliases. Whatever is left is used
+// as keywords ("стоматолог", "football").
+import {
+  addDays, addMonths, addWeeks, endOfMonth, endOfWeek, getDay, startOfDay,
+  startOfMonth, startOfWeek
+} from 'date-fns';
+import { safeFormat } from './dateUtils';
+
+const WEEK = { weekStartsOn: 1 };
+
+// Number words: [cardinal forms, ordinal stem (null: none), value]
+const RU_NUMBERS = [
+  ['ноль|нуля', null, 0],
+  ['один|одна|одно|одного|одной|одному|одну', 'перв', 1],
+  ['два|две|двух|двум', 'втор', 2],
+  ['три|трех|трем', 'трет', 3],
+  ['четыре|четырех|четырем', 'четверт', 4],
+  ['пять|пяти', 'пят', 5],
+  ['шесть|шести', 'шест', 6],
+  ['семь|семи', 'седьм', 7],
+  ['восемь|восьми', 'восьм', 8],
+  ['девять|девяти', 'девят', 9],
+  ['десять|десяти', 'десят', 10],
+  ['одиннадцать|одиннадцати', 'одиннадцат', 11],
+  ['двенадцать|двенадцати', 'двенадцат', 12],
+  ['тринадцать|тринадцати', 'тринадцат', 13],
+  ['четырнадцать|четырнадцати', 'четырнадцат', 14],
+  ['пятнадцать|пятнадцати', 'пятнадцат', 15],
+  ['шестнадцать|шестнадцати', 'шестнадцат', 16],
+  ['семнадцать|семнадцати', 'семнадцат', 17],
+  ['восемнадцать|восемнадцати', 'восемнадцат', 18],
+  ['девятнадцать|девятнадцати', 'девятнадцат', 19],
+  ['двадцать|двадцати', 'двадцат', 20],
+  ['тридцать|тридцати', 'тридцат', 30],
+  ['сорок|сорока', null, 40],
+  ['пятьдесят|пятидесяти', null, 50]
+];
+const RU_ORDINAL_END = '(ый|ой|ий|ое|ого|ому|ая|ую|ье|ьего|ьему|ья|ью)';
+const EN_NUMBERS = [
+  ['zero', null, 0], ['one', 'first', 1], ['two', 'second', 2], ['three', 'third', 3],
+  ['four', 'fourth', 4], ['five', 'fifth', 5], ['six', 'sixth', 6], ['seven', 'seventh', 7],
+  ['eight', 'eighth', 8], ['nine', 'ninth', 9], ['ten', 'tenth', 10], ['eleven', 'eleventh', 11],
+  ['twelve', 'twelfth', 12], ['thirteen', 'thirteenth', 13], ['fourteen', 'fourteenth', 14],
+  ['fifteen', 'fifteenth', 15], ['sixteen', 'sixteenth', 16], ['seventeen', 'seventeenth', 17],
+  ['eighteen', 'eighteenth', 18], ['nineteen', 'nineteenth', 19], ['twenty', 'twentieth', 20],
+  ['thirty', 'thirtieth', 30], ['forty', null, 40], ['fifty', null, 50]
+];
+const NUMBER_WORDS = [
+  ...RU_NUMBERS.map(([cardinal, ordinal, value]) => ({
+    cardinal: new RegExp(`^(${cardinal})$`),
+    ordinal: ordinal && new RegExp(`^${ordinal}${RU_ORDINAL_END}$`),
+    value
+  })),
+  ...EN_NUMBERS.map(([cardinal, ordinal, value]) => ({
+    cardinal: new RegExp(`^${cardinal}$`),
+    ordinal: ordinal && new RegExp(`^${ordinal}$`),
+    value
+  }))
+];
+// "15th", "15го" and the suffix token left by "15-го"
+const DIGITS_RE = /^(\d{1,4})(st|nd|rd|th|е|го|ое|ого|ый|ий)?$/;
+const ORDINAL_SUFFIX_RE = /^(st|nd|rd|th|е|го|ое|ого|ый|ий)$/;
+const CLOCK_RE = /^(\d{1,2}):(\d{2})$/;
+
+// getDay() numbers
+const WEEKDAYS = [
+  [/^воскресень/, 0], [/^понедельник/, 1], [/^вторник/, 2], [/^сред[аеуы]$/, 3],
+  [/^четверг/, 4], [/^пятниц/, 5], [/^суббот/, 6],
+  [/^sundays?$/, 0], [/^mondays?$/, 1], [/^tuesdays?$/, 2], [/^wednesdays?$/, 3],
+  [/^thursdays?$/, 4], [/^fridays?$/, 5], [/^saturdays?$/, 6]
+];
+const MONTHS = [
+  [/^январ/, 0], [/^феврал/, 1], [/^март/, 2], [/^апрел/, 3], [/^ма[йяе]$/, 4], [/^июн/, 5],
+  [/^июл/, 6], [/^август/, 7], [/^сентябр/, 8], [/^октябр/, 9], [/^ноябр/, 10], [/^декабр/, 11],
+  [/^january$/, 0], [/^february$/, 1], [/^march$/, 2], [/^april$/, 3], [/^may$/, 4], [/^june$/, 5],
+  [/^july$/, 6], [/^august$/, 7], [/^september$/, 8], [/^october$/, 9], [/^november$/, 10], [/^december$/, 11]
+];
+const NEXT_RE = /^(next|следующ\S*|ближайш\S*)$/;
+const THIS_RE = /^(this|эт(от|а|у|ой|ом)|текущ\S*)$/;
+const LAST_RE = /^(last|previous|прошл\S*|предыдущ\S*)$/;
+const WEEK_RE = /^(week|недел[еяию])$/;
+const MONTH_RE = /^(month|месяц[еау]?)$/;
+const WEEKEND_RE = /^(weekend|выходн(ые|ых|ым))$/;
+const IN_RE = /^(через|in)$/;
+const DAY_UNIT_RE = /^(день|дня|дней|days?)$/;
+const WEEK_UNIT_RE = /^(неделю|недели|недель|weeks?)$/;
+const MONTH_UNIT_RE = /^(месяц|месяца|месяцев|months?)$/;
+
+// Parts of the day
+const DAY_PARTS = [
+  [/^(утром|утро|morning)$/, '06:00', '12:00'],
+  [/^(днем|afternoon)$/, '12:00', '18:00'],
+  [/^(вечером|вечер|evening|tonight)$/, '18:00', '23:59']
+];
+const FROM_RE = /^(с|со|from|between)$/;
+const TO_RE = /^(до|по|to|and|till|until)$/;
+const AFTER_RE = /^(после|after)$/;
+const BEFORE_RE = /^(до|before)$/;
+const AT_RE = /^(в|во|at)$/;
+const PM_RE = /^(pm|вечера|дня)$/;
+const AM_RE = /^(am|утра|ночи)$/;
+const HOURS_RE = /^(час|часа|часов|o|clock)$/;
+
+// "when is my next dentist" / "когда у меня стоматолог"
+const WHEN_RE = /^(when|когда)$/;
+// The speaker asking about themselves: "что у меня завтра", "am I free", "my meetings"
+const FIRST_PERSON_RE = /^(я|меня|мне|мной|мною|мой|моя|мое|мои|моих|моим|моей|моему|моем|i|me|my|mine|myself|i'm|im|i've)$/;
+
+const STOPWORDS = new Set([
+  // ru
+  'а', 'и', 'но', 'или', 'ли', 'же', 'ну', 'в', 'во', 'на', 'с', 'со', 'к', 'ко', 'по', 'о', 'об',
+  'за', 'из', 'от', 'до', 'для', 'у', 'при', 'про', 'я', 'мы', 'ты', 'вы', 'он', 'она', 'они',
+  'меня', 'мне', 'нас', 'нам', 'мной', 'тебя', 'тебе', 'вас', 'вам', 'его', 'ее', 'их', 'им',
+  'него', 'нее', 'ней', 'нему', 'ним', 'мой', 'моя', 'мое', 'мои', 'моих', 'наш', 'наша',
+  'наше', 'наши', 'наших', 'нашей', 'что', 'чего', 'чем', 'кто', 'кого', 'какие', 'какой',
+  'какая', 'каких', 'какое', 'где', 'как', 'сколько', 'есть', 'будет', 'было', 'был', 'была',
+  'будут', 'были', 'это', 'этот', 'эта', 'еще', 'уже', 'там', 'тут', 'все', 'всех', 'вся',
+  'весь', 'план', 'планы', 'планов', 'дела', 'дел', 'делах', 'событие', 'события', 'событий',
+  'мероприятия', 'расписание', 'календарь', 'календаре', 'скажи', 'покажи', 'расскажи',
+  'подскажи', 'напомни', 'пожалуйста', 'занят', 'занята', 'заняты', 'свободен', 'свободна',
+  'свободны', 'день', 'дни', 'время', 'час', 'часов', 'часа', 'запись',
+  'записи', 'запланировано', 'запланирован', 'назначено', 'намечено', 'ожидается',
+  'происходит', 'будем', 'буду', 'делаем', 'делать', 'идем', 'то', 'нибудь', 'такое',
+  'вообще',
+  // en
+  'what', 'whats', 's', 'is', 'are', 'was', 'were', 'be', 'will', 'do', 'does', 'did', 'have',
+  'has', 'had', 'i', 'me', 'my', 'we', 'us', 'our', 'you', 'your', 'he', 'she', 'they', 'them',
+  'their', 'his', 'her', 'it', 'its', 'on', 'in', 'at', 'for', 'of', 'to', 'from', 'with',
+  'about', 'the', 'a', 'an', 'and', 'or', 'any', 'anything', 'something', 'there', 'where',
+  'how', 'who', 'which', 'much', 'many', 'plans', 'plan', 'planned', 'schedule', 'scheduled',
+  'calendar', 'events', 'event', 'going', 'happening', 'tell', 'show', 'check', 'please',
+  'agenda', 'busy', 'free', 'day', 'days', 'time', 'hey', 'ok', 'okay', 'then', 'that',
+  'got', 'appointment', 'appointments', 'up', 'coming', 'upcoming', 'am', 'pm'
+]);
+
+// Lowercased words; "ё" is folded into "е" and "10:30" kept whole
+function tokenize(text) {
+  return (text || '').toString().toLowerCase().replace(/ё/g, 'е')
+    .split(/[^a-zа-я0-9:]+/).filter(Boolean);
+}
+
+function numberWord(word) {
+  for (const entry of NUMBER_WORDS) {
+    if (entry.cardinal.test(word)) return { value: entry.value, ordinal: false };
+    if (entry.ordinal && entry.ordinal.test(word)) return { value: entry.value, ordinal: true };
+  }
+  return null;
+}
+
+// Tokens with numbers read: { word, num, ordinal, clock, span } where `span` is the
+// number of source words a token stands for ("двадцать пятого" -> one token, 25)
+function readTokens(words) {
+  const tokens = [];
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const clock = word.match(CLOCK_RE);
+    if (clock) {
+      tokens.push({ word, clock: { h: Number(clock[1]), m: Number(clock[2]) }, span: 1 });
+      continue;
+    }
+    const digits = word.match(DIGITS_RE);
+    if (digits) {
+      const token = { word, num: Number(digits[1]), ordinal: !!digits[2], span: 1 };
+      if (!token.ordinal && ORDINAL_SUFFIX_RE.test(words[i + 1] || '')) {
+        token.ordinal = true;
+        token.span = 2;
+        i++;
+      }
+      tokens.push(token);
+      continue;
+    }
+    const number = numberWord(word);
+    if (number) {
+      const token = { word, num: number.value, ordinal: number.ordinal, span: 1 };
+      // "twenty five", "двадцать пятого"
+      const unit = number.value >= 20 && number.value % 10 === 0 && !number.ordinal && numberWord(words[i + 1] || '');
+      if (unit && unit.value >= 1 && unit.value <= 9) {
+        token.num += unit.value;
+        token.ordinal = unit.ordinal;
+        token.span = 2;
+        i++;
+      }
+      tokens.push(token);
+      continue;
+    }
+    tokens.push({ word, span: 1 });
+  }
+  return tokens;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const clockText = (h, m = 0) => `${pad(h)}:${pad(m)}`;
+
+// Whether `word` is a form of the alias/name `candidate`: the word itself, or for
+// Russian names the same stem with a case ending ("Саши" for "Саша")
+function mentions(word, candidate) {
+  if (word === candidate) return true;
+  if (!/[а-я]/.test(candidate) || candidate.length < 4 || candidate.includes(' ')) return false;
+  return word.startsWith(candidate.slice(0, -1)) && Math.abs(word.length - candidate.length) <= 2;
+}
+
+function accountNames(acc) {
+  return [acc.alias_en, acc.alias_ru, acc.nickname, acc.name, acc.email]
+    .map(c => (c || '').toString().toLowerCase().replace(/ё/g, 'е').trim())
+    .filter(Boolean);
+}
+
+// Accounts whose alias_ru/alias_en/nickname/name/email is mentioned in the text.
+// Russian names are matched by stem as well, so "для Саши" finds the alias "Саша".
+export function matchAccounts(text, accounts = []) {
+  const txt = (text || '').toString().toLowerCase().replace(/ё/g, 'е');
+  const words = txt.split(/[^a-zа-я0-9@._-]+/i).filter(Boolean);
+  return (accounts || []).filter(acc => {
+    try {
+      return accountNames(acc).some(c => txt.includes(c) || words.some(w => mentions(w, c)));
+    } catch (e) { return false; }
+  });
+}
+
+// Whether the question is about the speaker ("what do I have tomorrow", "мои встречи")
+export function isFirstPerson(text) {
+  const words = (text || '').toString().toLowerCase().replace(/ё/g, 'е').split(/[^a-zа-я']+/i);
+  return words.some(w => FIRST_PERSON_RE.test(w));
+}
+
+// Crude stemming so keywords match other word forms in titles ("стоматологу" ->
+// "стоматолог", "meetings" -> "meeting")
+function stem(word) {
+  if (/[а-я]/.test(word)) {
+    const stripped = word.replace(/(ами|ями|ого|его|ому|ему|ой|ей|ом|ем|ам|ям|ах|ях|ов|ев|ую|юю|ая|яя|ые|ие|ый|ий|а|я|у|ю|е|и|ы|о|ь)$/, '');
+    return stripped.length >= 4 ? stripped : word;
+  }
+  return word.length > 4 && /[^s]s$/.test(word) ? word.slice(0, -1) : word;
+}
+
+// Date the weekday `wd` (getDay number) falls on: the coming one (today included),
+// or the one in next/last week when asked so
+function weekdayDate(today, wd, modifier) {
+  const offset = (wd + 6) % 7; // Monday-based
+  const monday = startOfWeek(today, WEEK);
+  if (modifier === 'next') return addDays(addWeeks(monday, 1), offset);
+  if (modifier === 'last') return addDays(addWeeks(monday, -1), offset);
+  if (modifier === 'this') return addDays(monday, offset);
+  return addDays(today, (wd - getDay(today) + 7) % 7);
+}
+
+function modifierOf(token) {
+  if (!token) return null;
+  if (NEXT_RE.test(token.word)) return 'next';
+  if (THIS_RE.test(token.word)) return 'this';
+  if (LAST_RE.test(token.word)) return 'last';
+  return null;
+}
+
+// Hour of day (0-23) written at tokens[i], with "am/pm", "утра/вечера" after it.
+// Returns { h, m, length } or null. Tokens in `used` belong to a date already.
+function readHour(tokens, i, used) {
+  const token = tokens[i];
+  if (!token || used.has(i)) return null;
+  let h;
+  let m = 0;
+  if (token.clock) {
+    ({ h, m } = token.clock);
+  } else if (token.num !== undefined && !token.ordinal && token.num <= 24) {
+    h = token.num;
+  } else {
+    return null;
+  }
+  let length = 1;
+  if (tokens[i + length] && HOURS_RE.test(tokens[i + length].word)) length++;
+  const suffix = tokens[i + length];
+  if (suffix && PM_RE.test(suffix.word)) {
+    if (h < 12) h += 12;
+    length++;
+  } else if (suffix && AM_RE.test(suffix.word)) {
+    if (h === 12) h = 0;
+    length++;
+  }
+  if (h > 23 || m > 59) return null;
+  return { h, m, length };
+}
+
+// Parse a calendar question without Gemini. `referenceDate` is "today"; `accounts`
+// are used for person aliases.
+export function parseQuery(text, referenceDate = new Date(), { accounts = [] } = {}) {
+  const today = startOfDay(referenceDate);
+  const tokens = readTokens(tokenize(text));
+  const used = new Set();
+  const ranges = []; // { start, end } day ranges mentioned
+  const notes = [];
+  let startTime = null;
+  let endTime = null;
+
+  const take = (from, count) => { for (let k = from; k < from + count; k++) used.add(k); };
+  const free = (k) => k >= 0 && k < tokens.length && !used.has(k);
+  const word = (k) => (free(k) ? tokens[k].word : '');
+  const addDay = (day, label) => { ranges.push({ start: day, end: day }); notes.push(label); };
+
+  // Relative days
+  for (let i = 0; i < tokens.length; i++) {
+    if (!free(i)) continue;
+    const w = tokens[i].word;
+    if (w === 'day' && word(i + 1) === 'after' && word(i + 2) === 'tomorrow') {
+      take(i, 3);
+      addDay(addDays(today, 2), 'day after tomorrow');
+    } else if (w === 'послезавтра') {
+      take(i, 1);
+      addDay(addDays(today, 2), 'day after tomorrow');
+    } else if (w === 'завтра' || w === 'tomorrow') {
+      take(i, 1);
+      addDay(addDays(today, 1), 'tomorrow');
+    } else if (w === 'сегодня' || w === 'today' || w === 'tonight') {
+      // "tonight" also sets the evening below
+      if (w !== 'tonight') take(i, 1);
+      addDay(today, 'today');
+    } else if (w === 'вчера' || w === 'yesterday') {
+      take(i, 1);
+      addDay(addDays(today, -1), 'yesterday');
+    }
+  }
+
+  // "через 3 дня", "через неделю", "in two weeks"
+  for (let i = 0; i < tokens.length; i++) {
+    if (!free(i) || !IN_RE.test(tokens[i].word)) continue;
+    let j = i + 1;
+    let n = 1;
+    if (free(j) && tokens[j].num !== undefined && !tokens[j].ordinal) {
+      n = tokens[j].num;
+      j++;
+    }
+    const unit = word(j);
+    let day = null;
+    if (DAY_UNIT_RE.test(unit)) day = addDays(today, n);
+    else if (WEEK_UNIT_RE.test(unit)) day = addWeeks(today, n);
+    else if (MONTH_UNIT_RE.test(unit)) day = addMonths(today, n);
+    if (!day) continue;
+    take(i, j - i + 1);
+    addDay(day, `in ${n} ${unit}`);
+  }
+
+  // Weekday names, with "next/this/last" in the two words before them
+  for (let i = 0; i < tokens.length; i++) {
+    if (!free(i)) continue;
+    const match = WEEKDAYS.find(([re]) => re.test(tokens[i].word));
+    if (!match) continue;
+    take(i, 1);
+    let modifier = null;
+    for (const k of [i - 1, i - 2]) {
+      const m = free(k) && modifierOf(tokens[k]);
+      if (m) { modifier = m; take(k, 1); break; }
+    }
+    addDay(weekdayDate(today, match[1], modifier), `${modifier ? `${modifier} ` : ''}${tokens[i].word}`);
+  }
+
+  // "15 марта", "March 15th", "пятнадцатого марта 2026", or a whole month ("в марте")
+  for (let i = 0; i < tokens.length; i++) {
+    if (!free(i)) continue;
+    const match = MONTHS.find(([re]) => re.test(tokens[i].word));
+    if (!match) continue;
+    // "may" is also a verb: only a month next to a day number
+    const month = match[1];
+    let dayIndex = -1;
+    if (free(i - 1) && tokens[i - 1].num >= 1 && tokens[i - 1].num <= 31) dayIndex = i - 1;
+    else if (free(i + 1) && tokens[i + 1].num >= 1 && tokens[i + 1].num <= 31) dayIndex = i + 1;
+    if (dayIndex < 0 && tokens[i].word === 'may') continue;
+    take(i, 1);
+    let year = today.getFullYear();
+    const yearIndex = Math.max(i, dayIndex) + 1;
+    const explicitYear = free(yearIndex) && tokens[yearIndex].num >= 2000 && tokens[yearIndex].num <= 2100;
+    if (explicitYear) {
+      year = tokens[yearIndex].num;
+      take(yearIndex, 1);
+      if (/^год/.test(word(yearIndex + 1))) take(yearIndex + 1, 1);
+    }
+    if (dayIndex >= 0) {
+      take(dayIndex, 1);
+      let day = new Date(year, month, tokens[dayIndex].num);
+      // a date already behind us without a year means next year's
+      if (!explicitYear && day < today) day = new Date(year + 1, month, tokens[dayIndex].num);
+      addDay(day, safeFormat(day, 'yyyy-MM-dd', ''));
+    } else {
+      let first = new Date(year, month, 1);
+      if (!explicitYear && endOfMonth(first) < today) first = new Date(year + 1, month, 1);
+      ranges.push({ start: first, end: startOfDay(endOfMonth(first)) });
+      notes.push(safeFormat(first, 'MMMM yyyy', ''));
+    }
+  }
+
+  // Weeks, weekends and months: "на следующей неделе", "this weekend", "в этом месяце"
+  for (let i = 0; i < tokens.length; i++) {
+    if (!free(i)) continue;
+    const w = tokens[i].word;
+    const isWeek = WEEK_RE.test(w);
+    const isWeekend = WEEKEND_RE.test(w);
+    const isMonth = MONTH_RE.test(w);
+    if (!isWeek && !isWeekend && !isMonth) continue;
+    let modifier = null;
+    for (const k of [i - 1, i - 2]) {
+      const m = free(k) && modifierOf(tokens[k]);
+      if (m) { modifier = m; take(k, 1); break; }
+    }
+    // a bare "month"/"неделю" is only a period after a preposition ("на неделе")
+    if (!modifier && !isWeekend && !/^(на|в|this)$/.test(word(i - 1))) continue;
+    take(i, 1);
+    const shift = modifier === 'next' ? 1 : modifier === 'last' ? -1 : 0;
+    if (isMonth) {
+      const first = startOfMonth(addMonths(today, shift));
+      ranges.push({ start: first, end: startOfDay(endOfMonth(first)) });
+      notes.push(`${modifier || 'this'} month`);
+    } else if (isWeek) {
+      const monday = addWeeks(startOfWeek(today, WEEK), shift);
+      ranges.push({ start: monday, end: startOfDay(endOfWeek(monday, WEEK)) });
+      notes.push(`${modifier || 'this'} week`);
+    } else {
+      // the coming Saturday and Sunday (just Sunday when asked on a Sunday)
+      let saturday = addDays(startOfWeek(today, WEEK), 5);
+      if (shift) saturday = addWeeks(saturday, shift);
+      const sunday = addDays(saturday, 1);
+      ranges.push({ start: saturday < today && !shift ? today : saturday, end: sunday });
+      notes.push(`${modifier || 'this'} weekend`);
+    }
+  }
+
+  // A day of the month on its own: "пятнадцатого", "on the 5th" (this month, or next
+  // month once it has passed)
+  for (let i = 0; i < tokens.length; i++) {
+    if (!free(i) || !tokens[i].ordinal || !(tokens[i].num >= 1 && tokens[i].num <= 31)) continue;
+    take(i, 1);
+    let day = new Date(today.getFullYear(), today.getMonth(), tokens[i].num);
+    if (day < today) day = new Date(today.getFullYear(), today.getMonth() + 1, tokens[i].num);
+    addDay(day, safeFormat(day, 'yyyy-MM-dd', ''));
+  }
+
+  // Times: "с 10 до 12", "from 9 am to 1 pm", "после 18:00", "before 10", "в 15:30", "вечером"
+  for (let i = 0; i < tokens.length; i++) {
+    if (!free(i)) continue;
+    const w = tokens[i].word;
+    if (FROM_RE.test(w)) {
+      const from = readHour(tokens, i + 1, used);
+      const sep = from && i + 1 + from.length;
+      const to = from && free(sep) && TO_RE.test(tokens[sep].word) && readHour(tokens, sep + 1, used);
+      if (!to) continue;
+      // "from 9 to 5": an end before the start is in the afternoon
+      const endH = to.h < from.h && to.h < 12 ? to.h + 12 : to.h;
+      take(i, sep + 1 + to.length - i);
+      startTime = clockText(from.h, from.m);
+      endTime = clockText(endH, to.m);
+    } else if (AFTER_RE.test(w)) {
+      const hour = readHour(tokens, i + 1, used);
+      if (!hour) continue;
+      take(i, 1 + hour.length);
+      startTime = clockText(hour.h, hour.m);
+      endTime = endTime || '23:59';
+    } else if (BEFORE_RE.test(w)) {
+      const hour = readHour(tokens, i + 1, used);
+      if (!hour) continue;
+      take(i, 1 + hour.length);
+      startTime = startTime || '00:00';
+      endTime = clockText(hour.h, hour.m);
+    } else if (AT_RE.test(w)) {
+      const hour = readHour(tokens, i + 1, used);
+      // a bare number after "в" is only a time with a clock, "часов" or am/pm
+      if (!hour || (hour.length === 1 && !tokens[i + 1].clock)) continue;
+      take(i, 1 + hour.length);
+      startTime = clockText(hour.h, hour.m);
+      endTime = clockText(Math.min(hour.h + 1, 23), hour.h + 1 > 23 ? 59 : hour.m);
+    } else {
+      const part = DAY_PARTS.find(([re]) => re.test(w));
+      if (!part) continue;
+      take(i, 1);
+      startTime = part[1];
+      endTime = part[2];
+    }
+  }
+  if (startTime) notes.push(`${startTime}-${endTime}`);
+
+  // People
+  const people = matchAccounts(text, accounts);
+  const names = people.flatMap(accountNames);
+  tokens.forEach((token, k) => {
+    if (free(k) && names.some(c => mentions(token.word, c) || c.split(/\s+/).includes(token.word))) used.add(k);
+  });
+
+  // Keywords: what is left once dates, times, people and filler words are gone
+  const nextMarker = tokens.some((token, k) => free(k) && (NEXT_RE.test(token.word) || WHEN_RE.test(token.word)));
+  const keywords_en = [];
+  const keywords_ru = [];
+  tokens.forEach((token, k) => {
+    if (!free(k) || token.num !== undefined || token.clock) return;
+    const w = token.word;
+    if (STOPWORDS.has(w) || NEXT_RE.test(w) || WHEN_RE.test(w) || THIS_RE.test(w) || LAST_RE.test(w) || w.length < 3) return;
+    const list = /[а-я]/.test(w) ? keywords_ru : keywords_en;
+    const kw = stem(w);
+    if (!list.includes(kw)) list.push(kw);
+  });
+  const hasKeywords = keywords_en.length + keywords_ru.length > 0;
+
+  // A time of day without a date is about today ("что у нас вечером")
+  if (!ranges.length && startTime && !hasKeywords) addDay(today, 'today');
+
+  let startDate = null;
+  let endDate = null;
+  let scope = 'unspecified';
+  if (ranges.length) {
+    const start = new Date(Math.min(...ranges.map(r => r.start)));
+    const end = new Date(Math.max(...ranges.map(r => r.end)));
+    startDate = safeFormat(start, 'yyyy-MM-dd', null);
+    endDate = safeFormat(end, 'yyyy-MM-dd', null);
+    scope = startDate === endDate ? 'single_day' : 'range';
+  } else if (hasKeywords) {
+    scope = nextMarker ? 'next_occurrence' : 'from_today';
+  }
+
+  return {
+    startDate,
+    endDate,
+    scope,
+    keywords_en,
+    keywords_ru,
+    notes: `offline: ${notes.join(', ') || scope}`,
+    startTime,
+    endTime,
+    people: people.map(acc => acc.id)
+  };
+}
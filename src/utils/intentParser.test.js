@@ -0,0 +1,80 @@
+import { parseQuery, matchAccounts, isFirstPerson } from './intentParser';
+
+// Wednesday, 14 October 2026
+const TODAY = new Date(2026, 9, 14, 10, 0);
+const ACCOUNTS = [
+  { id: 'sasha', name: 'Alexander', alias_ru: 'Саша', alias_en: 'Sasha' },
+  { id: 'masha', name: 'Maria', alias_ru: 'Маша', alias_en: 'Masha' }
+];
+
+const parse = (text) => parseQuery(text, TODAY, { accounts: ACCOUNTS });
+
+describe('parseQuery', () => {
+  // [phrase family, text, expected subset of the result]
+  const cases = [
+    ['today', 'что у меня сегодня', { startDate: '2026-10-14', endDate: '2026-10-14', scope: 'single_day' }],
+    ['tomorrow', 'what do I have tomorrow', { startDate: '2026-10-15', scope: 'single_day' }],
+    ['day after tomorrow (ru)', 'что послезавтра', { startDate: '2026-10-16' }],
+    ['day after tomorrow (en)', 'the day after tomorrow', { startDate: '2026-10-16' }],
+    ['yesterday', 'что было вчера', { startDate: '2026-10-13' }],
+    ['in N days (дня is a unit here)', 'через 3 дня', { startDate: '2026-10-17', startTime: null }],
+    ['in N weeks', 'in two weeks', { startDate: '2026-10-28' }],
+    ['in a month', 'через месяц', { startDate: '2026-11-14' }],
+    ['coming weekday', 'в субботу', { startDate: '2026-10-17' }],
+    ['weekday that is today', 'в среду', { startDate: '2026-10-14' }],
+    ['next weekday', 'next friday', { startDate: '2026-10-23' }],
+    ['last weekday', 'в прошлый понедельник', { startDate: '2026-10-05' }],
+    ['day and month', '15 марта', { startDate: '2027-03-15' }],
+    ['day and month with a year', 'March 15th 2026', { startDate: '2026-03-15' }],
+    ['ordinal day and month in words', 'двадцать пятого декабря', { startDate: '2026-12-25' }],
+    ['whole month', 'в марте', { startDate: '2027-03-01', endDate: '2027-03-31', scope: 'range' }],
+    ['"may" as a verb is not a month', 'may I see tomorrow', { startDate: '2026-10-15', scope: 'single_day' }],
+    ['next week', 'на следующей неделе', { startDate: '2026-10-19', endDate: '2026-10-25', scope: 'range' }],
+    ['this month', 'в этом месяце', { startDate: '2026-10-01', endDate: '2026-10-31' }],
+    ['weekend', 'this weekend', { startDate: '2026-10-17', endDate: '2026-10-18' }],
+    ['day of this month', 'пятнадцатого', { startDate: '2026-10-15' }],
+    ['day of the month already passed', 'on the 5th', { startDate: '2026-11-05' }],
+    ['time range (до is TO)', 'что у меня с 10 до 12 завтра', { startDate: '2026-10-15', startTime: '10:00', endTime: '12:00' }],
+    ['time range ending before it starts', 'from 9 to 5', { startTime: '09:00', endTime: '17:00', startDate: '2026-10-14' }],
+    ['after a time', 'после 6 вечера', { startTime: '18:00', endTime: '23:59', startDate: '2026-10-14' }],
+    ['before a time (до is BEFORE)', 'до 10 утра завтра', { startDate: '2026-10-15', startTime: '00:00', endTime: '10:00' }],
+    ['before (en)', 'before 10 tomorrow', { startTime: '00:00', endTime: '10:00' }],
+    ['at a clock time', 'в 15:30', { startTime: '15:30', endTime: '16:30' }],
+    ['at an hour (дня is PM here)', 'через 2 дня в 3 часа дня', { startDate: '2026-10-16', startTime: '15:00', endTime: '16:00' }],
+    ['part of the day', 'что у нас вечером', { startDate: '2026-10-14', startTime: '18:00', endTime: '23:59' }],
+    ['next occurrence of a keyword', 'когда у меня стоматолог', { scope: 'next_occurrence', keywords_ru: ['стоматолог'], startDate: null }],
+    ['keywords from today', 'football practice', { scope: 'from_today', keywords_en: ['football', 'practice'] }],
+    ['keywords in a range', 'football this weekend', { keywords_en: ['football'], startDate: '2026-10-17' }],
+    ['person by a Russian case form', 'что у Саши завтра', { people: ['sasha'], keywords_ru: [], startDate: '2026-10-15' }],
+    ['person in English', "what is on Masha's calendar on friday", { people: ['masha'], startDate: '2026-10-16' }],
+    ['nothing recognized', 'что', { scope: 'unspecified', startDate: null, keywords_en: [], keywords_ru: [] }]
+  ];
+
+  test.each(cases)('%s: "%s"', (family, text, expected) => {
+    expect(parse(text)).toMatchObject(expected);
+  });
+});
+
+describe('matchAccounts', () => {
+  test.each([
+    ['для Саши', ['sasha']],
+    ['Masha and Sasha', ['sasha', 'masha']],
+    ['для мамы', []]
+  ])('"%s"', (text, ids) => {
+    expect(matchAccounts(text, ACCOUNTS).map(acc => acc.id)).toEqual(ids);
+  });
+});
+
+describe('isFirstPerson', () => {
+  test.each([
+    ['Что у меня завтра?', true],
+    ['what do I have tomorrow', true],
+    ['мои встречи на неделе', true],
+    ["I'm free when?", true],
+    ['что у Саши завтра', false],
+    ['what is on today', false],
+    ['имя встречи', false]
+  ])('"%s"', (text, expected) => {
+    expect(isFirstPerson(text)).toBe(expected);
+  });
+});
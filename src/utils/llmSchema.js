@@ -0,0 +1,255 @@
+// Validation of the JSON the language model returns. Models asked for "ONLY JSON" still
+// wrap it in prose or code fences, copy the // comments from the example, leave trailing
+// commas or return "2025-11-30T00:00:00" where a date was asked for. parseStructured
+// digs the JSON out, coerces what is unambiguous and lists everything else as problems,
+// which GeminiService sends back to the model for one repair round.
+//
+// A schema is { type, ...options }:
+//   object: fields { name: schema }   array: items (schema), maxItems
+//   string | date (YYYY-MM-DD) | time (HH:mm) | boolean | number | integer (min, max)
+//   enum: values
+// Every schema may set required, nullable and default.
+import { addDays, differenceInCalendarDays } from 'date-fns';
+import { safeFormat, safeParse } from './dateUtils';
+
+// Longest range a question may cover, and how far from today its dates may be
+const MAX_RANGE_DAYS = 366;
+const MAX_YEARS_AWAY = 5;
+
+export const QUERY_SCHEMA = {
+  type: 'object',
+  fields: {
+    startDate: { type: 'date', nullable: true, default: null },
+    endDate: { type: 'date', nullable: true, default: null },
+    scope: { type: 'enum', values: ['single_day', 'range', 'from_today', 'next_occurrence', 'unspecified'], default: 'unspecified' },
+    keywords_en: { type: 'array', items: { type: 'string' }, default: [] },
+    keywords_ru: { type: 'array', items: { type: 'string' }, default: [] },
+    notes: { type: 'string', nullable: true, default: '' }
+  }
+};
+
+export const EVENT_SCHEMA = {
+  type: 'object',
+  fields: {
+    title: { type: 'string', required: true },
+    description: { type: 'string', nullable: true, default: '' },
+    startDate: { type: 'date', required: true },
+    startTime: { type: 'time', nullable: true, default: null },
+    endDate: { type: 'date', nullable: true, default: null },
+    endTime: { type: 'time', nullable: true, default: null },
+    location: { type: 'string', nullable: true, default: '' },
+    participants: { type: 'array', items: { type: 'string' }, default: [] },
+    isAllDay: { type: 'boolean', default: false },
+    recurrence: { type: 'enum', values: ['none', 'daily', 'weekly', 'monthly'], nullable: true, default: 'none' },
+    reminders: { type: 'array', items: { type: 'integer', min: 0 }, default: [15] },
+    confidence: { type: 'number', min: 0, max: 1, default: 0.5 }
+  }
+};
+
+export const MEETING_SCHEMA = {
+  type: 'array',
+  maxItems: 3,
+  items: {
+    type: 'object',
+    fields: {
+      index: { type: 'integer', required: true, min: 0 },
+      reason: { type: 'string', nullable: true, default: '' }
+    }
+  }
+};
+
+// Remove // comments and trailing commas outside of strings
+function stripNoise(text) {
+  let out = '';
+  let inString = false;
+  let escaped = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      out += ch;
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+      out += ch;
+    } else if (ch === '/' && text[i + 1] === '/') {
+      while (i + 1 < text.length && text[i + 1] !== '\n') i++;
+    } else if (ch === ',' && /^\s*[}\]]/.test(text.slice(i + 1))) {
+      // trailing comma
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+// The first balanced {...} (or [...]) in the text, or null
+function sliceJson(text, open) {
+  const close = open === '{' ? '}' : ']';
+  const from = text.indexOf(open);
+  if (from < 0) return null;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = from; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === open) {
+      depth++;
+    } else if (ch === close && --depth === 0) {
+      return text.slice(from, i + 1);
+    }
+  }
+  return null;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function coerceDate(value) {
+  if (typeof value !== 'string') return undefined;
+  const match = value.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (!match) return undefined;
+  const text = `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+  // rejects 2025-02-30 and the like
+  return safeFormat(safeParse(text), 'yyyy-MM-dd', null) === text ? text : undefined;
+}
+
+function coerceTime(value) {
+  if (typeof value !== 'string') return undefined;
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})(:\d{2})?$/);
+  if (!match) return undefined;
+  const h = Number(match[1]);
+  const m = Number(match[2]);
+  if (h > 23 || m > 59) return undefined;
+  return `${pad(h)}:${pad(m)}`;
+}
+
+function coerceNumber(value) {
+  const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof n === 'number' && Number.isFinite(n) ? n : undefined;
+}
+
+// Check `value` against `schema`. Returns { value, problems } where value is the coerced
+// copy and problems are readable messages naming the field.
+export function validate(value, schema, path = 'response') {
+  const problems = [];
+  const isMissing = value === undefined || value === null || value === '' || value === 'null';
+  if (isMissing) {
+    if (schema.required) return { value, problems: [`${path} is required`] };
+    if (schema.default !== undefined) return { value: schema.default, problems };
+    return { value: null, problems };
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return { value, problems: [`${path} must be an object`] };
+      const out = { ...value };
+      for (const [name, fieldSchema] of Object.entries(schema.fields || {})) {
+        const result = validate(value[name], fieldSchema, `${path === 'response' ? '' : `${path}.`}${name}`);
+        out[name] = result.value;
+        problems.push(...result.problems);
+      }
+      return { value: out, problems };
+    }
+    case 'array': {
+      // a lone value where a list was asked for
+      const list = Array.isArray(value) ? value : [value];
+      const out = [];
+      list.forEach((item, i) => {
+        if (item === null || item === undefined) return;
+        const result = validate(item, schema.items, `${path}[${i}]`);
+        out.push(result.value);
+        problems.push(...result.problems);
+      });
+      return { value: schema.maxItems ? out.slice(0, schema.maxItems) : out, problems };
+    }
+    case 'string':
+      if (typeof value === 'string') return { value: value.trim(), problems };
+      if (typeof value === 'number') return { value: String(value), problems };
+      return { value, problems: [`${path} must be a string`] };
+    case 'date': {
+      const date = coerceDate(value);
+      return date ? { value: date, problems } : { value, problems: [`${path} must be a date in YYYY-MM-DD format, got ${JSON.stringify(value)}`] };
+    }
+    case 'time': {
+      const time = coerceTime(value);
+      return time ? { value: time, problems } : { value, problems: [`${path} must be a time in HH:mm format, got ${JSON.stringify(value)}`] };
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return { value, problems };
+      if (value === 'true' || value === 1) return { value: true, problems };
+      if (value === 'false' || value === 0) return { value: false, problems };
+      return { value, problems: [`${path} must be true or false`] };
+    case 'number':
+    case 'integer': {
+      let n = coerceNumber(value);
+      if (n === undefined || (schema.type === 'integer' && !Number.isInteger(n))) {
+        return { value, problems: [`${path} must be ${schema.type === 'integer' ? 'a whole number' : 'a number'}`] };
+      }
+      if (schema.min !== undefined && n < schema.min) n = schema.min;
+      if (schema.max !== undefined && n > schema.max) n = schema.max;
+      return { value: n, problems };
+    }
+    case 'enum': {
+      const v = typeof value === 'string' ? value.trim().toLowerCase() : value;
+      if (schema.values.includes(v)) return { value: v, problems };
+      return { value, problems: [`${path} must be one of ${schema.values.join(', ')}, got ${JSON.stringify(value)}`] };
+    }
+    default:
+      return { value, problems };
+  }
+}
+
+// Parse a model answer against `schema`: { value, problems }
+export function parseStructured(text, schema) {
+  const open = schema.type === 'array' ? '[' : '{';
+  const raw = sliceJson(stripNoise((text || '').toString()), open);
+  if (!raw) {
+    return { value: null, problems: [`the answer contains no JSON ${schema.type === 'array' ? 'array' : 'object'}`] };
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    return { value: null, problems: [`the JSON does not parse: ${err.message}`] };
+  }
+  return validate(parsed, schema);
+}
+
+// Problems with the dates of an interpreted query that the model should fix itself:
+// dates years away from the reference date are a misread, not a question
+export function queryRangeProblems(interp, referenceDate = new Date()) {
+  const problems = [];
+  for (const field of ['startDate', 'endDate']) {
+    const d = safeParse(interp[field]);
+    if (d && Math.abs(differenceInCalendarDays(d, referenceDate)) > MAX_YEARS_AWAY * 366) {
+      problems.push(`${field} ${interp[field]} is more than ${MAX_YEARS_AWAY} years from the reference date ${safeFormat(referenceDate, 'yyyy-MM-dd', '')}`);
+    }
+  }
+  return problems;
+}
+
+// Make the range of an interpreted query usable: a lone date becomes a single day,
+// reversed ends are swapped, and a range longer than MAX_RANGE_DAYS is cut short
+export function clampQueryRange(interp) {
+  const out = { ...interp };
+  if (!out.startDate && !out.endDate) return out;
+  if (!out.startDate) out.startDate = out.endDate;
+  if (!out.endDate) out.endDate = out.scope === 'from_today' || out.scope === 'next_occurrence' ? null : out.startDate;
+  if (!out.endDate) return out;
+  let start = safeParse(out.startDate);
+  let end = safeParse(out.endDate);
+  if (end < start) [start, end] = [end, start];
+  if (differenceInCalendarDays(end, start) > MAX_RANGE_DAYS) end = addDays(start, MAX_RANGE_DAYS);
+  out.startDate = safeFormat(start, 'yyyy-MM-dd', out.startDate);
+  out.endDate = safeFormat(end, 'yyyy-MM-dd', out.endDate);
+  if (out.scope === 'single_day' && out.startDate !== out.endDate) out.scope = 'range';
+  if (out.scope === 'unspecified') out.scope = out.startDate === out.endDate ? 'single_day' : 'range';
+  return out;
+}
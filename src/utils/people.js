@@ -0,0 +1,83 @@
+// Family members for the people-columns view. Every account is a member; a calendar
+// tagged as a person in the legend (calendarPrefs member: true) gets its own column,
+// e.g. a child's calendar shared into a parent's account.
+import { googleCalendarService } from '../services/GoogleCalendarService';
+import { getAccountPref } from './calendarPrefs';
+
+// Ordered member list: each account followed by its tagged calendars.
+// Member: { key, accountId, calendarId, label, emails }
+export function getMembers(accounts, prefs) {
+  const members = [];
+  for (const account of accounts || []) {
+    const accountPref = getAccountPref(prefs, account.id);
+    if (accountPref.hidden) continue;
+    members.push({
+      key: account.id,
+      accountId: account.id,
+      calendarId: null,
+      label: account.nickname || account.name || account.email,
+      emails: [account.email].filter(Boolean).map(e => e.toLowerCase())
+    });
+    const calendars = accountPref.calendars || {};
+    for (const calendarId of Object.keys(calendars)) {
+      const pref = calendars[calendarId];
+      if (!pref.member || pref.hidden) continue;
+      const calendar = googleCalendarService.getCachedCalendar(account.id, calendarId) || {};
+      members.push({
+        key: `${account.id}|${calendarId}`,
+        accountId: account.id,
+        calendarId,
+        label: pref.label || calendar.summaryOverride || calendar.summary || calendarId,
+        // calendar ids of personal calendars are the owner's address
+        emails: [calendarId].filter(id => id.includes('@')).map(e => e.toLowerCase())
+      });
+    }
+  }
+  return members;
+}
+
+// Column index of the member owning the calendar an event comes from
+function ownerIndex(event, members) {
+  const tagged = members.findIndex(m => m.calendarId && m.accountId === event.accountId && m.calendarId === event.calendarId);
+  if (tagged >= 0) return tagged;
+  return members.findIndex(m => !m.calendarId && m.accountId === event.accountId);
+}
+
+// Merge copies of the same event seen through several accounts (same iCalUID and
+// start) and work out every member on it: the owners of those copies plus members
+// invited as attendees who have not declined.
+// Returns [{ event, memberIndexes: [sorted column indexes] }].
+export function groupEventsByMembers(events, members) {
+  const groups = new Map();
+  for (const event of events || []) {
+    const owner = ownerIndex(event, members);
+    const key = `${event.iCalUID || event.id}|${event.parsedStart ? event.parsedStart.getTime() : ''}`;
+    let group = groups.get(key);
+    if (!group) {
+      group = { event, memberIndexes: new Set() };
+      groups.set(key, group);
+    }
+    if (owner >= 0) group.memberIndexes.add(owner);
+    for (const attendee of event.attendees || []) {
+      if (!attendee.email || attendee.responseStatus === 'declined') continue;
+      const email = attendee.email.toLowerCase();
+      members.forEach((m, i) => {
+        if (m.emails.includes(email)) group.memberIndexes.add(i);
+      });
+    }
+  }
+  return Array.from(groups.values())
+    .filter(g => g.memberIndexes.size > 0)
+    .map(g => ({ event: g.event, memberIndexes: Array.from(g.memberIndexes).sort((a, b) => a - b) }));
+}
+
+// Split sorted column indexes into contiguous runs: [0, 1, 3] -> [[0, 1], [3, 3]]
+export function contiguousRuns(indexes) {
+  const runs = [];
+  for (const i of indexes) {
+    const last = runs[runs.length - 1];
+    if (last && last[1] === i - 1) last[1] = i;
+    else runs.push([i, i]);
+  }
+  return runs;
+}
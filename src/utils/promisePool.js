@@ -0,0 +1,26 @@
+// Concurrency helpers for fanning out API requests without flooding the network
+
+// Returns limit(task): runs the async `task` once fewer than `maxConcurrent` tasks
+// started through the same limiter are still running, and resolves with its result.
+export function createLimiter(maxConcurrent) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= maxConcurrent || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
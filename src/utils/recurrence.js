@@ -0,0 +1,138 @@
+// RRULE helpers for the recurrence editor in EventModal.
+// Rules are edited as a plain object and turned into the RFC 5545 strings
+// Google Calendar expects in event.recurrence (e.g. ['RRULE:FREQ=WEEKLY;BYDAY=TU']).
+import { getDate, getDay, getDaysInMonth } from 'date-fns';
+import { safeFormat, safeParse } from './dateUtils';
+
+export const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+export const WEEKDAY_LABELS = { SU: 'Sun', MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat' };
+const FREQ_UNITS = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year' };
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+
+// Default (non-repeating) rule shape used by the editor
+export function emptyRule() {
+  return {
+    freq: 'none', // none, daily, weekly, monthly, yearly
+    interval: 1,
+    byDay: [], // weekly only: ['MO', 'TH']
+    monthlyMode: 'date', // monthly only: 'date' (BYMONTHDAY) or 'weekday' (BYDAY=2TU)
+    endType: 'never', // never, until, count
+    until: '', // YYYY-MM-DD
+    count: 10
+  };
+}
+
+// Which occurrence of its weekday a date is within its month: 1..4, or -1 for the last one
+export function nthWeekdayOfMonth(date) {
+  const d = safeParse(date);
+  if (!d) return 1;
+  const day = getDate(d);
+  if (day + 7 > getDaysInMonth(d)) return -1;
+  return Math.ceil(day / 7);
+}
+
+// Build an RRULE string from a rule object. `startDate` anchors weekly/monthly defaults,
+// `allDay` decides whether UNTIL is a DATE or a UTC DATE-TIME (RFC 5545 requires them to match DTSTART).
+export function buildRRule(rule, { startDate, allDay = false } = {}) {
+  if (!rule || !rule.freq || rule.freq === 'none') return null;
+  const start = safeParse(startDate) || new Date();
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+
+  const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+
+  if (rule.freq === 'weekly') {
+    const days = (rule.byDay && rule.byDay.length) ? rule.byDay : [WEEKDAYS[getDay(start)]];
+    // keep a stable Sunday-first order regardless of tap order
+    parts.push(`BYDAY=${WEEKDAYS.filter(d => days.includes(d)).join(',')}`);
+  } else if (rule.freq === 'monthly') {
+    if (rule.monthlyMode === 'weekday') {
+      parts.push(`BYDAY=${nthWeekdayOfMonth(start)}${WEEKDAYS[getDay(start)]}`);
+    } else {
+      parts.push(`BYMONTHDAY=${getDate(start)}`);
+    }
+  }
+
+  if (rule.endType === 'count') {
+    parts.push(`COUNT=${Math.max(1, parseInt(rule.count, 10) || 1)}`);
+  } else if (rule.endType === 'until' && rule.until) {
+    const until = safeParse(rule.until);
+    if (until) {
+      if (allDay) {
+        parts.push(`UNTIL=${safeFormat(until, 'yyyyMMdd', '')}`);
+      } else {
+        // include the whole last day in local time, expressed in UTC
+        until.setHours(23, 59, 59, 0);
+        parts.push(`UNTIL=${until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+      }
+    }
+  }
+
+  return `RRULE:${parts.join(';')}`;
+}
+
+// Parse the RRULE line out of a Google event.recurrence array back into a rule object.
+// Unknown parts are ignored; returns emptyRule() when there is nothing usable.
+export function parseRRule(recurrence) {
+  const rule = emptyRule();
+  const lines = Array.isArray(recurrence) ? recurrence : (recurrence ? [recurrence] : []);
+  const line = lines.find(l => /^RRULE:/i.test(l || ''));
+  if (!line) return rule;
+
+  const fields = {};
+  line.replace(/^RRULE:/i, '').split(';').forEach(pair => {
+    const [k, v] = pair.split('=');
+    if (k && v !== undefined) fields[k.toUpperCase()] = v;
+  });
+
+  const freq = (fields.FREQ || '').toLowerCase();
+  if (!FREQ_UNITS[freq]) return rule;
+  rule.freq = freq;
+  rule.interval = parseInt(fields.INTERVAL, 10) || 1;
+
+  if (freq === 'weekly' && fields.BYDAY) {
+    rule.byDay = fields.BYDAY.split(',').map(d => d.replace(/^[-+]?\d+/, '')).filter(d => WEEKDAYS.includes(d));
+  }
+  if (freq === 'monthly' && fields.BYDAY && /^[-+]?\d/.test(fields.BYDAY)) {
+    rule.monthlyMode = 'weekday';
+  }
+
+  if (fields.COUNT) {
+    rule.endType = 'count';
+    rule.count = parseInt(fields.COUNT, 10) || 1;
+  } else if (fields.UNTIL) {
+    const m = fields.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?/);
+    if (m) {
+      rule.endType = 'until';
+      // a UTC date-time (timed events) is read back as the local day it falls on
+      rule.until = m[4]
+        ? safeFormat(new Date(Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5], +m[6])), 'yyyy-MM-dd', '')
+        : `${m[1]}-${m[2]}-${m[3]}`;
+    }
+  }
+  return rule;
+}
+
+// Short human-readable description, e.g. "Every 2 weeks on Tue, Fri until Dec 31, 2025"
+export function describeRule(rule, startDate) {
+  if (!rule || !rule.freq || rule.freq === 'none') return 'Does not repeat';
+  const start = safeParse(startDate) || new Date();
+  const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+  const unit = FREQ_UNITS[rule.freq];
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (rule.freq === 'weekly') {
+    const days = (rule.byDay && rule.byDay.length) ? rule.byDay : [WEEKDAYS[getDay(start)]];
+    text += ` on ${WEEKDAYS.filter(d => days.includes(d)).map(d => WEEKDAY_LABELS[d]).join(', ')}`;
+  } else if (rule.freq === 'monthly') {
+    text += rule.monthlyMode === 'weekday'
+      ? ` on the ${ORDINALS[nthWeekdayOfMonth(start)]} ${safeFormat(start, 'EEEE', '')}`
+      : ` on day ${getDate(start)}`;
+  } else if (rule.freq === 'yearly') {
+    text += ` on ${safeFormat(start, 'MMMM d', '')}`;
+  }
+
+  if (rule.endType === 'count') text += `, ${rule.count} times`;
+  else if (rule.endType === 'until' && rule.until) text += ` until ${safeFormat(rule.until, 'MMM d, yyyy', rule.until)}`;
+  return text;
+}
@@ -0,0 +1,63 @@
+import { buildRRule, parseRRule, emptyRule, nthWeekdayOfMonth } from './recurrence';
+
+const rule = (fields) => ({ ...emptyRule(), ...fields });
+
+describe('buildRRule / parseRRule', () => {
+  // [name, rule, options, expected RRULE, rule fields expected back]
+  const cases = [
+    ['daily', rule({ freq: 'daily' }), { startDate: '2026-10-14' }, 'RRULE:FREQ=DAILY', { freq: 'daily', interval: 1 }],
+    ['every 2 days, 5 times', rule({ freq: 'daily', interval: 2, endType: 'count', count: 5 }), { startDate: '2026-10-14' },
+      'RRULE:FREQ=DAILY;INTERVAL=2;COUNT=5', { interval: 2, endType: 'count', count: 5 }],
+    ['weekly on the start day', rule({ freq: 'weekly' }), { startDate: '2026-10-14' },
+      'RRULE:FREQ=WEEKLY;BYDAY=WE', { freq: 'weekly', byDay: ['WE'] }],
+    ['weekly days in Sunday-first order', rule({ freq: 'weekly', byDay: ['FR', 'TU'] }), { startDate: '2026-10-14' },
+      'RRULE:FREQ=WEEKLY;BYDAY=TU,FR', { byDay: ['TU', 'FR'] }],
+    ['monthly on a date', rule({ freq: 'monthly' }), { startDate: '2026-10-14' },
+      'RRULE:FREQ=MONTHLY;BYMONTHDAY=14', { freq: 'monthly', monthlyMode: 'date' }],
+    ['monthly on the nth weekday', rule({ freq: 'monthly', monthlyMode: 'weekday' }), { startDate: '2026-10-14' },
+      'RRULE:FREQ=MONTHLY;BYDAY=2WE', { monthlyMode: 'weekday' }],
+    ['monthly on the last weekday', rule({ freq: 'monthly', monthlyMode: 'weekday' }), { startDate: '2026-10-29' },
+      'RRULE:FREQ=MONTHLY;BYDAY=-1TH', { monthlyMode: 'weekday' }],
+    ['yearly until a date, all day', rule({ freq: 'yearly', endType: 'until', until: '2030-10-14' }), { startDate: '2026-10-14', allDay: true },
+      'RRULE:FREQ=YEARLY;UNTIL=20301014', { freq: 'yearly', endType: 'until', until: '2030-10-14' }]
+  ];
+
+  test.each(cases)('%s', (name, input, options, rrule, back) => {
+    expect(buildRRule(input, options)).toBe(rrule);
+    expect(parseRRule([rrule])).toMatchObject(back);
+  });
+
+  test('a timed UNTIL is a UTC date-time that reads back as the same local day', () => {
+    const rrule = buildRRule(rule({ freq: 'weekly', byDay: ['MO'], endType: 'until', until: '2026-12-31' }), { startDate: '2026-10-12' });
+    expect(rrule).toMatch(/;UNTIL=\d{8}T\d{6}Z$/);
+    expect(parseRRule([rrule])).toMatchObject({ endType: 'until', until: '2026-12-31' });
+  });
+
+  test('no rule for "does not repeat"', () => {
+    expect(buildRRule(emptyRule(), { startDate: '2026-10-14' })).toBeNull();
+  });
+
+  test.each([
+    [[]],
+    [['EXDATE:20261021']],
+    [['RRULE:FREQ=SECONDLY']],
+    [null]
+  ])('nothing usable in %j', (recurrence) => {
+    expect(parseRRule(recurrence)).toEqual(emptyRule());
+  });
+
+  test('picks the RRULE line among others and ignores unknown parts', () => {
+    expect(parseRRule(['EXDATE:20261021', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;WKST=SU'])).toMatchObject({ freq: 'weekly', byDay: ['MO', 'WE'] });
+  });
+});
+
+describe('nthWeekdayOfMonth', () => {
+  test.each([
+    ['2026-10-01', 1],
+    ['2026-10-14', 2],
+    ['2026-10-22', 4],
+    ['2026-10-25', -1]
+  ])('%s', (date, n) => {
+    expect(nthWeekdayOfMonth(date)).toBe(n);
+  });
+});
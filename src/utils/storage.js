@@ -2,6 +2,12 @@
 const ACCOUNTS_KEY = 'famsync_accounts';
 const MIC_KEY = 'famsync_selected_mic';
 const WAKE_CONFIG_KEY = 'famsync_wake_config';
+const LAST_CALENDARS_KEY = 'famsync_last_calendars';
+const OUTBOX_KEY = 'famsync_outbox';
+const REFRESH_CONFIG_KEY = 'famsync_refresh_config';
+const CALENDAR_PREFS_KEY = 'famsync_calendar_prefs';
+const AGENDA_DAYS_KEY = 'famsync_agenda_days';
+const SPEAKER_PROFILES_KEY = 'famsync_speaker_profiles';
 
 export const storageUtils = {
   getAccounts() {
@@ -85,5 +91,137 @@ export const storageUtils = {
       console.error('Failed to save wake config to storage', e);
       return false;
     }
+  },
+
+  // Last calendar an event was created in, per account (accountId -> calendarId)
+  getLastCalendar(accountId) {
+    try {
+      const all = JSON.parse(localStorage.getItem(LAST_CALENDARS_KEY) || '{}');
+      return all[accountId] || '';
+    } catch (e) {
+      console.error('Failed to read last calendar from storage', e);
+      return '';
+    }
+  },
+
+  saveLastCalendar(accountId, calendarId) {
+    try {
+      const all = JSON.parse(localStorage.getItem(LAST_CALENDARS_KEY) || '{}');
+      all[accountId] = calendarId;
+      localStorage.setItem(LAST_CALENDARS_KEY, JSON.stringify(all));
+      return true;
+    } catch (e) {
+      console.error('Failed to save last calendar to storage', e);
+      return false;
+    }
+  },
+
+  // Calendar writes queued while offline (see services/OutboxService)
+  getOutbox() {
+    try {
+      return JSON.parse(localStorage.getItem(OUTBOX_KEY) || '[]');
+    } catch (e) {
+      console.error('Failed to read outbox from storage', e);
+      return [];
+    }
+  },
+
+  saveOutbox(ops) {
+    try {
+      if (!ops || ops.length === 0) {
+        localStorage.removeItem(OUTBOX_KEY);
+      } else {
+        localStorage.setItem(OUTBOX_KEY, JSON.stringify(ops));
+      }
+      return true;
+    } catch (e) {
+      console.error('Failed to save outbox to storage', e);
+      return false;
+    }
+  },
+
+  // Background refresh settings (see services/RefreshScheduler)
+  getRefreshConfig() {
+    try {
+      const raw = localStorage.getItem(REFRESH_CONFIG_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+      console.error('Failed to read refresh config from storage', e);
+      return null;
+    }
+  },
+
+  saveRefreshConfig(cfg) {
+    try {
+      if (!cfg) {
+        localStorage.removeItem(REFRESH_CONFIG_KEY);
+      } else {
+        localStorage.setItem(REFRESH_CONFIG_KEY, JSON.stringify(cfg));
+      }
+      return true;
+    } catch (e) {
+      console.error('Failed to save refresh config to storage', e);
+      return false;
+    }
+  },
+
+  // Legend visibility toggles and custom colors (see utils/calendarPrefs)
+  getCalendarPrefs() {
+    try {
+      return JSON.parse(localStorage.getItem(CALENDAR_PREFS_KEY) || '{}');
+    } catch (e) {
+      console.error('Failed to read calendar prefs from storage', e);
+      return {};
+    }
+  },
+
+  saveCalendarPrefs(prefs) {
+    try {
+      localStorage.setItem(CALENDAR_PREFS_KEY, JSON.stringify(prefs || {}));
+      return true;
+    } catch (e) {
+      console.error('Failed to save calendar prefs to storage', e);
+      return false;
+    }
+  },
+
+  // How many days the agenda view lists
+  getAgendaDays() {
+    try {
+      return parseInt(localStorage.getItem(AGENDA_DAYS_KEY), 10) || 0;
+    } catch (e) {
+      console.error('Failed to read agenda days from storage', e);
+      return 0;
+    }
+  },
+
+  saveAgendaDays(days) {
+    try {
+      localStorage.setItem(AGENDA_DAYS_KEY, String(days));
+      return true;
+    } catch (e) {
+      console.error('Failed to save agenda days to storage', e);
+      return false;
+    }
+  },
+
+  // Voice prints per account for speaker recognition (services/speakerService)
+  getSpeakerProfiles() {
+    try {
+      return JSON.parse(localStorage.getItem(SPEAKER_PROFILES_KEY) || '{}');
+    } catch (e) {
+      console.error('Failed to read speaker profiles from storage', e);
+      return {};
+    }
+  },
+
+  saveSpeakerProfiles(profiles) {
+    try {
+      localStorage.setItem(SPEAKER_PROFILES_KEY, JSON.stringify(profiles || {}));
+      return true;
+    } catch (e) {
+      console.error('Failed to save speaker profiles to storage', e);
+      return false;
+    }
   }
 };
\ No newline at end of file
@@ -0,0 +1,125 @@
+import { useState, useRef, useEffect } from 'react';
+import { addDays, addMinutes } from 'date-fns';
+
+// Long-press-and-drag for event chips (DayView, WeekView, MonthView).
+// A press only turns into a drag after LONG_PRESS_MS without moving, so a normal swipe
+// still scrolls the view and a tap still opens the event. Once the drag is active the
+// view's `compute(press, dx, dy, pointer)` turns the pointer offset into a preview
+// ({ start, end, ... }) that is kept in `drag`; on release `onDrop(event, start, end)` is
+// called if the times changed.
+export const LONG_PRESS_MS = 450;
+// Movement allowed while waiting for the long press; more than this is a scroll
+const MOVE_SLOP_PX = 8;
+export const SNAP_MINUTES = 15;
+
+// Round a date to the nearest `step` minutes
+export function snapDate(date, step = SNAP_MINUTES) {
+  const ms = step * 60 * 1000;
+  return new Date(Math.round(date.getTime() / ms) * ms);
+}
+
+// New times for a timed event dragged by `minutes` (and `days` across day columns):
+// 'move' shifts the whole event, 'resize' moves only the end, never before start + one step
+export function dragTimes(event, mode, minutes, days = 0) {
+  const start = event.parsedStart;
+  const end = event.parsedEnd || start;
+  if (mode === 'resize') {
+    const minEnd = addMinutes(start, SNAP_MINUTES);
+    const nextEnd = snapDate(addMinutes(end, minutes));
+    return { start, end: nextEnd < minEnd ? minEnd : nextEnd };
+  }
+  const nextStart = snapDate(addMinutes(addDays(start, days), minutes));
+  return { start: nextStart, end: new Date(nextStart.getTime() + (end - start)) };
+}
+
+// Whether `event` is the one being dragged (event objects are replaced by refreshes)
+export function isDragged(drag, event) {
+  return !!drag && drag.event.id === event.id && drag.event.accountId === event.accountId;
+}
+
+export function useEventDrag({ compute, onDrop }) {
+  const [drag, setDrag] = useState(null);
+  const pressRef = useRef(null);
+  // the click that follows a drop must not open the event
+  const suppressClickRef = useRef(false);
+  // the latest callbacks, so listeners added at press time never see stale props
+  const handlersRef = useRef({ compute, onDrop });
+  handlersRef.current = { compute, onDrop };
+
+  const cleanup = () => releasePress(pressRef);
+
+  useEffect(() => () => releasePress(pressRef), []);
+
+  // Start watching a press on an event chip. `mode` is 'move' or 'resize'; `context`
+  // carries whatever the view measured at press time (pixels per minute, column width...).
+  const startPress = (e, event, mode = 'move', context = {}) => {
+    if (!onDrop || event.readOnly) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    e.stopPropagation();
+    cleanup();
+
+    const press = { event, mode, context, startX: e.clientX, startY: e.clientY, active: false, preview: null };
+    const update = (x, y) => {
+      press.preview = handlersRef.current.compute(press, x - press.startX, y - press.startY, { x, y });
+      setDrag(press.preview ? { event, mode, ...press.preview } : null);
+    };
+
+    press.onMove = (ev) => {
+      if (!press.active) {
+        if (Math.abs(ev.clientX - press.startX) > MOVE_SLOP_PX || Math.abs(ev.clientY - press.startY) > MOVE_SLOP_PX) cleanup();
+        return;
+      }
+      update(ev.clientX, ev.clientY);
+    };
+    press.onUp = () => {
+      const { active, preview } = press;
+      cleanup();
+      if (!active) return;
+      suppressClickRef.current = true;
+      setTimeout(() => { suppressClickRef.current = false; }, 0);
+      setDrag(null);
+      if (!preview) return;
+      const start = event.parsedStart;
+      const end = event.parsedEnd || event.parsedStart;
+      if (preview.start.getTime() === start.getTime() && preview.end.getTime() === end.getTime()) return;
+      handlersRef.current.onDrop(event, preview.start, preview.end);
+    };
+    press.onCancel = () => {
+      cleanup();
+      setDrag(null);
+    };
+    // Keep the browser from scrolling under an active drag (touch pans otherwise win)
+    press.onTouchMove = (ev) => {
+      if (press.active && ev.cancelable) ev.preventDefault();
+    };
+    press.timer = setTimeout(() => {
+      press.active = true;
+      if (navigator.vibrate) {
+        try { navigator.vibrate(20); } catch (err) { /* not supported */ }
+      }
+      update(press.startX, press.startY);
+    }, LONG_PRESS_MS);
+
+    window.addEventListener('pointermove', press.onMove);
+    window.addEventListener('pointerup', press.onUp);
+    window.addEventListener('pointercancel', press.onCancel);
+    window.addEventListener('touchmove', press.onTouchMove, { passive: false });
+    pressRef.current = press;
+  };
+
+  // True while the click right after a drop is being dispatched
+  const isDragClick = () => suppressClickRef.current;
+
+  return { drag, startPress, isDragClick };
+}
+
+function releasePress(pressRef) {
+  const press = pressRef.current;
+  if (!press) return;
+  clearTimeout(press.timer);
+  window.removeEventListener('pointermove', press.onMove);
+  window.removeEventListener('pointerup', press.onUp);
+  window.removeEventListener('pointercancel', press.onCancel);
+  window.removeEventListener('touchmove', press.onTouchMove);
+  pressRef.current = null;
+}
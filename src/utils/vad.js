@@ -0,0 +1,3 @@
+// Voice activity detection for the renderer. The implementation lives in public/vad.js,
+// shared with the Electron main process (config-overrides lets the build import it).
+export { VAD_DEFAULTS, byteRms, pcm16Rms, createEndpointer, noSpeechError } from '../../public/vad';
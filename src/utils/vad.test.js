@@ -0,0 +1,50 @@
+import { createEndpointer, byteRms, pcm16Rms } from './vad';
+
+const QUIET = 0.005;
+const LOUD = 0.2;
+const frames = (level, ms) => Array(ms / 20).fill(level);
+
+// Push 20 ms frames until the endpointer stops: [final state, elapsed ms, speechStartMs]
+const run = (levels, options) => {
+  const endpointer = createEndpointer(options);
+  let state;
+  let elapsed = 0;
+  for (const level of levels) {
+    elapsed += 20;
+    state = endpointer.push(level, 20);
+    if (state === 'done' || state === 'no_speech') break;
+  }
+  return [state, elapsed, endpointer.speechStartMs];
+};
+
+describe('createEndpointer', () => {
+  test.each([
+    ['speech followed by silence', [...frames(QUIET, 1000), ...frames(LOUD, 2000), ...frames(QUIET, 2000)], {}, ['done', 3800, 1000]],
+    ['nobody speaks', frames(QUIET, 8000), {}, ['no_speech', 5000, null]],
+    ['a click is not speech', [...frames(QUIET, 500), ...frames(LOUD, 100), ...frames(QUIET, 6000)], {}, ['no_speech', 5000, null]],
+    ['a short pause does not end the utterance', [...frames(LOUD, 500), ...frames(QUIET, 400), ...frames(LOUD, 500), ...frames(QUIET, 1000)], {}, ['done', 2200, 0]],
+    ['speaking until the limit', frames(LOUD, 12000), { maxMs: 3000 }, ['done', 3000, 0]],
+    ['the limit before anyone speaks', frames(QUIET, 4000), { maxMs: 2000 }, ['no_speech', 2000, null]]
+  ])('%s', (name, levels, options, expected) => {
+    expect(run(levels, options)).toEqual(expected);
+  });
+
+  test('speech has to stand out from a noisy room', () => {
+    // background hum at 0.015: above minLevel is not enough, three times the hum is
+    expect(run([...frames(0.015, 1000), ...frames(0.03, 6000)])[0]).toBe('no_speech');
+    expect(run([...frames(0.015, 1000), ...frames(0.05, 1000), ...frames(0.015, 1000)])[0]).toBe('done');
+  });
+});
+
+describe('levels', () => {
+  test('byteRms reads analyser bytes around 128', () => {
+    expect(byteRms(new Uint8Array([128, 128, 128]))).toBe(0);
+    expect(byteRms(new Uint8Array([192, 64]))).toBeCloseTo(0.5);
+    expect(byteRms(null)).toBe(0);
+  });
+
+  test('pcm16Rms reads 16-bit samples', () => {
+    expect(pcm16Rms(new Int16Array([16384, -16384]))).toBeCloseTo(0.5);
+    expect(pcm16Rms(new Int16Array(0))).toBe(0);
+  });
+});